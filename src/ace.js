@@ -0,0 +1,379 @@
+/**
+ * @file ace.js
+ * @module ace
+ *
+ * This module estimates the ancestral states of a trait, mimicking R's ace from
+ * the ape package.
+ *
+ * Continuous traits evolve by Brownian motion. The node values are those that
+ * minimize the sum of the squared changes along the edges, each divided by the
+ * length of its edge (the maximum likelihood estimates), and are found by solving a
+ * linear system; with "pic", they are the averages computed for the independent
+ * contrasts instead.
+ *
+ * Discrete traits evolve under a continuous-time Markov model (Mk), whose rates are
+ * fitted by maximum likelihood. The likelihood is computed with Felsenstein's pruning
+ * algorithm, and the marginal probabilities of the states at each node by a second,
+ * preorder traversal.
+ *
+ * All the results about nodes are arrays indexed by node number - nTips - 1, as
+ * `nodeLabel`.
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - reorder(phy, order, indexOnly)                (from reorder.js)
+ *   - tipValues(x, phy)                             (from name-check.js)
+ *   - independentContrasts(values, phy)             (from pic.js)
+ *   - solve, inverse, logDeterminant, matrixExp     (from matrix.js)
+ *   - nelderMead(fn, x0, options), hessian(fn, x)   (from optimize.js)
+ */
+
+import { reorder } from "./reorder.js";
+import { tipValues } from "./name-check.js";
+import { independentContrasts } from "./pic.js";
+import { solve, inverse, logDeterminant, matrixExp } from "./matrix.js";
+import { nelderMead, hessian } from "./optimize.js";
+
+/** The quantile of the standard normal distribution for 95% confidence intervals. */
+const Z95 = 1.959963984540054;
+
+/**
+ * Estimates the ancestral values of a continuous trait under Brownian motion.
+ *
+ * @param {Array<number>} values - The values, indexed by tip number - 1.
+ * @param {object} phy - A phylogenetic tree object with branch lengths.
+ * @param {string} method - "ML", "REML" or "pic".
+ * @param {boolean} CI - Whether to compute the confidence intervals.
+ * @returns {Object} The estimates (see ace).
+ */
+function aceContinuous(values, phy, method, CI) {
+  const n = phy.tipLabel.length;
+  const m = phy.Nnode;
+
+  if (method === "pic") {
+    const { contrasts, variance, ancestral, extra } = independentContrasts(values, phy);
+    let Q = 0;
+    for (let i = 0; i < m; i++) Q += (contrasts[i] * contrasts[i]) / variance[i];
+    const sigma2 = Q / (n - 1);
+    const ci95 = CI
+      ? Array.from(ancestral, (v, i) => {
+          const half = Z95 * Math.sqrt(sigma2 * extra[i]);
+          return [v - half, v + half];
+        })
+      : null;
+    return {
+      type: "continuous",
+      method,
+      ace: ancestral,
+      ci95,
+      sigma2: { estimate: sigma2, se: sigma2 * Math.sqrt(2 / (n - 1)) },
+      loglik: null,
+    };
+  }
+
+  // The sum of the squared changes is a quadratic form in the node values, with the
+  // weighted Laplacian of the internal nodes as matrix.
+  const A = new Float64Array(m * m);
+  const b = new Float64Array(m);
+  let sumLogLength = 0;
+  for (let i = 0; i < phy.edge.length; i++) {
+    const [p, c] = phy.edge[i];
+    const t = phy.edgeLength[i];
+    if (!(t > 0)) {
+      throw new Error("the branch lengths must be positive.");
+    }
+    sumLogLength += Math.log(t);
+    const w = 1 / t;
+    const pi = p - n - 1;
+    A[pi * m + pi] += w;
+    if (c > n) {
+      const ci = c - n - 1;
+      A[ci * m + ci] += w;
+      A[pi * m + ci] -= w;
+      A[ci * m + pi] -= w;
+    } else {
+      b[pi] += w * values[c - 1];
+    }
+  }
+  const ace = solve(A, m, b);
+  const value = v => (v > n ? ace[v - n - 1] : values[v - 1]);
+  let Q = 0;
+  for (let i = 0; i < phy.edge.length; i++) {
+    const d = value(phy.edge[i][1]) - value(phy.edge[i][0]);
+    Q += (d * d) / phy.edgeLength[i];
+  }
+
+  // ML: the node values are parameters, so all the edges count; REML: the node values
+  // are integrated out, which leaves n - 1 degrees of freedom.
+  const nEdges = phy.edge.length;
+  const df = method === "ML" ? nEdges : nEdges - m;
+  const sigma2 = Q / df;
+  let loglik = -0.5 * (df * Math.log(2 * Math.PI * sigma2) + sumLogLength + Q / sigma2);
+  if (method === "REML") loglik -= 0.5 * logDeterminant(A, m);
+
+  let ci95 = null;
+  if (CI) {
+    const inv = inverse(A, m);
+    ci95 = Array.from(ace, (v, i) => {
+      const half = Z95 * Math.sqrt(sigma2 * inv[i * m + i]);
+      return [v - half, v + half];
+    });
+  }
+  return {
+    type: "continuous",
+    method,
+    ace,
+    ci95,
+    sigma2: { estimate: sigma2, se: sigma2 * Math.sqrt(2 / df) },
+    loglik,
+  };
+}
+
+/**
+ * Builds the matrix giving the parameter of each transition rate.
+ *
+ * @param {string|Array<Array<number>>} model - "ER", "SYM", "ARD", or a k x k matrix of
+ *   parameter numbers (1-based; 0 for the transitions that are not allowed).
+ * @param {number} k - The number of states.
+ * @returns {{index: Array<Array<number>>, np: number}} The matrix and the number of
+ *   parameters.
+ * @throws {Error} If the model is unknown or the matrix has the wrong size.
+ */
+function rateIndex(model, k) {
+  if (Array.isArray(model)) {
+    if (model.length !== k || model.some(row => row.length !== k)) {
+      throw new Error("the model matrix must have one row and one column per state.");
+    }
+    const index = model.map((row, i) => row.map((v, j) => (i === j ? 0 : v)));
+    return { index, np: Math.max(0, ...index.flat()) };
+  }
+  const index = Array.from({ length: k }, () => new Array(k).fill(0));
+  let np = 0;
+  for (let i = 0; i < k; i++) {
+    for (let j = 0; j < k; j++) {
+      if (i === j) continue;
+      if (model === "ER") {
+        index[i][j] = 1;
+        np = 1;
+      } else if (model === "SYM") {
+        if (j > i) index[i][j] = index[j][i] = ++np;
+      } else if (model === "ARD") {
+        index[i][j] = ++np;
+      } else {
+        throw new Error('model must be "ER", "SYM", "ARD" or a matrix.');
+      }
+    }
+  }
+  return { index, np };
+}
+
+/**
+ * Fits a Markov model to a discrete trait and computes the marginal probabilities of
+ * the ancestral states.
+ *
+ * @param {Array<*>} values - The states, indexed by tip number - 1.
+ * @param {object} phy - A phylogenetic tree object with branch lengths.
+ * @param {string|Array<Array<number>>} model - The model (see rateIndex).
+ * @param {Array<*>|null} states - The states, in the order of the rate matrix.
+ * @param {number} ip - The initial value of the rates.
+ * @returns {Object} The estimates (see ace).
+ */
+function aceDiscrete(values, phy, model, states, ip) {
+  const n = phy.tipLabel.length;
+  const nNodes = n + phy.Nnode;
+  if (states === null) {
+    states = Array.from(new Set(values)).sort((a, b) =>
+      typeof a === "number" && typeof b === "number" ? a - b : String(a).localeCompare(String(b))
+    );
+  }
+  const k = states.length;
+  const stateIndex = new Map(states.map((s, i) => [s, i]));
+  const missing = values.filter(v => !stateIndex.has(v));
+  if (missing.length > 0) {
+    throw new Error("some tips have unknown states: " + Array.from(new Set(missing)).join(", ") + ".");
+  }
+  const { index, np } = rateIndex(model, k);
+  if (np === 0) {
+    throw new Error("the model has no parameters.");
+  }
+
+  const post = reorder(phy, "postorder", true);
+  const prior = new Float64Array(k).fill(1 / k);
+
+  // The probabilities of the tip states, and of the data below each node (rescaled).
+  const below = Array.from({ length: nNodes + 1 }, () => new Float64Array(k).fill(1));
+  const transition = new Array(phy.edge.length);
+  const message = new Array(phy.edge.length);
+
+  const prune = rates => {
+    const Q = new Float64Array(k * k);
+    for (let i = 0; i < k; i++) {
+      for (let j = 0; j < k; j++) {
+        if (index[i][j] > 0) {
+          Q[i * k + j] = rates[index[i][j] - 1];
+          Q[i * k + i] -= rates[index[i][j] - 1];
+        }
+      }
+    }
+    for (let v = 1; v <= nNodes; v++) {
+      below[v].fill(v <= n ? 0 : 1);
+      if (v <= n) below[v][stateIndex.get(values[v - 1])] = 1;
+    }
+    let logScale = 0;
+    for (const e of post) {
+      const [p, c] = phy.edge[e];
+      const P = matrixExp(Q.map(q => q * phy.edgeLength[e]), k);
+      const msg = new Float64Array(k);
+      for (let i = 0; i < k; i++) {
+        for (let j = 0; j < k; j++) msg[i] += P[i * k + j] * below[c][j];
+      }
+      transition[e] = P;
+      message[e] = msg;
+      let scale = 0;
+      for (let i = 0; i < k; i++) {
+        below[p][i] *= msg[i];
+        scale = Math.max(scale, below[p][i]);
+      }
+      if (scale === 0) return -Infinity;
+      for (let i = 0; i < k; i++) below[p][i] /= scale;
+      logScale += Math.log(scale);
+    }
+    let lik = 0;
+    for (let i = 0; i < k; i++) lik += prior[i] * below[n + 1][i];
+    return Math.log(lik) + logScale;
+  };
+
+  // The rates are optimized on the log scale, which keeps them positive.
+  const negLogLik = logRates => -prune(logRates.map(Math.exp));
+  const fit = nelderMead(negLogLik, new Array(np).fill(Math.log(ip)));
+  const rates = Float64Array.from(fit.par, Math.exp);
+  let se;
+  try {
+    const cov = inverse(hessian(negLogLik, fit.par), np);
+    se = Float64Array.from(rates, (r, i) => r * Math.sqrt(cov[i * np + i]));
+  } catch (e) {
+    se = new Float64Array(np).fill(NaN);
+  }
+  const loglik = prune(Array.from(rates));
+
+  // The probabilities of the data above each node, from the root to the tips.
+  const above = new Array(nNodes + 1);
+  above[n + 1] = prior;
+  const childEdges = Array.from({ length: nNodes + 1 }, () => []);
+  for (let e = 0; e < phy.edge.length; e++) childEdges[phy.edge[e][0]].push(e);
+  for (const e of reorder(phy, "cladewise", true)) {
+    const [p, c] = phy.edge[e];
+    const from = Float64Array.from(above[p]);
+    for (const other of childEdges[p]) {
+      if (other === e) continue;
+      for (let i = 0; i < k; i++) from[i] *= message[other][i];
+    }
+    const to = new Float64Array(k);
+    let total = 0;
+    for (let j = 0; j < k; j++) {
+      for (let i = 0; i < k; i++) to[j] += from[i] * transition[e][i * k + j];
+      total += to[j];
+    }
+    for (let j = 0; j < k; j++) to[j] /= total;
+    above[c] = to;
+  }
+
+  const likAnc = [];
+  for (let v = n + 1; v <= nNodes; v++) {
+    const probs = Array.from(above[v], (a, i) => a * below[v][i]);
+    const total = probs.reduce((s, q) => s + q, 0);
+    const entry = {};
+    states.forEach((s, i) => {
+      entry[s] = probs[i] / total;
+    });
+    likAnc.push(entry);
+  }
+
+  if (!fit.converged) {
+    console.warn("the optimization of the rates did not converge");
+  }
+  return { type: "discrete", states, rates, se, indexMatrix: index, loglik, likAnc };
+}
+
+/**
+ * Estimates the ancestral states of a trait.
+ *
+ * This function mimics the behavior of R's ace (ape).
+ *
+ * For a continuous trait, evolving by Brownian motion:
+ *   - "ML" and "REML" give the maximum likelihood estimates of the node values; the
+ *     rate sigma^2 is their maximum likelihood estimate with "ML", and the restricted
+ *     (unbiased) one with "REML". The confidence intervals come from the curvature of
+ *     the likelihood.
+ *   - "pic" gives the values computed for the independent contrasts, which use only
+ *     the tips below each node (they are the ML estimate at the root only). The
+ *     confidence intervals use the variances of these values. The tree must be fully
+ *     dichotomous.
+ *
+ * For a discrete trait, the rates of an Mk model ("ER": equal rates, "SYM": symmetric,
+ * "ARD": all rates different, or a matrix of parameter numbers as in ape) are fitted
+ * by maximum likelihood, with equal probabilities of the states at the root. `likAnc`
+ * gives the marginal probabilities of the states at each node.
+ *
+ * The results about nodes are indexed by node number - nTips - 1, so they can be used
+ * as `nodeLabel`, or in `nodeAnnotation` (indexed by node number - 1) to be written by
+ * writeNewick.
+ *
+ * @param {Object<string, *>|Array<*>} x - The trait values, keyed by tip label or in the
+ *   order of the tip numbers.
+ * @param {object} phy - A phylogenetic tree object with branch lengths.
+ * @param {object} [options={}] - Options object.
+ * @param {string} [options.type="continuous"] - "continuous" or "discrete".
+ * @param {string} [options.method] - For continuous traits, "REML" (the default), "ML"
+ *   or "pic"; for discrete traits, only "ML".
+ * @param {string|Array<Array<number>>} [options.model] - For continuous traits, only
+ *   "BM"; for discrete traits, "ER" (the default), "SYM", "ARD" or a matrix.
+ * @param {boolean} [options.CI=true] - Whether to compute the confidence intervals
+ *   (continuous traits).
+ * @param {Array<*>|null} [options.states=null] - The states, in the order of the rows of
+ *   the model matrix (discrete traits); by default, the sorted distinct values of `x`.
+ * @param {number} [options.ip=0.1] - The initial value of the rates (discrete traits).
+ * @returns {Object} For continuous traits:
+ *   - ace: a Float64Array of the node values.
+ *   - ci95: an array of the [lower, upper] bounds of the 95% confidence intervals, or
+ *     null.
+ *   - sigma2: the estimate of the rate and its standard error ({estimate, se}).
+ *   - loglik: the (restricted) log-likelihood, or null with "pic".
+ *   For discrete traits:
+ *   - states: the states.
+ *   - rates: a Float64Array of the estimated rates, and se, their standard errors.
+ *   - indexMatrix: the parameter of each transition (0 if not allowed).
+ *   - loglik: the log-likelihood.
+ *   - likAnc: for each node, an object mapping each state to its probability.
+ * @throws {Error} If the options are invalid, the names of `x` do not match the tip
+ *   labels, or the tree has no branch lengths.
+ */
+export function ace(
+  x,
+  phy,
+  { type = "continuous", method = null, model = null, CI = true, states = null, ip = 0.1 } = {}
+) {
+  if (phy.edgeLength == null) {
+    throw new Error("the tree has no branch lengths.");
+  }
+  const values = tipValues(x, phy);
+  if (type === "continuous") {
+    if (method === null) method = "REML";
+    if (!["ML", "REML", "pic"].includes(method)) {
+      throw new Error('method must be "ML", "REML" or "pic" for continuous traits.');
+    }
+    if (model !== null && model !== "BM") {
+      throw new Error('model must be "BM" for continuous traits.');
+    }
+    if (values.some(v => typeof v !== "number" || Number.isNaN(v))) {
+      throw new Error("the values of a continuous trait must be numbers.");
+    }
+    return aceContinuous(values, phy, method, CI);
+  }
+  if (type === "discrete") {
+    if (method !== null && method !== "ML") {
+      throw new Error('method must be "ML" for discrete traits.');
+    }
+    return aceDiscrete(values, phy, model === null ? "ER" : model, states, ip);
+  }
+  throw new Error('type must be "continuous" or "discrete".');
+}
@@ -0,0 +1,134 @@
+/**
+ * @file annotations.js
+ * @module annotations
+ *
+ * This module parses and formats the bracket comments that annotate nodes and
+ * edges in extended Newick strings:
+ *   - BEAST / MrBayes / FigTree style: [&height=1.2,rate={0.1,0.2},name="x"]
+ *   - NHX style:                       [&&NHX:S=human:D=Y]
+ *
+ * Annotations are plain objects mapping keys to typed values: numbers, strings,
+ * booleans (for keys given without a value), and arrays for ranges and lists
+ * written in braces.
+ */
+
+/**
+ * Splits a string on a separator character, ignoring separators inside braces
+ * or double/single quotes.
+ *
+ * @param {string} text - The text to split.
+ * @param {string} sep - The separator character.
+ * @returns {Array<string>} The pieces.
+ */
+function splitTopLevel(text, sep) {
+  const out = [];
+  let depth = 0;
+  let quote = null;
+  let current = "";
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === "{") {
+      depth++;
+    } else if (ch === "}") {
+      depth--;
+    } else if (ch === sep && depth === 0) {
+      out.push(current);
+      current = "";
+      continue;
+    }
+    current += ch;
+  }
+  out.push(current);
+  return out;
+}
+
+/**
+ * Converts the text of an annotation value to a typed value.
+ *
+ * @param {string} text - The value as written in the comment.
+ * @returns {number|string|Array} The typed value: a number, a string, or an array
+ *   for values written in braces (ranges and lists).
+ */
+function parseValue(text) {
+  text = text.trim();
+  if (text.startsWith("{") && text.endsWith("}")) {
+    const inner = text.slice(1, -1);
+    if (inner.trim() === "") return [];
+    return splitTopLevel(inner, ",").map(parseValue);
+  }
+  if (text.length >= 2 && (text[0] === '"' || text[0] === "'") && text[text.length - 1] === text[0]) {
+    return text.slice(1, -1);
+  }
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  return text;
+}
+
+/**
+ * Parses the content of an annotation comment.
+ *
+ * @param {string} text - The comment content without the square brackets,
+ *   e.g. "&height=1.2,rate={0.1,0.2}" or "&&NHX:S=human:D=Y".
+ * @returns {{annotation: object, nhx: boolean}} The annotation object, and whether
+ *   the comment was in NHX format.
+ */
+export function parseAnnotation(text) {
+  const annotation = {};
+  let nhx = false;
+  let items;
+  if (/^&&NHX/i.test(text)) {
+    nhx = true;
+    items = splitTopLevel(text.slice(5), ":");
+  } else {
+    items = splitTopLevel(text.replace(/^&+/, ""), ",");
+  }
+  for (const item of items) {
+    if (item.trim() === "") continue;
+    const eq = item.indexOf("=");
+    if (eq === -1) {
+      annotation[item.trim()] = true;
+    } else {
+      annotation[item.slice(0, eq).trim()] = parseValue(item.slice(eq + 1));
+    }
+  }
+  return { annotation, nhx };
+}
+
+/**
+ * Formats a single annotation value.
+ *
+ * @param {*} value - The value.
+ * @returns {string} The value as written in a comment.
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return "{" + value.map(formatValue).join(",") + "}";
+  }
+  if (typeof value === "string" && !/^[A-Za-z0-9_.+\-%]*$/.test(value)) {
+    return '"' + value.replace(/"/g, "'") + '"';
+  }
+  return String(value);
+}
+
+/**
+ * Formats an annotation object as a bracket comment.
+ *
+ * @param {object|null} annotation - The annotation object.
+ * @param {string} [style="beast"] - "beast" for [&key=value,...] or "nhx" for
+ *   [&&NHX:key=value:...].
+ * @returns {string} The comment, or an empty string if there is nothing to write.
+ */
+export function formatAnnotation(annotation, style = "beast") {
+  if (!annotation) return "";
+  const keys = Object.keys(annotation);
+  if (keys.length === 0) return "";
+  const items = keys.map(k => (annotation[k] === true ? k : k + "=" + formatValue(annotation[k])));
+  if (style === "nhx") {
+    return "[&&NHX:" + items.join(":") + "]";
+  }
+  return "[&" + items.join(",") + "]";
+}
@@ -0,0 +1,198 @@
+/**
+ * @file bind-tree.js
+ * @module bindTree
+ *
+ * This module grafts trees onto other trees, mimicking R's bind.tree (ape) and
+ * bind.tip (phytools).
+ *
+ * The trees are converted to nested structures, joined, and converted back, so the
+ * result has valid phylo numbering with tip labels, node labels, branch lengths
+ * and annotations carried over.
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - convertToNested(phy), convertToPhylo(tree) (from newick-parser.js)
+ *   - rootDistances(phy)                         (from node.js)
+ *   - isUltrametric(phy)                         (from ultrametric.js)
+ */
+
+import Phylo from "./phylo.js";
+import { convertToNested, convertToPhylo } from "./newick-parser.js";
+import { rootDistances } from "./node.js";
+import { isUltrametric } from "./ultrametric.js";
+
+/**
+ * Converts the `where` option to a node number.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {number|string} where - "root", a node number or a tip label.
+ * @returns {number} The node number.
+ * @throws {Error} If the node does not exist.
+ */
+function whereNode(phy, where) {
+  const n = phy.tipLabel.length;
+  if (where === "root") return n + 1;
+  if (typeof where === "string") {
+    const k = phy.tipLabel.indexOf(where);
+    if (k === -1) throw new Error("tip not found: " + where + ".");
+    return k + 1;
+  }
+  if (!Number.isInteger(where) || where < 1 || where > n + phy.Nnode) {
+    throw new Error("where must be a node or tip of the tree.");
+  }
+  return where;
+}
+
+/**
+ * Finds a node of a nested tree by its original number, with its parent.
+ *
+ * @param {Object} root - The root of the nested tree (see convertToNested).
+ * @param {number} number - The node number.
+ * @returns {{node: Object, parent: Object|null}} The node and its parent.
+ */
+function findNested(root, number) {
+  const stack = [[root, null]];
+  while (stack.length > 0) {
+    const [node, parent] = stack.pop();
+    if (node.number === number) return { node, parent };
+    for (const child of node.children) stack.push([child, node]);
+  }
+  return { node: null, parent: null };
+}
+
+/**
+ * Removes the branch lengths of a nested tree.
+ *
+ * @param {Object} root - The root of the nested tree.
+ */
+function stripLengths(root) {
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    delete node.length;
+    for (const child of node.children) stack.push(child);
+  }
+}
+
+/**
+ * Grafts tree `y` onto tree `x`.
+ *
+ * @param {object} x - The receiving tree.
+ * @param {object} y - The tree to graft.
+ * @param {number} where - The node of `x` where `y` is grafted.
+ * @param {number} position - The distance below the parent of `where` at which to cut.
+ * @param {boolean} cutTip - If true, a tip given as `where` gets a new parent node even
+ *   with a zero position, instead of being replaced by `y`.
+ * @returns {Phylo} The new tree.
+ */
+function graft(x, y, where, position, cutTip) {
+  const n = x.tipLabel.length;
+  let X = convertToNested(x);
+  const Y = convertToNested(y);
+  if ((x.edgeLength == null) !== (y.edgeLength == null)) {
+    console.warn("one tree has no branch lengths: they are dropped.");
+    stripLengths(X);
+    stripLengths(Y);
+  }
+  const { node: target, parent } = findNested(X, where);
+
+  let attach = target;
+  if (position > 0 || (cutTip && where <= n)) {
+    if (parent === null) {
+      // Cutting above the root requires a root edge long enough.
+      if (x.rootEdge == null || x.rootEdge < position) {
+        throw new Error("position is larger than the root edge.");
+      }
+      attach = { name: "", children: [target], length: x.rootEdge - position };
+      X = attach;
+    } else {
+      if (position > 0 && target.length == null) {
+        throw new Error("the tree has no branch lengths.");
+      }
+      if (position > (target.length || 0)) {
+        throw new Error("position is larger than the branch length.");
+      }
+      attach = { name: "", children: [target] };
+      if (target.length != null) attach.length = target.length - position;
+      parent.children[parent.children.indexOf(target)] = attach;
+    }
+    if (target.length != null || position > 0) target.length = position;
+  } else if (where <= n) {
+    // A tip is replaced by the grafted tree, which takes its branch.
+    const length = target.length != null ? target.length + (y.rootEdge || 0) : Y.length;
+    if (length != null) Y.length = length;
+    else delete Y.length;
+    if (target.edgeAnnotation) Y.edgeAnnotation = target.edgeAnnotation;
+    if (parent === null) X = Y;
+    else parent.children[parent.children.indexOf(target)] = Y;
+    attach = null;
+  }
+
+  if (attach !== null) {
+    if (y.rootEdge != null && Y.length != null) {
+      // The root edge of y joins it to the attachment point.
+      attach.children.push(Y);
+    } else {
+      // Otherwise the root of y merges with the attachment point.
+      for (const child of Y.children) attach.children.push(child);
+    }
+  }
+
+  const tree = convertToPhylo(X);
+  if (!x.nodeLabel && !y.nodeLabel) tree.nodeLabel = null;
+  return tree;
+}
+
+/**
+ * Binds two trees together.
+ *
+ * This function mimics the behavior of R's bind.tree (ape): tree `y` is attached to
+ * tree `x` at the node or tip `where`. With `position` > 0, the edge leading to `where`
+ * is cut `position` units above `where`, and `y` is attached to the new node.
+ * The root of `y` merges with the attachment point, unless `y` has a root edge, which
+ * then joins the two trees. A tip given as `where` (with a zero position) is replaced
+ * by `y`.
+ *
+ * @param {object} x - The receiving tree.
+ * @param {object} y - The tree to graft.
+ * @param {object} [options={}] - Options object.
+ * @param {number|string} [options.where="root"] - "root", a node number or a tip label.
+ * @param {number} [options.position=0] - The distance from `where`, towards the root, at
+ *   which the edge is cut (at the root, this requires a root edge in `x`).
+ * @returns {Phylo} The new tree.
+ * @throws {Error} If `where` does not exist or `position` exceeds the branch length.
+ */
+export function bindTree(x, y, { where = "root", position = 0 } = {}) {
+  return graft(x, y, whereNode(x, where), position, false);
+}
+
+/**
+ * Adds a tip to a tree.
+ *
+ * This function mimics the behavior of R's bind.tip (phytools). The tip is attached to
+ * a node or, if `where` is a tip, to a new node `position` units above it (so that the
+ * two tips become sisters).
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {string} label - The label of the new tip.
+ * @param {object} [options={}] - Options object.
+ * @param {number|string} [options.where="root"] - "root", a node number or a tip label.
+ * @param {number|null} [options.edgeLength=null] - The length of the new edge; by default,
+ *   if the tree is ultrametric, the length that keeps it ultrametric, otherwise 0 (or no
+ *   length if the tree has none).
+ * @param {number} [options.position=0] - The distance from `where`, towards the root, at
+ *   which the edge is cut.
+ * @returns {Phylo} The new tree.
+ * @throws {Error} If `where` does not exist or `position` exceeds the branch length.
+ */
+export function addTip(phy, label, { where = "root", edgeLength = null, position = 0 } = {}) {
+  const node = whereNode(phy, where);
+  if (edgeLength === null && phy.edgeLength != null) {
+    edgeLength = 0;
+    if (isUltrametric(phy)) {
+      const depth = rootDistances(phy);
+      edgeLength = depth[0] - (depth[node - 1] - position);
+    }
+  }
+  const tip = new Phylo([[2, 1]], edgeLength === null ? null : [edgeLength], [label], null, 1);
+  return graft(phy, tip, node, position, true);
+}
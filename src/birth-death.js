@@ -0,0 +1,308 @@
+/**
+ * @file birth-death.js
+ * @module birthDeath
+ *
+ * This module simulates trees under birth–death processes, mimicking R's rlineage
+ * and rbdtree from the ape package, and sim.bd.taxa from the TreeSim package.
+ *
+ * The process runs forward in time: each lineage speciates at rate `birth` and goes
+ * extinct at rate `death`. The history of every lineage is recorded, and trees are
+ * cut from it at a given time, with or without the extinct lineages.
+ *
+ * The trees are numbered as by parseNewick, and their tips are labelled "t1",
+ * "t2", ... in the order of their numbers. Random numbers come from `rng` if given,
+ * otherwise from a generator seeded with `seed` (see createRng).
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - createRng(seed)                 (from common-utilities.js)
+ *   - phyloFromNested(root, tipLabel) (from build-phylo.js)
+ */
+
+import { createRng } from "./common-utilities.js";
+import { phyloFromNested } from "./build-phylo.js";
+
+/**
+ * Runs a birth–death process.
+ *
+ * @param {function(): number} rng - The random number generator.
+ * @param {number} birth - The speciation rate.
+ * @param {number} death - The extinction rate.
+ * @param {number} nStart - The number of lineages at time 0.
+ * @param {object} options - Options object.
+ * @param {number} [options.Tmax=Infinity] - The time at which the process stops.
+ * @param {number} [options.maxLineages=Infinity] - The number of living lineages above
+ *   which the process stops.
+ * @param {function(number, number, number)|null} [options.onInterval=null] - Called with
+ *   the start, end and number of living lineages of each interval between events.
+ * @returns {{start: Array<number>, end: Array<number>, children: Array<Array<number>|null>,
+ *   extinct: Array<boolean>, alive: number}} The history of the lineages (`end` is
+ *   Infinity for the living lineages), and the number of living lineages at the end.
+ */
+function grow(rng, birth, death, nStart, { Tmax = Infinity, maxLineages = Infinity, onInterval = null }) {
+  const start = [];
+  const end = [];
+  const children = [];
+  const extinct = [];
+  const newLineage = t => {
+    start.push(t);
+    end.push(Infinity);
+    children.push(null);
+    extinct.push(false);
+    return start.length - 1;
+  };
+  const alive = [];
+  for (let i = 0; i < nStart; i++) alive.push(newLineage(0));
+
+  let t = 0;
+  while (alive.length > 0 && alive.length <= maxLineages) {
+    const k = alive.length;
+    const rate = k * (birth + death);
+    const dt = rate > 0 ? -Math.log(1 - rng()) / rate : Infinity;
+    if (onInterval) onInterval(t, Math.min(t + dt, Tmax), k);
+    if (t + dt >= Tmax) break;
+    t += dt;
+    const idx = Math.floor(rng() * k);
+    const i = alive[idx];
+    end[i] = t;
+    if (rng() * (birth + death) < birth) {
+      const a = newLineage(t);
+      const b = newLineage(t);
+      children[i] = [a, b];
+      alive[idx] = a;
+      alive.push(b);
+    } else {
+      extinct[i] = true;
+      alive[idx] = alive[alive.length - 1];
+      alive.pop();
+    }
+  }
+  return { start, end, children, extinct, alive: alive.length };
+}
+
+/**
+ * Builds the nested tree of the lineages living at a given time.
+ *
+ * Lineages born after `cut` are ignored, and those living at `cut` end there. The
+ * nodes left with a single descendant are removed, their edges being joined.
+ *
+ * @param {Object} history - The history of the lineages (see grow).
+ * @param {Array<number>} roots - The lineages present at time 0.
+ * @param {number} cut - The time at which the tree is cut.
+ * @param {boolean} complete - Whether to keep the extinct lineages.
+ * @param {Set<number>|null} [keep=null] - The living lineages to keep; by default, all.
+ * @returns {Object|null} The root of the nested tree (with the length of its edge from
+ *   time 0), or null if no lineage is kept.
+ */
+function pruneHistory(history, roots, cut, complete, keep = null) {
+  const { start, end, children, extinct } = history;
+  const nodes = new Array(start.length).fill(null);
+  // Lineages are created after their parents: the reverse order is a postorder.
+  for (let i = start.length - 1; i >= 0; i--) {
+    if (start[i] >= cut) continue;
+    if (end[i] > cut) {
+      if (complete || keep === null || keep.has(i)) nodes[i] = { name: "", children: [], length: cut - start[i] };
+    } else if (extinct[i]) {
+      if (complete) nodes[i] = { name: "", children: [], length: end[i] - start[i] };
+    } else {
+      const below = children[i].map(j => nodes[j]).filter(node => node !== null);
+      if (below.length === 1) {
+        below[0].length += end[i] - start[i];
+        nodes[i] = below[0];
+      } else if (below.length > 1) {
+        nodes[i] = { name: "", children: below, length: end[i] - start[i] };
+      }
+    }
+  }
+  const kept = roots.map(i => nodes[i]).filter(node => node !== null);
+  if (kept.length === 0) return null;
+  if (kept.length === 1) return kept[0];
+  return { name: "", children: kept };
+}
+
+/**
+ * Counts the tips of a nested tree.
+ *
+ * @param {Object} root - The root of the nested tree.
+ * @returns {number} The number of tips.
+ */
+function countTips(root) {
+  let count = 0;
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (node.children.length === 0) count++;
+    for (const child of node.children) stack.push(child);
+  }
+  return count;
+}
+
+/**
+ * Checks the rates of a birth–death process.
+ *
+ * @param {number} birth - The speciation rate.
+ * @param {number} death - The extinction rate.
+ * @throws {Error} If a rate is negative or both are zero.
+ */
+function checkRates(birth, death) {
+  if (!(birth >= 0 && death >= 0 && birth + death > 0)) {
+    throw new Error("the birth and death rates must be positive.");
+  }
+}
+
+/**
+ * Simulates a birth–death process and keeps all the lineages.
+ *
+ * This function mimics the behavior of R's rlineage (ape): the process starts with
+ * two lineages at time 0 and runs until `Tmax`. The extinct lineages are kept, so the
+ * tree is not ultrametric if some lineages went extinct.
+ *
+ * @param {number} birth - The speciation rate.
+ * @param {number} death - The extinction rate.
+ * @param {number} [Tmax=50] - The duration of the process.
+ * @param {object} [options={}] - Options object.
+ * @param {number} [options.maxTips=100000] - The number of living lineages above which
+ *   the simulation is stopped with an error.
+ * @param {number|null} [options.seed=null] - A seed for the random number generator.
+ * @param {function(): number|null} [options.rng=null] - A random number generator, used
+ *   instead of `seed`.
+ * @returns {Phylo} The tree.
+ * @throws {Error} If the rates are invalid or the tree grows larger than `maxTips`.
+ */
+export function rlineage(birth, death, Tmax = 50, { maxTips = 100000, seed = null, rng = null } = {}) {
+  checkRates(birth, death);
+  if (rng === null) rng = createRng(seed);
+  const history = grow(rng, birth, death, 2, { Tmax, maxLineages: maxTips });
+  if (history.alive > maxTips) {
+    throw new Error("the simulated tree has more than maxTips lineages.");
+  }
+  return phyloFromNested(pruneHistory(history, [0, 1], Tmax, true));
+}
+
+/**
+ * Simulates a birth–death process and keeps the living lineages.
+ *
+ * This function mimics the behavior of R's rbdtree (ape): as rlineage, but the
+ * extinct lineages are removed, so the tree is ultrametric.
+ *
+ * @param {number} birth - The speciation rate.
+ * @param {number} death - The extinction rate.
+ * @param {number} [Tmax=50] - The duration of the process.
+ * @param {object} [options={}] - Options object (see rlineage).
+ * @returns {Phylo|null} The tree, or null if fewer than two lineages survived.
+ * @throws {Error} If the rates are invalid or the tree grows larger than `maxTips`.
+ */
+export function rbdtree(birth, death, Tmax = 50, { maxTips = 100000, seed = null, rng = null } = {}) {
+  checkRates(birth, death);
+  if (rng === null) rng = createRng(seed);
+  const history = grow(rng, birth, death, 2, { Tmax, maxLineages: maxTips });
+  if (history.alive > maxTips) {
+    throw new Error("the simulated tree has more than maxTips lineages.");
+  }
+  const root = history.alive >= 2 ? pruneHistory(history, [0, 1], Tmax, false) : null;
+  if (root === null || root.children.length === 0) {
+    console.warn("fewer than two lineages survived: returning null");
+    return null;
+  }
+  delete root.length;
+  return phyloFromNested(root);
+}
+
+/**
+ * Computes the binomial probability of x successes among k trials.
+ *
+ * @param {number} x - The number of successes.
+ * @param {number} k - The number of trials.
+ * @param {number} p - The probability of success.
+ * @returns {number} The probability.
+ */
+function dbinom(x, k, p) {
+  if (x > k) return 0;
+  if (p === 1) return x === k ? 1 : 0;
+  let logChoose = 0;
+  for (let i = 1; i <= x; i++) logChoose += Math.log((k - x + i) / i);
+  return Math.exp(logChoose + x * Math.log(p) + (k - x) * Math.log(1 - p));
+}
+
+/**
+ * Simulates a birth–death tree with a given number of sampled living tips.
+ *
+ * This function mimics the behavior of R's sim.bd.taxa (TreeSim) with the general
+ * sampling approach of Hartmann, Wong and Stadler (2010): the process starts with
+ * one lineage and runs until it has many more lineages than needed (or dies out);
+ * the tree is then cut at a time drawn among the intervals with k living lineages,
+ * with weights proportional to their length times the probability that sampling
+ * each lineage with probability `frac` keeps `n` of them. `n` of the k lineages are
+ * then sampled at random.
+ *
+ * The root edge of the tree is the time from the start of the process to the most
+ * recent common ancestor of the tips.
+ *
+ * @param {number} n - The number of sampled living tips.
+ * @param {object} [options={}] - Options object.
+ * @param {number} [options.lambda=1] - The speciation rate.
+ * @param {number} [options.mu=0] - The extinction rate.
+ * @param {number} [options.frac=1] - The sampling probability of the living lineages.
+ * @param {boolean} [options.complete=false] - Whether to keep the extinct and unsampled
+ *   lineages.
+ * @param {number|null} [options.seed=null] - A seed for the random number generator.
+ * @param {function(): number|null} [options.rng=null] - A random number generator, used
+ *   instead of `seed`.
+ * @returns {Phylo} The tree.
+ * @throws {Error} If the parameters are invalid.
+ */
+export function simBdTaxa(n, { lambda = 1, mu = 0, frac = 1, complete = false, seed = null, rng = null } = {}) {
+  if (!Number.isInteger(n) || n < 2) {
+    throw new Error("n must be an integer, at least 2.");
+  }
+  if (!(lambda > 0 && mu >= 0)) {
+    throw new Error("lambda must be positive and mu must not be negative.");
+  }
+  if (!(frac > 0 && frac <= 1)) {
+    throw new Error("frac must be in (0, 1].");
+  }
+  if (rng === null) rng = createRng(seed);
+  // Beyond this number of lineages, the weight of the intervals is negligible.
+  const maxLineages = mu === 0 && frac === 1 ? n : Math.ceil((10 * n) / frac);
+
+  for (;;) {
+    const intervals = [];
+    let total = 0;
+    const history = grow(rng, lambda, mu, 1, {
+      maxLineages,
+      onInterval: (from, to, k) => {
+        if (k < n || !Number.isFinite(to)) return;
+        const weight = (to - from) * dbinom(n, k, frac);
+        if (weight > 0) {
+          intervals.push({ from, to, weight });
+          total += weight;
+        }
+      },
+    });
+    if (total === 0) continue;
+
+    // Draw the time at which the tree is cut.
+    let u = rng() * total;
+    let chosen = intervals[intervals.length - 1];
+    for (const interval of intervals) {
+      if (u < interval.weight) {
+        chosen = interval;
+        break;
+      }
+      u -= interval.weight;
+    }
+    const cut = chosen.from + rng() * (chosen.to - chosen.from);
+
+    // Sample n of the lineages living at that time.
+    const living = [];
+    for (let i = 0; i < history.start.length; i++) {
+      if (history.start[i] < cut && history.end[i] > cut) living.push(i);
+    }
+    for (let i = 0; i < n; i++) {
+      const j = i + Math.floor(rng() * (living.length - i));
+      [living[i], living[j]] = [living[j], living[i]];
+    }
+    const root = pruneHistory(history, [0], cut, complete, new Set(living.slice(0, n)));
+    if (root === null || countTips(root) < 2) continue;
+    return phyloFromNested(root);
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * @file build-phylo.js
+ * @module buildPhylo
+ *
+ * This module builds Phylo objects from the trees made by tree construction and
+ * simulation functions, whose internal nodes are created with arbitrary
+ * identifiers.
+ *
+ * buildPhylo keeps the numbers of the tips (1..n, in the order of their labels):
+ * the root is numbered n + 1 and the other internal nodes follow in cladewise
+ * order. phyloFromNested numbers simulated trees as parseNewick does.
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - convertToPhylo(tree) (from newick-parser.js)
+ */
+
+import Phylo from "./phylo.js";
+import { convertToPhylo } from "./newick-parser.js";
+
+/**
+ * Builds a phylo object from the children of each node.
+ *
+ * @param {Array<string>} tipLabel - The tip labels; tip i has the identifier i + 1.
+ * @param {Map<number, Array<number>>} children - The children of each internal node,
+ *   keyed by identifier (identifiers of internal nodes must be greater than the
+ *   number of tips).
+ * @param {Map<number, number>|null} edgeLength - The length of the edge above each node,
+ *   keyed by identifier, or null for a tree without branch lengths.
+ * @param {number} root - The identifier of the root.
+ * @returns {Phylo} The tree, in cladewise order.
+ */
+export function buildPhylo(tipLabel, children, edgeLength, root) {
+  const n = tipLabel.length;
+  const number = new Map();
+  number.set(root, n + 1);
+  let Nnode = 1;
+  const edge = [];
+  const lengths = [];
+  const stack = [];
+  for (let k = children.get(root).length - 1; k >= 0; k--) stack.push([root, children.get(root)[k]]);
+  while (stack.length > 0) {
+    const [p, v] = stack.pop();
+    if (v > n) {
+      Nnode++;
+      number.set(v, n + Nnode);
+    }
+    edge.push([number.get(p), v > n ? number.get(v) : v]);
+    if (edgeLength !== null) lengths.push(edgeLength.get(v));
+    const below = children.get(v);
+    if (below) {
+      for (let k = below.length - 1; k >= 0; k--) stack.push([v, below[k]]);
+    }
+  }
+  const tree = new Phylo(edge, edgeLength !== null ? lengths : null, tipLabel.slice(), null, Nnode);
+  tree.order = "cladewise";
+  return tree;
+}
+
+/**
+ * Builds a phylo object from a simulated nested tree.
+ *
+ * The tree is numbered as by parseNewick (see convertToPhylo). Its tips are
+ * labelled "t1", "t2", ... in the order of their numbers, unless labels are given,
+ * and its nodes have no labels.
+ *
+ * @param {Object} root - The root of the nested tree; its `length`, if any, becomes
+ *   the root edge.
+ * @param {Array<string>|null} [tipLabel=null] - The tip labels, in the order of the tip
+ *   numbers.
+ * @returns {Phylo} The tree.
+ */
+export function phyloFromNested(root, tipLabel = null) {
+  const tree = convertToPhylo(root);
+  tree.tipLabel = tipLabel ? tipLabel.slice() : tree.tipLabel.map((_, i) => "t" + (i + 1));
+  tree.nodeLabel = null;
+  return tree;
+}
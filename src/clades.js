@@ -0,0 +1,147 @@
+/**
+ * @file clades.js
+ * @module clades
+ *
+ * This module provides the clade utilities shared by the topological distances,
+ * the consensus trees and the clade credibility functions: the clades of a tree,
+ * their keys, and the matching of the tips of trees on their labels.
+ *
+ * A clade is keyed by its sorted tip numbers. In unrooted mode, each clade is
+ * replaced by the side of its bipartition that does not contain tip 1, so that the
+ * keys of the splits of unrooted trees do not depend on the position of their root.
+ *
+ * These functions are internal: they are not exported by index.js.
+ *
+ * Note: This module uses the utility function `reorder` from reorder.js.
+ */
+
+import { reorder } from "./reorder.js";
+
+/**
+ * Computes the bipartitions (clades) for a tree based on its edge matrix.
+ *
+ * @param {Array<Array<number>>} orig - The edge matrix (each row is [parent, child])
+ *                                      with nodes numbered in a 1-indexed fashion.
+ * @param {number} nTips - The number of tip nodes.
+ * @returns {Array<Array<number>>} An array of integer arrays, each representing a clade.
+ */
+export function bipartition2(orig, nTips) {
+  // Extract parent and child vectors.
+  const parent = orig.map(row => row[0]);
+  const children = orig.map(row => row[1]);
+  const m = Math.max(...parent);
+  const nnode = m - nTips;
+  // Create an array of empty arrays for the partitions.
+  const out = new Array(nnode).fill(null).map(() => []);
+  
+  // For each edge, add the descendant (or its partition if internal)
+  // to the partition of the parent.
+  for (let i = 0; i < parent.length; i++) {
+    const j = parent[i] - nTips - 1; // 0-indexed position in out
+    if (children[i] > nTips) {
+      // Child is an internal node: concatenate its partition.
+      const y = out[children[i] - nTips - 1];
+      out[j] = out[j].concat(y);
+    } else {
+      // Child is a tip: add its number.
+      out[j].push(children[i]);
+    }
+  }
+  // Sort each partition.
+  for (let i = 0; i < nnode; i++) {
+    out[i].sort((a, b) => a - b);
+  }
+  return out;
+}
+
+/**
+ * Maps the tip numbers of a tree to the tip numbers of a reference label order.
+ *
+ * @param {Array<string>} ref - The reference tip labels.
+ * @param {Array<string>} labels - The tip labels of the tree.
+ * @returns {Array<number>} An array where index i - 1 gives the reference number of tip i.
+ * @throws {Error} If the two label sets differ.
+ */
+export function matchTips(ref, labels) {
+  if (ref === labels) return labels.map((_, i) => i + 1);
+  if (ref.length !== labels.length) {
+    throw new Error("trees have different numbers of tips.");
+  }
+  const index = new Map(ref.map((l, i) => [l, i + 1]));
+  return labels.map(l => {
+    const k = index.get(l);
+    if (k === undefined) throw new Error("trees have different tip labels.");
+    return k;
+  });
+}
+
+/**
+ * Gives the key of a clade, or of a split if the trees are unrooted.
+ *
+ * A split is represented by the side of the bipartition that does not contain
+ * tip 1, which amounts to rooting every tree on the first tip.
+ *
+ * @param {Array<number>} tips - The tip numbers of the clade.
+ * @param {number} n - The number of tips.
+ * @param {boolean} rooted - Whether clades of rooted trees are compared.
+ * @returns {{key: string, tips: Array<number>}} The key (the sorted tip numbers) and the tips.
+ */
+export function cladeKey(tips, n, rooted) {
+  if (!rooted && tips.includes(1) && tips.length < n) {
+    const inClade = new Set(tips);
+    tips = [];
+    for (let t = 2; t <= n; t++) {
+      if (!inClade.has(t)) tips.push(t);
+    }
+  } else {
+    tips = tips.slice().sort((a, b) => a - b);
+  }
+  return { key: tips.join(","), tips };
+}
+
+/**
+ * Computes the clade keys of the internal nodes of a tree.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {Array<number>} tipMap - Reference number of each tip (see matchTips).
+ * @param {boolean} rooted - Whether clades of rooted trees are compared.
+ * @returns {Array<{key: string, tips: Array<number>}>} The clade keys, indexed by node - nTips - 1.
+ */
+export function nodeClades(phy, tipMap, rooted) {
+  const n = phy.tipLabel.length;
+  const post = reorder(phy, "postorder", true);
+  const clades = bipartition2(post.map(i => phy.edge[i]), n);
+  return clades.map(tips => cladeKey(tips.map(t => tipMap[t - 1]), n, rooted));
+}
+
+/**
+ * Counts the clades (or splits) found in a set of trees.
+ *
+ * @param {Array<object>} trees - The trees.
+ * @param {Array<string>} ref - The reference tip labels.
+ * @param {boolean} rooted - Whether clades of rooted trees are compared.
+ * @param {boolean} [checkLabels=true] - If true, the trees are matched on their tip labels;
+ *   otherwise, their tips are assumed to be numbered as in `ref`.
+ * @returns {Map<string, {tips: Array<number>, count: number}>} The clades, keyed as in
+ *   cladeKey, with the number of trees containing them.
+ */
+export function countClades(trees, ref, rooted, checkLabels = true) {
+  const counts = new Map();
+  const identity = ref.map((_, i) => i + 1);
+  for (const tree of trees) {
+    const tipMap = checkLabels ? matchTips(ref, tree.tipLabel) : identity;
+    const seen = new Set();
+    for (const { key, tips } of nodeClades(tree, tipMap, rooted)) {
+      // The two clades below a bifurcating root are one split in an unrooted tree.
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const entry = counts.get(key);
+      if (entry) {
+        entry.count++;
+      } else {
+        counts.set(key, { tips, count: 1 });
+      }
+    }
+  }
+  return counts;
+}
@@ -21,11 +21,13 @@
 
 import { reorder } from './reorder.js';
 import { tabulate } from './common-utilities.js';
+import MultiPhylo from './multi-phylo.js';
 
 /**
  * Determines whether a phylogenetic tree (or array of trees) has any single-child nodes.
  *
- * @param {object|Array<object>} tree - A phylogenetic tree object or an array of such objects.
+ * @param {object|Array<object>|MultiPhylo} tree - A phylogenetic tree object, an array of such
+ *                                      objects, or a MultiPhylo object.
  *                                      Each tree is expected to have an `edge` property
  *                                      (a 2D array where each row is [parent, child]).
  * @returns {boolean|Array<boolean>} True if at least one singleton is found; if multiple trees are provided,
@@ -41,6 +43,7 @@ export function hasSingles(tree) {
     }
     return false;
   };
+  if (tree instanceof MultiPhylo) tree = tree.trees;
   if (!Array.isArray(tree)) return fun(tree);
   return tree.map(fun);
 }
@@ -80,6 +83,10 @@ export function collapseSingles(tree, rootEdge = false) {
   }
   if (allInternalMultiple) return tree;
 
+  // Edge annotations follow their edges; an edge that absorbs the edge below a
+  // singleton keeps the annotation of the lower edge, or else its own.
+  let ea = tree.edgeAnnotation ? tree.edgeAnnotation.slice() : null;
+
   // Determine if branch lengths are available.
   let wbl = false;
   let el = [];
@@ -110,6 +117,7 @@ export function collapseSingles(tree, rootEdge = false) {
       ROOT = e2[iIndex];
       e1.splice(iIndex, 1);
       e2.splice(iIndex, 1);
+      if (ea) ea.splice(iIndex, 1);
       if (wbl) {
         if (rootEdge) ROOTEDGE += el[iIndex];
         el.splice(iIndex, 1);
@@ -134,6 +142,7 @@ export function collapseSingles(tree, rootEdge = false) {
     const jj = ii.map(idx => e2.indexOf(e1[idx]));
     for (let k = 0; k < ii.length; k++) {
       e2[jj[k]] = e2[ii[k]];
+      if (ea) ea[jj[k]] = ea[ii[k]] || ea[jj[k]] || null;
       if (wbl) {
         el[jj[k]] = el[jj[k]] + el[ii[k]];
       }
@@ -142,6 +151,7 @@ export function collapseSingles(tree, rootEdge = false) {
     for (const idx of ii) {
       e1.splice(idx, 1);
       e2.splice(idx, 1);
+      if (ea) ea.splice(idx, 1);
       if (wbl) el.splice(idx, 1);
     }
   }
@@ -161,8 +171,9 @@ export function collapseSingles(tree, rootEdge = false) {
   const newNb = new Array(maxOld).fill(0);
   newNb[ROOT - 1] = n + 1;
 
-  // For all nodes in e2 that are internal (i.e. > n), assign new numbers.
-  const internalNodes = [...new Set(e2.filter(val => val > n))].sort((a, b) => a - b);
+  // For all nodes in e2 that are internal (i.e. > n), assign new numbers in
+  // cladewise order, which is also the order of the node labels above.
+  const internalNodes = [...new Set(e2.filter(val => val > n))];
   const newNumbers = [];
   for (let num = n + 2; num <= n + Nnode; num++) {
     newNumbers.push(num);
@@ -180,6 +191,12 @@ export function collapseSingles(tree, rootEdge = false) {
   for (let i = 0; i < e1.length; i++) {
     tree.edge.push([e1[i], e2[i]]);
   }
+  if (tree.nodeAnnotation) {
+    const nodeAnnotation = tree.nodeAnnotation.slice(0, n);
+    for (const v of oldnodes) nodeAnnotation[newNb[v - 1] - 1] = tree.nodeAnnotation[v - 1] || null;
+    tree.nodeAnnotation = nodeAnnotation;
+  }
+  if (ea) tree.edgeAnnotation = ea;
   tree.Nnode = Nnode;
   if (wbl) {
     if (rootEdge) tree.rootEdge = ROOTEDGE;
@@ -21,9 +21,11 @@ export function tabulate(arr) {
 * @param {boolean} [options.naLast=true] - If true, missing values are ranked last; if false, ranked first.
 * @param {string} [options.tiesMethod="average"] - Method for handling ties:
 *         "average", "first", "last", "random", "max", or "min".
+* @param {function(): number} [options.rng=Math.random] - The random number generator used by
+*         the "random" method (see createRng).
 * @returns {Array<number>} Array of ranks.
 */
-export function rank(arr, { naLast = true, tiesMethod = "average" } = {}) {
+export function rank(arr, { naLast = true, tiesMethod = "average", rng = Math.random } = {}) {
     const n = arr.length;
     const nonMissing = [];
     const missingIndices = [];
@@ -91,7 +93,7 @@ export function rank(arr, { naLast = true, tiesMethod = "average" } = {}) {
             }
             // Shuffle the groupRanks array.
             for (let k = groupRanks.length - 1; k > 0; k--) {
-                const randIdx = Math.floor(Math.random() * (k + 1));
+                const randIdx = Math.floor(rng() * (k + 1));
                 [groupRanks[k], groupRanks[randIdx]] = [groupRanks[randIdx], groupRanks[k]];
             }
             for (let k = i; k < j; k++) {
@@ -126,3 +128,44 @@ export function rank(arr, { naLast = true, tiesMethod = "average" } = {}) {
 
     return ranks;
 }
+
+/**
+ * Creates a pseudo-random number generator.
+ *
+ * With a seed, the generator is a mulberry32 PRNG, so the same seed always gives
+ * the same sequence; without one, it is Math.random.
+ *
+ * @param {number|null} [seed=null] - An integer seed (taken modulo 2^32), or null for
+ *   Math.random.
+ * @returns {function(): number} A function returning numbers uniformly distributed in [0, 1).
+ * @throws {Error} If the seed is not an integer.
+ */
+export function createRng(seed = null) {
+    if (seed === null || seed === undefined) return Math.random;
+    if (!Number.isInteger(seed)) {
+        throw new Error("seed must be an integer.");
+    }
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Lists the edges from each node of a tree, in edge matrix order.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @returns {Map<number, Array<number>>} The edge indices, keyed by parent node.
+ */
+export function childEdges(phy) {
+    const children = new Map();
+    phy.edge.forEach(([p], i) => {
+        if (!children.has(p)) children.set(p, []);
+        children.get(p).push(i);
+    });
+    return children;
+}
@@ -0,0 +1,95 @@
+/**
+ * @file consensus.js
+ * @module consensus
+ *
+ * This module exports the function `consensus`, which builds a strict or
+ * majority-rule consensus tree from a set of trees, mimicking the behavior of
+ * R's consensus function from the ape package.
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - countClades(trees, ref, rooted) (from clades.js)
+ *   - isRooted(phy, ntips)            (from root.js)
+ *   - convertToPhylo(tree)            (from newick-parser.js)
+ */
+
+import { countClades } from "./clades.js";
+import { isRooted } from "./root.js";
+import { convertToPhylo } from "./newick-parser.js";
+import MultiPhylo from "./multi-phylo.js";
+
+/**
+ * Builds a tree from a set of compatible clades.
+ *
+ * @param {Array<{tips: Array<number>, name: string}>} clades - The clades, which must
+ *   include the clade of all tips.
+ * @param {Array<string>} labels - The tip labels.
+ * @returns {Phylo} The tree.
+ */
+export function buildFromClades(clades, labels) {
+  const n = labels.length;
+  const sorted = clades.slice().sort((a, b) => b.tips.length - a.tips.length);
+  // deepest[t] is the smallest clade placed so far that contains tip t.
+  const deepest = new Array(n + 1).fill(null);
+  let root = null;
+  for (const clade of sorted) {
+    const node = { children: [], name: clade.name };
+    if (root === null) {
+      root = node;
+    } else {
+      deepest[clade.tips[0]].children.push(node);
+    }
+    for (const t of clade.tips) deepest[t] = node;
+  }
+  for (let t = 1; t <= n; t++) {
+    deepest[t].children.push({ children: [], name: labels[t - 1] });
+  }
+  return convertToPhylo(root);
+}
+
+/**
+ * Computes the consensus tree of a set of trees.
+ *
+ * This function mimics the behavior of R's consensus (ape): the clades found in at
+ * least a proportion `p` of the trees are kept. With p = 1, this gives the strict
+ * consensus; with p = 0.5, the majority-rule consensus. The proportion of trees
+ * containing each clade is stored in the node labels.
+ *
+ * @param {Array<object>|MultiPhylo} trees - The trees.
+ * @param {object} [options={}] - Options object.
+ * @param {number} [options.p=1] - The minimum proportion of trees a clade must be found in,
+ *   between 0.5 and 1.
+ * @param {boolean} [options.checkLabels=true] - If true, match the trees on their tip labels.
+ * @param {boolean} [options.rooted=false] - If true, the trees are treated as rooted and
+ *   must all be rooted; otherwise, bipartitions are compared.
+ * @returns {Phylo} The consensus tree.
+ * @throws {Error} If `p` is out of range, or `rooted` is true and a tree is unrooted.
+ */
+export function consensus(trees, { p = 1, checkLabels = true, rooted = false } = {}) {
+  if (p < 0.5 || p > 1) {
+    throw new Error("p must be between 0.5 and 1.");
+  }
+  // Avoid incompatible splits with exactly half of the trees each.
+  if (p === 0.5) p = 0.5000001;
+
+  const list = trees instanceof MultiPhylo ? trees.trees : trees;
+  if (list.length === 0) {
+    throw new Error("no tree given.");
+  }
+  const labels = trees instanceof MultiPhylo && trees.tipLabel ? trees.tipLabel : list[0].tipLabel;
+  const n = labels.length;
+  const ntree = list.length;
+  if (rooted && list.some(t => !isRooted(t, n))) {
+    throw new Error("some trees are not rooted: use rooted = false.");
+  }
+
+  const clades = [];
+  for (const { tips, count } of countClades(list, labels, rooted, checkLabels).values()) {
+    if (tips.length === n) continue;
+    if (tips.length < 2 || (!rooted && tips.length > n - 2)) continue;
+    if (count >= p * ntree) clades.push({ tips, name: String(count / ntree) });
+  }
+  const all = Array.from({ length: n }, (_, i) => i + 1);
+  clades.push({ tips: all, name: "" });
+
+  return buildFromClades(clades, labels);
+}
@@ -0,0 +1,125 @@
+/**
+ * @file cophenetic.js
+ * @module cophenetic
+ *
+ * This module computes distances along the branches of a tree, mimicking R's
+ * cophenetic.phylo and dist.nodes from the ape package.
+ *
+ * Both functions traverse the tree once with the edge orders given by reorder, so
+ * they run in time proportional to the size of the returned matrix. The matrices
+ * are stored as Float64Arrays (row-major) to remain compact for large trees.
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - reorder(phy, order, indexOnly) (from reorder.js)
+ */
+
+import { reorder } from "./reorder.js";
+
+/**
+ * Checks that a tree has branch lengths.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @throws {Error} If the tree has no branch lengths.
+ */
+function checkEdgeLength(phy) {
+  if (phy.edgeLength == null) {
+    throw new Error("the tree has no branch lengths.");
+  }
+}
+
+/**
+ * Computes the cophenetic (patristic) distances between the tips of a tree.
+ *
+ * This function mimics the behavior of R's cophenetic.phylo: the distance between
+ * two tips is the sum of the branch lengths on the path joining them. The tree is
+ * traversed in postorder; at each node, the tips below each child are paired with
+ * the tips already collected below the node, so each pair is visited exactly once.
+ *
+ * @param {object} phy - A phylogenetic tree object with branch lengths.
+ * @returns {{labels: Array<string>, matrix: Float64Array}} An object with properties:
+ *   - labels: the tip labels, in tip number order.
+ *   - matrix: a Float64Array of size n x n (row-major) with the pairwise distances.
+ * @throws {Error} If the tree has no branch lengths.
+ */
+export function cophenetic(phy) {
+  checkEdgeLength(phy);
+  const n = phy.tipLabel.length;
+  const matrix = new Float64Array(n * n);
+  // For each node visited, the tips below it with their distance to it.
+  const tips = new Array(n + phy.Nnode + 1).fill(null);
+  const dist = new Array(n + phy.Nnode + 1).fill(null);
+  for (let i = 1; i <= n; i++) {
+    tips[i] = [i];
+    dist[i] = [0];
+  }
+
+  for (const k of reorder(phy, "postorder", true)) {
+    const [p, c] = phy.edge[k];
+    const len = phy.edgeLength[k];
+    const cTips = tips[c];
+    const cDist = dist[c].map(d => d + len);
+    if (tips[p] === null) {
+      tips[p] = [];
+      dist[p] = [];
+    }
+    const pTips = tips[p];
+    const pDist = dist[p];
+    for (let a = 0; a < cTips.length; a++) {
+      const rowA = (cTips[a] - 1) * n;
+      for (let b = 0; b < pTips.length; b++) {
+        const d = cDist[a] + pDist[b];
+        matrix[rowA + pTips[b] - 1] = d;
+        matrix[(pTips[b] - 1) * n + cTips[a] - 1] = d;
+      }
+    }
+    for (let a = 0; a < cTips.length; a++) {
+      pTips.push(cTips[a]);
+      pDist.push(cDist[a]);
+    }
+    tips[c] = dist[c] = null;
+  }
+
+  return { labels: phy.tipLabel.slice(), matrix };
+}
+
+/**
+ * Computes the distances between all the nodes of a tree, tips included.
+ *
+ * This function mimics the behavior of R's dist.nodes: the tree is traversed in
+ * preorder, and the distance from each new node to every node already visited is
+ * its parent's distance plus the length of the edge joining them.
+ *
+ * @param {object} phy - A phylogenetic tree object with branch lengths.
+ * @returns {{labels: Array<string>, matrix: Float64Array}} An object with properties:
+ *   - labels: the tip labels followed by the node labels (or the node numbers for
+ *     unlabelled nodes), so that node i is at index i - 1.
+ *   - matrix: a Float64Array of size N x N (row-major), N = nTips + Nnode.
+ * @throws {Error} If the tree has no branch lengths.
+ */
+export function distNodes(phy) {
+  checkEdgeLength(phy);
+  const n = phy.tipLabel.length;
+  const N = n + phy.Nnode;
+  const matrix = new Float64Array(N * N);
+  const visited = [n + 1];
+
+  for (const k of reorder(phy, "cladewise", true)) {
+    const [p, c] = phy.edge[k];
+    const len = phy.edgeLength[k];
+    const rowP = (p - 1) * N;
+    const rowC = (c - 1) * N;
+    for (const x of visited) {
+      const d = matrix[rowP + x - 1] + len;
+      matrix[rowC + x - 1] = d;
+      matrix[(x - 1) * N + c - 1] = d;
+    }
+    visited.push(c);
+  }
+
+  const labels = phy.tipLabel.slice();
+  for (let i = 0; i < phy.Nnode; i++) {
+    const label = phy.nodeLabel ? phy.nodeLabel[i] : null;
+    labels.push(label ? label : String(n + i + 1));
+  }
+  return { labels, matrix };
+}
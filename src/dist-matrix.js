@@ -0,0 +1,57 @@
+/**
+ * @file dist-matrix.js
+ * @module distMatrix
+ *
+ * This module reads the distance matrices given to tree construction functions.
+ *
+ * Distance matrices are used across miniape in the format returned by cophenetic:
+ * an object `{ labels, matrix }` where `matrix` is a Float64Array in row-major
+ * order. They can also be given as flat arrays (typed or not) of n * n values, or
+ * as arrays of rows, with the labels passed separately.
+ */
+
+/**
+ * Converts a distance matrix to the labelled format.
+ *
+ * @param {{labels: Array<string>, matrix: ArrayLike<number>}|ArrayLike<number>|Array<Array<number>>} d -
+ *   The distance matrix.
+ * @param {Array<string>|null} [labels=null] - The labels, if `d` has none; by default,
+ *   "1", "2", ... are used.
+ * @returns {{labels: Array<string>, matrix: Float64Array}} A copy of the matrix, with its
+ *   labels.
+ * @throws {Error} If the matrix is not square, does not match the labels, or has
+ *   missing values.
+ */
+export function asDistMatrix(d, labels = null) {
+  let values = d;
+  if (d && d.matrix) {
+    values = d.matrix;
+    if (labels === null) labels = d.labels;
+  }
+  let matrix;
+  if (values.length > 0 && typeof values[0] === "object" && values[0] !== null) {
+    // An array of rows.
+    const n = values.length;
+    matrix = new Float64Array(n * n);
+    values.forEach((row, i) => {
+      if (row.length !== n) throw new Error("the distance matrix must be square.");
+      for (let j = 0; j < n; j++) matrix[i * n + j] = row[j];
+    });
+  } else {
+    matrix = Float64Array.from(values);
+  }
+  const n = Math.round(Math.sqrt(matrix.length));
+  if (n * n !== matrix.length) {
+    throw new Error("the distance matrix must be square.");
+  }
+  if (labels === null) {
+    labels = Array.from({ length: n }, (_, i) => String(i + 1));
+  }
+  if (labels.length !== n) {
+    throw new Error("the number of labels does not match the distance matrix.");
+  }
+  if (matrix.some(v => Number.isNaN(v))) {
+    throw new Error("missing values are not allowed in the distance matrix.");
+  }
+  return { labels: labels.slice(), matrix };
+}
@@ -15,10 +15,21 @@
  *   - labels: the tip labels of the tree
  *   - class: the string "prop.part"
  *
- * Note: This module uses the utility function `reorder` from reorder.js.
+ * It also implements topological distances between trees, porting R's
+ * dist.topo and the related distances of phangorn:
+ *   - "RF" (or "PH85"): Robinson–Foulds distance (Penny & Hendy 1985).
+ *   - "wRF":            weighted Robinson–Foulds distance (Robinson & Foulds 1979).
+ *   - "KF" (or "score"): branch score distance (Kuhner & Felsenstein 1994).
+ *   - "path":           path difference distance (Steel & Penny 1993).
+ * Trees are matched on their tip labels, so their tip numbering may differ.
+ *
+ * Note: This module uses the utility function `reorder` from reorder.js, and the
+ * clade utilities of clades.js.
  */
 
 import { reorder } from './reorder.js';
+import MultiPhylo from './multi-phylo.js';
+import { bipartition2, matchTips, cladeKey, nodeClades, countClades } from './clades.js';
 
 /**
  * Compare two arrays for equality (element-wise).
@@ -35,43 +46,6 @@ function arrayEquals(a, b) {
   return true;
 }
 
-/**
- * Computes the bipartitions (clades) for a tree based on its edge matrix.
- *
- * @param {Array<Array<number>>} orig - The edge matrix (each row is [parent, child])
- *                                      with nodes numbered in a 1-indexed fashion.
- * @param {number} nTips - The number of tip nodes.
- * @returns {Array<Array<number>>} An array of integer arrays, each representing a clade.
- */
-function bipartition2(orig, nTips) {
-  // Extract parent and child vectors.
-  const parent = orig.map(row => row[0]);
-  const children = orig.map(row => row[1]);
-  const m = Math.max(...parent);
-  const nnode = m - nTips;
-  // Create an array of empty arrays for the partitions.
-  const out = new Array(nnode).fill(null).map(() => []);
-  
-  // For each edge, add the descendant (or its partition if internal)
-  // to the partition of the parent.
-  for (let i = 0; i < parent.length; i++) {
-    const j = parent[i] - nTips - 1; // 0-indexed position in out
-    if (children[i] > nTips) {
-      // Child is an internal node: concatenate its partition.
-      const y = out[children[i] - nTips - 1];
-      out[j] = out[j].concat(y);
-    } else {
-      // Child is a tip: add its number.
-      out[j].push(children[i]);
-    }
-  }
-  // Sort each partition.
-  for (let i = 0; i < nnode; i++) {
-    out[i].sort((a, b) => a - b);
-  }
-  return out;
-}
-
 /**
  * Internal function to compute the proportional partitions from a list of trees.
  *
@@ -130,7 +104,11 @@ function propPart2(trees, nTips) {
  * The function reorders the tree(s) in "postorder", computes the clades
  * (bipartitions) using `propPart2`, and attaches the tip labels as the "labels" attribute.
  *
- * @param {object|Array<object>} tre - A phylogenetic tree object or an array of such objects.
+ * @param {object|Array<object>|MultiPhylo} tre - A phylogenetic tree object, an array of such
+ *                                     objects, or a MultiPhylo object.
+ * @param {boolean} [checkLabels=false] - If true, the trees are matched on their tip labels
+ *                                     (numbered as in the first tree); otherwise, their tips
+ *                                     are assumed to be numbered alike.
  *                                     Each tree is expected to have properties:
  *                                     - edge: 2D array of edges ([parent, child])
  *                                     - tipLabel: array of tip labels.
@@ -140,16 +118,275 @@ function propPart2(trees, nTips) {
  *                   - labels: The tip labels of the tree.
  *                   - class: "prop.part"
  */
-function propPart(tre) {
+function propPart(tre, checkLabels = false) {
   // Check if tre is an array of trees.
-  let trees = Array.isArray(tre) ? tre.slice() : [tre];
+  let trees;
+  if (tre instanceof MultiPhylo) {
+    trees = tre.trees.slice();
+  } else {
+    trees = Array.isArray(tre) ? tre.slice() : [tre];
+  }
   // Reorder each tree in postorder.
   trees = trees.map(t => reorder(t, "postorder"));
   const nTips = trees[0].tipLabel.length;
+  if (checkLabels) {
+    const ref = trees[0].tipLabel;
+    trees = trees.map(t => {
+      if (t.tipLabel === ref) return t;
+      const tipMap = matchTips(ref, t.tipLabel);
+      return { edge: t.edge.map(([p, c]) => [p, c <= nTips ? tipMap[c - 1] : c]), tipLabel: ref };
+    });
+  }
   const clades = propPart2(trees, nTips);
   // Attach the tip labels.
   clades.labels = trees[0].tipLabel;
   return clades;
 }
 
-export { propPart };
+/**
+ * Computes the splits (or clades) of a tree with the length of their edge.
+ *
+ * In unrooted mode, each clade is replaced by the side of its bipartition that
+ * does not contain the first reference tip, so that the two edges below a
+ * bifurcating root give one split with the sum of their lengths.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {Array<number>} tipMap - Reference number of each tip (see matchTips).
+ * @param {boolean} rooted - Whether to compare rooted clades.
+ * @returns {Map<string, {size: number, length: number}>} The splits, keyed by their
+ *   sorted reference tip numbers, including the trivial splits of the terminal edges.
+ */
+function splitMap(phy, tipMap, rooted) {
+  const n = phy.tipLabel.length;
+  const post = reorder(phy, "postorder", true);
+  const edge = post.map(i => phy.edge[i]);
+  const clades = bipartition2(edge, n);
+  const splits = new Map();
+
+  for (let k = 0; k < post.length; k++) {
+    const child = edge[k][1];
+    const len = phy.edgeLength != null && phy.edgeLength[post[k]] != null ? phy.edgeLength[post[k]] : 0;
+    const clade = child <= n ? [tipMap[child - 1]] : clades[child - n - 1].map(t => tipMap[t - 1]);
+    if (clade.length === n) continue;
+    const { key, tips } = cladeKey(clade, n, rooted);
+    if (tips.length === 0) continue;
+    const prev = splits.get(key);
+    if (prev) {
+      prev.length += len;
+    } else {
+      splits.set(key, { size: tips.length, length: len });
+    }
+  }
+  return splits;
+}
+
+/**
+ * Counts how many trees of a set contain each clade of a reference tree.
+ *
+ * This function mimics the behavior of R's prop.clades (ape). The trees are matched
+ * to the reference tree on their tip labels, so their tip numbering may differ.
+ *
+ * @param {object} phy - The reference tree.
+ * @param {Array<object>|MultiPhylo} trees - The trees (e.g. bootstrap or posterior trees).
+ * @param {object} [options={}] - Options object.
+ * @param {boolean} [options.rooted=false] - If true, compare clades of rooted trees;
+ *   otherwise, compare bipartitions.
+ * @param {boolean} [options.proportion=false] - If true, return proportions instead of counts.
+ * @param {boolean} [options.setNodeLabel=false] - If true, also write the values into
+ *   `phy.nodeLabel`, so that writeNewick outputs a support-annotated tree.
+ * @returns {Array<number>} The count (or proportion) for each internal node, indexed by
+ *   node - nTips - 1 (as `nodeLabel`).
+ */
+function propClades(phy, trees, { rooted = false, proportion = false, setNodeLabel = false } = {}) {
+  const list = trees instanceof MultiPhylo ? trees.trees : trees;
+  const ref = phy.tipLabel;
+  const counts = countClades(list, ref, rooted);
+  const identity = ref.map((_, i) => i + 1);
+  const values = nodeClades(phy, identity, rooted).map(({ key }) => {
+    const entry = counts.get(key);
+    const count = entry ? entry.count : 0;
+    return proportion ? count / list.length : count;
+  });
+  if (setNodeLabel) {
+    phy.nodeLabel = values.map(String);
+  }
+  return values;
+}
+
+/**
+ * Computes the topological distance (number of edges) between every pair of tips.
+ *
+ * In unrooted mode, the two edges below a bifurcating root count as a single edge.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {Array<number>} tipMap - Reference number of each tip (see matchTips).
+ * @param {boolean} rooted - Whether the root node counts as a node.
+ * @returns {Float64Array} An n x n matrix (row-major) in reference tip order.
+ */
+function tipPathCounts(phy, tipMap, rooted) {
+  const n = phy.tipLabel.length;
+  const post = reorder(phy, "postorder", true);
+  const rootDegree = phy.edge.filter(row => row[0] === n + 1).length;
+  const D = new Float64Array(n * n);
+  const lists = new Array(n + phy.Nnode + 1).fill(null);
+  for (let i = 1; i <= n; i++) lists[i] = [[tipMap[i - 1], 0]];
+
+  for (const k of post) {
+    const [p, c] = phy.edge[k];
+    const w = !rooted && p === n + 1 && rootDegree === 2 ? 0.5 : 1;
+    const from = lists[c].map(([t, d]) => [t, d + w]);
+    const into = lists[p] || [];
+    for (const [ti, di] of from) {
+      for (const [tj, dj] of into) {
+        D[(ti - 1) * n + (tj - 1)] = D[(tj - 1) * n + (ti - 1)] = di + dj;
+      }
+    }
+    lists[p] = into.concat(from);
+    lists[c] = null;
+  }
+  return D;
+}
+
+/**
+ * Computes one distance between two trees from their precomputed summaries.
+ *
+ * @param {object} a - Summary of the first tree ({ splits, paths, n }).
+ * @param {object} b - Summary of the second tree.
+ * @param {string} method - "RF", "wRF", "KF" or "path".
+ * @param {boolean} rooted - Whether the trees are compared as rooted.
+ * @param {boolean} normalize - Whether to normalize the RF distance.
+ * @returns {number} The distance.
+ */
+function pairDistance(a, b, method, rooted, normalize) {
+  if (method === "path") {
+    let sum = 0;
+    for (let i = 0; i < a.paths.length; i++) {
+      const d = a.paths[i] - b.paths[i];
+      sum += d * d;
+    }
+    // Each pair of tips appears twice in the full matrices.
+    return Math.sqrt(sum / 2);
+  }
+  const n = a.n;
+  const maxSize = rooted ? n - 1 : n - 2;
+  const nonTrivial = s => s.size >= 2 && s.size <= maxSize;
+
+  if (method === "RF") {
+    let shared = 0;
+    let na = 0;
+    let nb = 0;
+    for (const [key, s] of a.splits) {
+      if (!nonTrivial(s)) continue;
+      na++;
+      if (b.splits.has(key)) shared++;
+    }
+    for (const s of b.splits.values()) {
+      if (nonTrivial(s)) nb++;
+    }
+    const rf = na + nb - 2 * shared;
+    if (!normalize) return rf;
+    return na + nb === 0 ? 0 : rf / (na + nb);
+  }
+
+  let sum = 0;
+  const add = d => {
+    sum += method === "KF" ? d * d : Math.abs(d);
+  };
+  for (const [key, s] of a.splits) {
+    const t = b.splits.get(key);
+    add(s.length - (t ? t.length : 0));
+  }
+  for (const [key, t] of b.splits) {
+    if (!a.splits.has(key)) add(t.length);
+  }
+  return method === "KF" ? Math.sqrt(sum) : sum;
+}
+
+/**
+ * Computes topological distances between trees.
+ *
+ * This function mimics R's dist.topo (ape) and RF.dist, wRF.dist, KF.dist and
+ * path.dist (phangorn). With two trees, it returns their distance; with a set of
+ * trees, it returns the symmetric matrix of pairwise distances.
+ *
+ * The Robinson–Foulds distance is the number of splits (or clades, if `rooted`)
+ * found in only one of the two trees. Normalized, it is divided by the total number
+ * of non-trivial splits of both trees, which is 2(n - 3) for two binary unrooted trees.
+ * The weighted RF and Kuhner–Felsenstein distances compare the branch lengths of all
+ * splits, a missing split having length zero. The path difference distance compares
+ * the number of edges between every pair of tips.
+ *
+ * @param {object|Array<object>|MultiPhylo} x - A phylogenetic tree object, or a set of trees.
+ * @param {object|null} [y=null] - A second tree (required if `x` is a single tree). For a
+ *   set of trees, the options can be given in its place.
+ * @param {object} [options={}] - Options object.
+ * @param {string} [options.method="RF"] - "RF" (or "PH85"), "wRF", "KF" (or "score"), or "path".
+ * @param {boolean} [options.rooted=false] - If true, compare the trees as rooted (clades
+ *   instead of bipartitions).
+ * @param {boolean} [options.normalize=false] - If true, normalize the RF distance to [0, 1].
+ * @returns {number|object} The distance between two trees; for a set of trees, an object
+ *   with properties:
+ *     - labels: the tree names (or "1", "2", ...).
+ *     - matrix: a Float64Array of size k x k (row-major) with the pairwise distances.
+ * @throws {Error} If the method is unknown, the trees have different tip labels, or
+ *   branch lengths are required but missing.
+ */
+function distTopo(x, y = null, options = {}) {
+  // distTopo(trees, options)
+  if (y !== null && !(y.edge && y.tipLabel)) {
+    if (Array.isArray(y) || y instanceof MultiPhylo) {
+      throw new Error("y must be a single tree.");
+    }
+    options = y;
+    y = null;
+  }
+  const { method: name = "RF", rooted = false, normalize = false } = options;
+  const METHODS = { RF: "RF", PH85: "RF", wRF: "wRF", KF: "KF", score: "KF", path: "path" };
+  if (!METHODS[name]) {
+    throw new Error("unknown method: " + name);
+  }
+  const method = METHODS[name];
+
+  let trees;
+  let names = null;
+  const pair = y !== null;
+  if (pair) {
+    trees = [x, y];
+  } else if (x instanceof MultiPhylo) {
+    trees = x.trees;
+    names = x.names;
+  } else if (Array.isArray(x)) {
+    trees = x;
+  } else {
+    throw new Error("a second tree or a set of trees is required.");
+  }
+
+  if ((method === "wRF" || method === "KF") && trees.some(t => t.edgeLength == null)) {
+    throw new Error("branch lengths are required for method '" + name + "'.");
+  }
+
+  const ref = trees[0].tipLabel;
+  const summaries = trees.map(t => {
+    const tipMap = matchTips(ref, t.tipLabel);
+    return method === "path"
+      ? { n: ref.length, paths: tipPathCounts(t, tipMap, rooted) }
+      : { n: ref.length, splits: splitMap(t, tipMap, rooted) };
+  });
+
+  if (pair) {
+    return pairDistance(summaries[0], summaries[1], method, rooted, normalize);
+  }
+
+  const k = trees.length;
+  const matrix = new Float64Array(k * k);
+  for (let i = 0; i < k; i++) {
+    for (let j = i + 1; j < k; j++) {
+      matrix[i * k + j] = matrix[j * k + i] =
+        pairDistance(summaries[i], summaries[j], method, rooted, normalize);
+    }
+  }
+  const labels = names ? names.slice() : trees.map((_, i) => String(i + 1));
+  return { labels, matrix };
+}
+
+export { propPart, propClades, distTopo };
@@ -0,0 +1,142 @@
+/**
+ * @file dna-bin.js
+ * @module dnaBin
+ *
+ * This module defines the DNAbin class, a compact representation of aligned DNA
+ * sequences mimicking the "DNAbin" object from R's ape package.
+ *
+ * Each base is stored in one byte with ape's bit-level coding: the four high bits
+ * flag the possible bases (A = 128, G = 64, C = 32, T = 16), so an ambiguity code
+ * is the union of its bases (e.g. R = A | G = 192, N = 240); 8 marks a known base,
+ * 4 a gap and 2 an unknown character ("?").
+ *
+ * Components:
+ *  - labels: An array of sequence labels.
+ *  - data: A Uint8Array of nseq * nsites codes, one row per sequence.
+ *  - nsites: The length of the alignment.
+ */
+
+/**
+ * The byte codes of the IUPAC symbols.
+ */
+export const BASE_CODES = {
+  A: 136, G: 72, C: 40, T: 24,
+  R: 192, M: 160, W: 144, S: 96, K: 80, Y: 48,
+  V: 224, H: 176, D: 208, B: 112, N: 240,
+  "-": 4, "?": 2,
+};
+
+const SYMBOLS = new Map(Object.entries(BASE_CODES).map(([symbol, code]) => [code, symbol]));
+
+class DNAbin {
+    /**
+     * Creates an instance of DNAbin.
+     *
+     * @param {Array<string>} labels - The sequence labels.
+     * @param {Uint8Array} data - The base codes, one row of `nsites` codes per sequence.
+     * @param {number} nsites - The length of the alignment.
+     * @throws {Error} If the data do not match the labels and length.
+     */
+    constructor(labels, data, nsites) {
+      if (data.length !== labels.length * nsites) {
+        throw new Error("the data do not match the number of sequences and sites.");
+      }
+      this._labels = labels;
+      this._data = data;
+      this._nsites = nsites;
+    }
+
+    /**
+     * Creates a DNAbin object from sequences given as strings.
+     *
+     * Sequences are read case-insensitively; U is read as T and "." and "~" as gaps.
+     *
+     * @param {Array<string>} labels - The sequence labels.
+     * @param {Array<string>} sequences - The aligned sequences.
+     * @return {DNAbin} A new DNAbin object.
+     * @throws {Error} If the sequences are not aligned or contain invalid characters.
+     */
+    static fromStrings(labels, sequences) {
+      const nsites = sequences.length > 0 ? sequences[0].length : 0;
+      const data = new Uint8Array(labels.length * nsites);
+      sequences.forEach((seq, i) => {
+        if (seq.length !== nsites) {
+          throw new Error("the sequences are not aligned (they have different lengths).");
+        }
+        for (let j = 0; j < nsites; j++) {
+          let symbol = seq[j].toUpperCase();
+          if (symbol === "U") symbol = "T";
+          else if (symbol === "." || symbol === "~") symbol = "-";
+          const code = BASE_CODES[symbol];
+          if (code === undefined) {
+            throw new Error("invalid character in sequence " + labels[i] + ": " + seq[j] + ".");
+          }
+          data[i * nsites + j] = code;
+        }
+      });
+      return new DNAbin(labels, data, nsites);
+    }
+
+    /**
+     * Gets the sequence labels.
+     *
+     * @return {Array<string>} The labels.
+     */
+    get labels() {
+      return this._labels;
+    }
+
+    /**
+     * Gets the base codes.
+     *
+     * @return {Uint8Array} The codes, one row per sequence.
+     */
+    get data() {
+      return this._data;
+    }
+
+    /**
+     * Gets the length of the alignment.
+     *
+     * @return {number} The number of sites.
+     */
+    get nsites() {
+      return this._nsites;
+    }
+
+    /**
+     * Gets the number of sequences.
+     *
+     * @return {number} The number of sequences.
+     */
+    get nseq() {
+      return this._labels.length;
+    }
+
+    /**
+     * Gets a sequence as a string of IUPAC symbols.
+     *
+     * @param {number|string} i - The index (0-based) or label of the sequence.
+     * @return {string} The sequence.
+     * @throws {Error} If the sequence does not exist.
+     */
+    sequence(i) {
+      if (typeof i === "string") i = this._labels.indexOf(i);
+      if (!(i >= 0 && i < this._labels.length)) {
+        throw new Error("sequence not found.");
+      }
+      const row = this._data.subarray(i * this._nsites, (i + 1) * this._nsites);
+      return Array.from(row, code => SYMBOLS.get(code) || "?").join("");
+    }
+
+    /**
+     * Creates a deep copy of the alignment.
+     *
+     * @return {DNAbin} A new DNAbin object.
+     */
+    clone() {
+      return new DNAbin(this._labels.slice(), this._data.slice(), this._nsites);
+    }
+  }
+
+export default DNAbin;
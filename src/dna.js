@@ -0,0 +1,279 @@
+/**
+ * @file dna.js
+ * @module dna
+ *
+ * This module reads aligned DNA sequences and computes evolutionary distances
+ * between them, mimicking R's read.dna, base.freq and dist.dna from the ape package.
+ *
+ * Distances are returned in the format used across miniape (see cophenetic): an
+ * object `{ labels, matrix }` where `matrix` is a Float64Array in row-major order,
+ * so they can be given directly to nj, bionj or upgma, or compared with the
+ * cophenetic distances of a tree.
+ *
+ * Only the sites where both sequences have a known base (A, C, G or T) are
+ * compared: gaps and ambiguity codes are either removed from all the sequences
+ * (global deletion, the default) or only from the pairs where they occur (pairwise
+ * deletion). Distances that cannot be computed (too divergent sequences, or no site
+ * compared) are NaN.
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - DNAbin                 (from dna-bin.js)
+ *   - determinant(a, n)      (from matrix.js)
+ */
+
+import DNAbin from "./dna-bin.js";
+import { determinant } from "./matrix.js";
+
+/**
+ * The index (A = 0, C = 1, G = 2, T = 3) of each known base code, -1 otherwise.
+ */
+const BASE_INDEX = (() => {
+  const index = new Int8Array(256).fill(-1);
+  index[136] = 0;
+  index[40] = 1;
+  index[72] = 2;
+  index[24] = 3;
+  return index;
+})();
+
+/**
+ * Parses the sequences of a PHYLIP file.
+ *
+ * Names are separated from the sequences by white space (relaxed PHYLIP).
+ *
+ * @param {Array<string>} lines - The non-empty lines of the file.
+ * @param {boolean} interleaved - Whether the file is interleaved.
+ * @returns {{labels: Array<string>, sequences: Array<string>}} The labels and sequences.
+ * @throws {Error} If the header is invalid or the file is truncated.
+ */
+function parsePhylip(lines, interleaved) {
+  const header = lines[0].trim().split(/\s+/).map(Number);
+  const [ntax, nchar] = header;
+  if (!(Number.isInteger(ntax) && Number.isInteger(nchar))) {
+    throw new Error("invalid PHYLIP header: " + lines[0] + ".");
+  }
+  const labels = [];
+  const sequences = [];
+  let k = 1;
+  const nameAndSequence = line => {
+    const match = line.trim().match(/^(\S+)\s*(.*)$/);
+    labels.push(match[1]);
+    sequences.push(match[2].replace(/\s+/g, ""));
+  };
+  if (interleaved) {
+    for (let i = 0; i < ntax; i++) {
+      if (k >= lines.length) throw new Error("the PHYLIP file is truncated.");
+      nameAndSequence(lines[k++]);
+    }
+    for (let i = 0; k < lines.length; k++, i = (i + 1) % ntax) {
+      sequences[i] += lines[k].replace(/\s+/g, "");
+    }
+  } else {
+    for (let i = 0; i < ntax; i++) {
+      if (k >= lines.length) throw new Error("the PHYLIP file is truncated.");
+      nameAndSequence(lines[k++]);
+      while (sequences[i].length < nchar && k < lines.length) {
+        sequences[i] += lines[k++].replace(/\s+/g, "");
+      }
+    }
+  }
+  if (sequences.some(seq => seq.length !== nchar)) {
+    throw new Error("the sequences do not have the length given in the PHYLIP header.");
+  }
+  return { labels, sequences };
+}
+
+/**
+ * Reads aligned DNA sequences.
+ *
+ * This function mimics the behavior of R's read.dna (ape) on the text of a file.
+ *
+ * @param {string} text - The content of a FASTA or PHYLIP file.
+ * @param {string} [format="fasta"] - "fasta", "sequential" (PHYLIP) or "interleaved"
+ *   (PHYLIP).
+ * @returns {DNAbin} The alignment.
+ * @throws {Error} If the format is unknown, the file is invalid, or the sequences are
+ *   not aligned.
+ */
+export function readDNA(text, format = "fasta") {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== "");
+  let labels = [];
+  let sequences = [];
+  if (format === "fasta") {
+    for (const line of lines) {
+      if (line.startsWith(">")) {
+        labels.push(line.slice(1).trim());
+        sequences.push("");
+      } else {
+        if (sequences.length === 0) throw new Error("invalid FASTA file: no sequence header.");
+        sequences[sequences.length - 1] += line.replace(/\s+/g, "");
+      }
+    }
+  } else if (format === "sequential" || format === "interleaved") {
+    ({ labels, sequences } = parsePhylip(lines, format === "interleaved"));
+  } else {
+    throw new Error('format must be "fasta", "sequential" or "interleaved".');
+  }
+  return DNAbin.fromStrings(labels, sequences);
+}
+
+/**
+ * Finds the sites where every sequence has a known base.
+ *
+ * @param {DNAbin} aln - The alignment.
+ * @returns {Array<number>} The indices of the sites.
+ */
+function completeSites(aln) {
+  const { data, nsites, nseq } = aln;
+  const sites = [];
+  for (let j = 0; j < nsites; j++) {
+    let complete = true;
+    for (let i = 0; i < nseq && complete; i++) {
+      complete = BASE_INDEX[data[i * nsites + j]] !== -1;
+    }
+    if (complete) sites.push(j);
+  }
+  return sites;
+}
+
+/**
+ * Computes the base frequencies of an alignment.
+ *
+ * This function mimics the behavior of R's base.freq (ape): only the known bases
+ * (A, C, G and T) are counted.
+ *
+ * @param {DNAbin} aln - The alignment.
+ * @param {Array<number>|null} [sites=null] - The sites to count; by default, all.
+ * @returns {{A: number, C: number, G: number, T: number}} The frequencies.
+ */
+export function baseFreq(aln, sites = null) {
+  const { data, nsites, nseq } = aln;
+  const counts = [0, 0, 0, 0];
+  for (let i = 0; i < nseq; i++) {
+    if (sites === null) {
+      for (let j = 0; j < nsites; j++) {
+        const b = BASE_INDEX[data[i * nsites + j]];
+        if (b !== -1) counts[b]++;
+      }
+    } else {
+      for (const j of sites) {
+        const b = BASE_INDEX[data[i * nsites + j]];
+        if (b !== -1) counts[b]++;
+      }
+    }
+  }
+  const total = counts[0] + counts[1] + counts[2] + counts[3];
+  return { A: counts[0] / total, C: counts[1] / total, G: counts[2] / total, T: counts[3] / total };
+}
+
+/**
+ * Computes a distance from the table of base pairs of two sequences.
+ *
+ * @param {Float64Array} F - The 4 x 4 counts of base pairs (A, C, G, T).
+ * @param {string} model - The model (upper case).
+ * @param {{A: number, C: number, G: number, T: number}} bf - The base frequencies.
+ * @returns {number} The distance.
+ */
+function pairDistance(F, model, bf) {
+  let L = 0;
+  for (let k = 0; k < 16; k++) L += F[k];
+  if (L === 0) return NaN;
+  // Transitions (A <-> G, C <-> T) and transversions.
+  const P1 = (F[2] + F[8]) / L;
+  const P2 = (F[7] + F[13]) / L;
+  const p = 1 - (F[0] + F[5] + F[10] + F[15]) / L;
+  const Q = p - P1 - P2;
+
+  switch (model) {
+    case "RAW":
+      return p;
+    case "JC69":
+      return -0.75 * Math.log(1 - (4 * p) / 3);
+    case "K80": {
+      const P = P1 + P2;
+      return -0.5 * Math.log(1 - 2 * P - Q) - 0.25 * Math.log(1 - 2 * Q);
+    }
+    case "F81": {
+      const E = 1 - (bf.A * bf.A + bf.C * bf.C + bf.G * bf.G + bf.T * bf.T);
+      return -E * Math.log(1 - p / E);
+    }
+    case "TN93": {
+      const gR = bf.A + bf.G;
+      const gY = bf.C + bf.T;
+      const k1 = (2 * bf.A * bf.G) / gR;
+      const k2 = (2 * bf.C * bf.T) / gY;
+      const k3 = 2 * (gR * gY - (bf.A * bf.G * gY) / gR - (bf.C * bf.T * gR) / gY);
+      const w1 = 1 - P1 / k1 - Q / (2 * gR);
+      const w2 = 1 - P2 / k2 - Q / (2 * gY);
+      const w3 = 1 - Q / (2 * gR * gY);
+      return -k1 * Math.log(w1) - k2 * Math.log(w2) - k3 * Math.log(w3);
+    }
+    case "LOGDET": {
+      const J = F.map(v => v / L);
+      const det = determinant(J, 4);
+      if (!(det > 0)) return NaN;
+      let logPi = 0;
+      for (let a = 0; a < 4; a++) {
+        logPi += Math.log(J[a * 4] + J[a * 4 + 1] + J[a * 4 + 2] + J[a * 4 + 3]);
+        logPi += Math.log(J[a] + J[4 + a] + J[8 + a] + J[12 + a]);
+      }
+      return -0.25 * (Math.log(det) - 0.5 * logPi);
+    }
+    default:
+      return NaN;
+  }
+}
+
+/**
+ * Computes the pairwise distances between DNA sequences.
+ *
+ * This function mimics the behavior of R's dist.dna (ape). The models are:
+ *   - "raw": the proportion of differing sites.
+ *   - "JC69": Jukes and Cantor (1969).
+ *   - "K80": Kimura (1980), with different rates of transitions and transversions.
+ *   - "F81": Felsenstein (1981), with unequal base frequencies.
+ *   - "TN93": Tamura and Nei (1993), with two rates of transitions, one of
+ *     transversions, and unequal base frequencies.
+ *   - "LogDet": Lockhart et al. (1994), from the determinant of the table of base
+ *     pairs, which allows the base composition to vary among sequences.
+ * The base frequencies of F81 and TN93 are computed over the whole alignment.
+ *
+ * @param {DNAbin} aln - The alignment.
+ * @param {string} [model="K80"] - The model (case-insensitive).
+ * @param {object} [options={}] - Options object.
+ * @param {boolean} [options.pairwiseDeletion=false] - If true, gaps and ambiguities are
+ *   removed from each pair of sequences; otherwise, the sites with a gap or an ambiguity
+ *   in any sequence are removed.
+ * @returns {{labels: Array<string>, matrix: Float64Array}} An object with properties:
+ *   - labels: the sequence labels.
+ *   - matrix: a Float64Array (row-major) of distances.
+ * @throws {Error} If the model is unknown.
+ */
+export function distDNA(aln, model = "K80", { pairwiseDeletion = false } = {}) {
+  const m = model.toUpperCase();
+  if (!["RAW", "JC69", "K80", "F81", "TN93", "LOGDET"].includes(m)) {
+    throw new Error('model must be "raw", "JC69", "K80", "F81", "TN93" or "LogDet".');
+  }
+  const { data, nsites, nseq } = aln;
+  let sites = null;
+  if (!pairwiseDeletion) sites = completeSites(aln);
+  const bf = baseFreq(aln, sites);
+  if (sites === null) sites = Array.from({ length: nsites }, (_, j) => j);
+
+  const matrix = new Float64Array(nseq * nseq);
+  const F = new Float64Array(16);
+  for (let i = 0; i < nseq; i++) {
+    for (let k = i + 1; k < nseq; k++) {
+      F.fill(0);
+      for (const j of sites) {
+        const a = BASE_INDEX[data[i * nsites + j]];
+        const b = BASE_INDEX[data[k * nsites + j]];
+        if (a !== -1 && b !== -1) F[a * 4 + b]++;
+      }
+      const d = pairDistance(F, m, bf);
+      matrix[i * nseq + k] = d;
+      matrix[k * nseq + i] = d;
+    }
+  }
+  return { labels: aln.labels.slice(), matrix };
+}
@@ -4,7 +4,8 @@
  *
  * This module exports the function `dropTip` which removes one or more tips
  * from a phylogenetic tree (in "phylo" format), mimicking the behavior of R's
- * drop.tip.phylo function from the ape package.
+ * drop.tip.phylo function from the ape package, and its counterpart `keepTip`
+ * (R's keep.tip).
  *
  * Note: This implementation relies on the following utilities:
  *   - reorder(phy, order?)        (from reorder.js)
@@ -12,6 +13,8 @@
  *   - collapseSingles(phy)        (from collapse-singles.js)
  *   - nodeDepth(ntip, e1, e2, xx, method) (from node.js)
  *   - rootPhylo(phy, tip)              (from root.js)
+ *   - labelKey(label, options)    (from name-check.js)
+ *   - copyTree(phy)               (from phylo.js)
  *
  */
 
@@ -23,13 +26,17 @@ import { nodeDepth } from "./node.js";
 import { rank } from "./common-utilities.js";
 import { rootPhylo } from "./root.js";
 import { tabulate } from "./common-utilities.js";
+import MultiPhylo from "./multi-phylo.js";
+import Phylo, { copyTree } from "./phylo.js";
+import { labelKey } from "./name-check.js";
 
 /**
  * Removes tips from a phylogenetic tree.
  *
- * This function mimics the behavior of R's drop.tip.phylo.
+ * This function mimics the behavior of R's drop.tip.phylo. If `phy` is a
+ * MultiPhylo object, the tips are dropped from a copy of every tree.
  *
- * @param {object} phy - A phylogenetic tree object. Expected properties:
+ * @param {object|MultiPhylo} phy - A phylogenetic tree object. Expected properties:
  *   - tipLabel: Array of tip labels.
  *   - edge: 2D array of edges ([parent, child]) with 1-indexed node numbers.
  *   - edgeLength: (optional) Array of branch lengths.
@@ -42,7 +49,7 @@ import { tabulate } from "./common-utilities.js";
  * @param {number} [rootEdge=0] - Used when adjusting the root edge.
  * @param {boolean} [rooted=isRooted(phy)] - Whether the tree is rooted.
  * @param {boolean} [collapseSinglesFlag=true] - Whether to collapse single-child nodes after dropping.
- * @returns {object|null} The pruned tree, or null if all tips are dropped.
+ * @returns {object|MultiPhylo|null} The pruned tree, or null if all tips are dropped.
  * @throws {Error} If a required utility (e.g. root) is missing.
  */
 export function dropTip(
@@ -51,9 +58,20 @@ export function dropTip(
   trimInternal = true,
   subtree = false,
   rootEdge = 0,
-  rooted = isRooted(phy),
+  rooted = undefined,
   collapseSinglesFlag = true
 ) {
+  if (phy instanceof MultiPhylo) {
+    const res = phy.map(tree =>
+      dropTip(tree.clone(), tip, trimInternal, subtree, rootEdge, rooted, collapseSinglesFlag)
+    );
+    if (phy.tipLabel) res.compressTipLabel();
+    return res;
+  }
+  if (rooted === undefined) rooted = isRooted(phy);
+  // The rows of the edge matrix are edited in place below.
+  if (phy instanceof Phylo) phy.invalidateNodeIndex();
+
   const Ntip = phy.tipLabel.length;
 
   // If tip is a string, convert it to an array.
@@ -212,17 +230,23 @@ export function dropTip(
     }
   }
 
+  // Annotations follow their nodes and edges through the renumbering below.
+  const oldNodeAnnotation = phy.nodeAnnotation;
+
   // Drop the edges not kept.
   const newEdge = [];
   const newEdgeLength = wbl ? [] : null;
+  const newEdgeAnnotation = phy.edgeAnnotation ? [] : null;
   for (let i = 0; i < Nedge; i++) {
     if (keep[i]) {
       newEdge.push(phy.edge[i]);
       if (wbl) newEdgeLength.push(phy.edgeLength[i]);
+      if (newEdgeAnnotation) newEdgeAnnotation.push(phy.edgeAnnotation[i]);
     }
   }
   phy.edge = newEdge;
   if (wbl) phy.edgeLength = newEdgeLength;
+  if (newEdgeAnnotation) phy.edgeAnnotation = newEdgeAnnotation;
 
   // Identify new terminal edges: those whose descendant is not a parent.
   const parentSet = new Set(phy.edge.map((row) => row[0]));
@@ -354,6 +378,17 @@ export function dropTip(
     phy.nodeLabel = indices.map(i => phy.nodeLabel[i]);
   }
 
+  if (oldNodeAnnotation) {
+    const nodeAnnotation = new Array(newNtip + phy.Nnode).fill(null);
+    termEdges.forEach((old, k) => {
+      nodeAnnotation[termRanks[k] - 1] = oldNodeAnnotation[old - 1] || null;
+    });
+    newNb.forEach((nb, i) => {
+      if (nb > 0) nodeAnnotation[nb - 1] = oldNodeAnnotation[i] || null;
+    });
+    phy.nodeAnnotation = nodeAnnotation;
+  }
+
   if (collapseSinglesFlag) {
     if (typeof collapseSingles === "function") {
       phy = collapseSingles(phy);
@@ -365,3 +400,60 @@ export function dropTip(
   return phy;
 }
 
+
+/**
+ * Keeps only the given tips of a phylogenetic tree.
+ *
+ * This function mimics the behavior of R's keep.tip (ape): all the other tips are
+ * dropped with dropTip. Tip labels can be matched loosely (see nameCheck); labels
+ * that match no tip are ignored with a warning. If `phy` is a MultiPhylo object,
+ * the tips are kept in every tree.
+ *
+ * @param {object|MultiPhylo} phy - A phylogenetic tree object.
+ * @param {number|string|Array<number|string>} tip - Tip(s) to keep, as numbers or labels.
+ * @param {object} [options={}] - Options object.
+ * @param {boolean} [options.underscore=false] - Treat underscores as spaces when matching labels.
+ * @param {boolean} [options.ignoreCase=false] - Ignore case when matching labels.
+ * @returns {object|MultiPhylo|null} A new, pruned tree, or null if no tip is kept.
+ */
+export function keepTip(phy, tip, options = {}) {
+  if (phy instanceof MultiPhylo) {
+    const res = phy.map(tree => keepTip(tree, tip, options));
+    if (phy.tipLabel) res.compressTipLabel();
+    return res;
+  }
+  const Ntip = phy.tipLabel.length;
+  if (!Array.isArray(tip)) tip = [tip];
+
+  const keep = new Set();
+  // Tip numbers by matching key (several tips may share a key).
+  const tipsByKey = new Map();
+  phy.tipLabel.forEach((label, i) => {
+    const key = labelKey(label, options);
+    if (!tipsByKey.has(key)) tipsByKey.set(key, []);
+    tipsByKey.get(key).push(i + 1);
+  });
+  const missing = [];
+  for (const t of tip) {
+    if (typeof t === "string") {
+      const tips = tipsByKey.get(labelKey(t, options));
+      if (tips) tips.forEach(i => keep.add(i));
+      else missing.push(t);
+    } else if (t >= 1 && t <= Ntip) {
+      keep.add(t);
+    } else {
+      missing.push(t);
+    }
+  }
+  if (missing.length > 0) {
+    console.warn("some tips were not found in the tree: they were ignored (" + missing.join(", ") + ")");
+  }
+
+  const drop = [];
+  for (let i = 1; i <= Ntip; i++) {
+    if (!keep.has(i)) drop.push(i);
+  }
+  const tree = copyTree(phy);
+  if (drop.length === 0) return tree;
+  return dropTip(tree, drop);
+}
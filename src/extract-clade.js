@@ -0,0 +1,114 @@
+/**
+ * @file extract-clade.js
+ * @module extractClade
+ *
+ * This module extracts clades of a tree as trees of their own, mimicking R's
+ * extract.clade and subtrees from the ape package.
+ *
+ * The extracted trees use valid phylo numbering: their tips are numbered 1..k in
+ * the order of their original numbers, their root is k + 1, and their other
+ * internal nodes follow in cladewise order. Branch lengths, node labels and
+ * annotations are carried over.
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - getMRCA(phy, tips) (from mrca.js)
+ *   - childEdges(phy)    (from common-utilities.js)
+ */
+
+import Phylo from "./phylo.js";
+import { getMRCA } from "./mrca.js";
+import { childEdges } from "./common-utilities.js";
+
+/**
+ * Builds the tree made of the clade below a node.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {Map<number, Array<number>>} children - The edge indices from each node.
+ * @param {number} node - The internal node at the root of the clade.
+ * @returns {Phylo} The clade as a tree.
+ */
+function extract(phy, children, node) {
+  const n = phy.tipLabel.length;
+  // Edges of the clade in cladewise order.
+  const edges = [];
+  const stack = (children.get(node) || []).slice().reverse();
+  while (stack.length > 0) {
+    const i = stack.pop();
+    edges.push(i);
+    const below = children.get(phy.edge[i][1]);
+    if (below) {
+      for (let k = below.length - 1; k >= 0; k--) stack.push(below[k]);
+    }
+  }
+
+  const tips = edges.map(i => phy.edge[i][1]).filter(c => c <= n).sort((a, b) => a - b);
+  const k = tips.length;
+  const number = new Map(tips.map((t, i) => [t, i + 1]));
+  const internals = [node];
+  number.set(node, k + 1);
+  for (const i of edges) {
+    const c = phy.edge[i][1];
+    if (c > n) {
+      number.set(c, k + internals.length + 1);
+      internals.push(c);
+    }
+  }
+
+  const tree = new Phylo(
+    edges.map(i => [number.get(phy.edge[i][0]), number.get(phy.edge[i][1])]),
+    phy.edgeLength != null ? edges.map(i => phy.edgeLength[i]) : null,
+    tips.map(t => phy.tipLabel[t - 1]),
+    phy.nodeLabel ? internals.map(v => phy.nodeLabel[v - n - 1]) : null,
+    internals.length
+  );
+  if (phy.nodeAnnotation) {
+    tree.nodeAnnotation = tips.concat(internals).map(v => phy.nodeAnnotation[v - 1]);
+  }
+  if (phy.edgeAnnotation) {
+    tree.edgeAnnotation = edges.map(i => phy.edgeAnnotation[i]);
+  }
+  tree.order = "cladewise";
+  return tree;
+}
+
+/**
+ * Extracts a clade from a tree.
+ *
+ * This function mimics the behavior of R's extract.clade (ape). The clade is given
+ * by the number of its root node, or by tip labels, in which case it is the clade of
+ * their most recent common ancestor.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {number|Array<string>} node - An internal node number, or tip labels.
+ * @returns {Phylo} The clade as a new tree.
+ * @throws {Error} If the node is not an internal node or a tip label is not found.
+ */
+export function extractClade(phy, node) {
+  const n = phy.tipLabel.length;
+  if (Array.isArray(node)) {
+    node = getMRCA(phy, node);
+  }
+  if (!(node > n && node <= n + phy.Nnode)) {
+    throw new Error("node must be an internal node number.");
+  }
+  return extract(phy, childEdges(phy), node);
+}
+
+/**
+ * Lists all the clades of a tree.
+ *
+ * This function mimics the behavior of R's subtrees (ape): it returns one tree for
+ * each internal node, in node number order (so the first one is the whole tree).
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @returns {Array<Phylo>} The clades, indexed by node - nTips - 1.
+ */
+export function subtrees(phy) {
+  const n = phy.tipLabel.length;
+  const children = childEdges(phy);
+  const out = [];
+  for (let v = n + 1; v <= n + phy.Nnode; v++) {
+    out.push(extract(phy, children, v));
+  }
+  return out;
+}
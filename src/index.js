@@ -1,8 +1,35 @@
 export { default as Phylo } from "./phylo.js";
-export { parseNewick } from "./newick-parser.js";
+export { default as MultiPhylo } from "./multi-phylo.js";
+export { parseNewick, parseMultiNewick, convertToNested } from "./newick-parser.js";
 export { writeNewick } from "./newick-writer.js";
-export { dropTip } from "./drop-tip.js";
+export { readNexus, writeNexus } from "./nexus.js";
+export { default as DNAbin } from "./dna-bin.js";
+export { readDNA, baseFreq, distDNA } from "./dna.js";
+export { dropTip, keepTip } from "./drop-tip.js";
+export { nameCheck } from "./name-check.js";
 export { reorder } from "./reorder.js";
-export { isRooted, rootPhylo, unrootPhylo } from "./root.js";
+export { ladderize, rotate, rotateConstr } from "./rotate.js";
+export { extractClade, subtrees } from "./extract-clade.js";
+export { getMRCA, mrca, ancestors, descendants, siblings, nodepath } from "./mrca.js";
+export { bindTree, addTip } from "./bind-tree.js";
+export { isRooted, rootPhylo, unrootPhylo, midpoint, rootAtMinimumVariance } from "./root.js";
 export { collapseSingles, hasSingles } from "./collapse-singles.js";
-export { nodeDepth } from "./node.js";
+export { multi2di, di2multi, isBinary } from "./multi2di.js";
+export { nodeDepth, nodeDepthEdgeLength, rootDistances, nodeHeight, nodeHeightClado, branchingTimes } from "./node.js";
+export { isUltrametric, forceUltrametric } from "./ultrametric.js";
+export { layoutTree } from "./layout.js";
+export { plotPhyloSVG } from "./plot-svg.js";
+export { cophenetic, distNodes } from "./cophenetic.js";
+export { nj, bionj } from "./nj.js";
+export { upgma, wpgma } from "./upgma.js";
+export { createRng } from "./common-utilities.js";
+export { rtree, rcoal } from "./rtree.js";
+export { rlineage, rbdtree, simBdTaxa } from "./birth-death.js";
+export { rTraitCont, rTraitDisc } from "./rtrait.js";
+export { pic } from "./pic.js";
+export { vcv } from "./vcv.js";
+export { ace } from "./ace.js";
+export { phylosig } from "./phylosig.js";
+export { propPart, propClades, distTopo } from "./dist-topo.js";
+export { consensus } from "./consensus.js";
+export { cladeCredibility, maxCladeCredibility } from "./mcc.js";
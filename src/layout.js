@@ -0,0 +1,264 @@
+/**
+ * @file layout.js
+ * @module layout
+ *
+ * This module computes the coordinates needed to draw a phylogenetic tree,
+ * following the layouts of R's plot.phylo (ape):
+ *   - "phylogram": rectangular tree, each edge drawn as a segment perpendicular to
+ *                  the tips plus a connector at each internal node;
+ *   - "cladogram": slanted tree, each edge drawn from its parent to its child;
+ *   - "fan":       circular phylogram, the connectors being arcs around the root;
+ *   - "radial":    circular cladogram with the tips on the unit circle;
+ *   - "unrooted":  equal-angle layout, each subtree getting an angle proportional
+ *                  to its number of tips.
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - nodeDepth, rootDistances, nodeHeight, nodeHeightClado (from node.js)
+ *   - reorder(phy, order, indexOnly)                         (from reorder.js)
+ */
+
+import { nodeDepth, rootDistances, nodeHeight, nodeHeightClado } from "./node.js";
+import { reorder } from "./reorder.js";
+
+const TYPES = ["phylogram", "cladogram", "fan", "radial", "unrooted"];
+const DIRECTIONS = ["rightwards", "leftwards", "upwards", "downwards"];
+
+/**
+ * Computes the number of tips below every node.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {Array<number>} post - The edge indices in postorder.
+ * @returns {Float64Array} The numbers of tips, indexed by node number - 1.
+ */
+function tipCounts(phy, post) {
+  const xx = new Float64Array(phy.tipLabel.length + phy.Nnode);
+  nodeDepth(
+    phy.tipLabel.length,
+    post.map(i => phy.edge[i][0]),
+    post.map(i => phy.edge[i][1]),
+    xx,
+    1
+  );
+  return xx;
+}
+
+/**
+ * Computes the vertical positions of the nodes, as R's node.height: the tips are
+ * spaced 1 to n in cladewise order, and each node is centred on its children.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {Array<number>} post - The edge indices in postorder.
+ * @param {boolean} cladoStyle - If true, weight each child by its number of tips.
+ * @returns {Float64Array} The positions, indexed by node number - 1.
+ */
+function nodePositions(phy, post, cladoStyle) {
+  const n = phy.tipLabel.length;
+  const yy = new Float64Array(n + phy.Nnode);
+  let k = 1;
+  for (const i of reorder(phy, "cladewise", true)) {
+    const child = phy.edge[i][1];
+    if (child <= n) yy[child - 1] = k++;
+  }
+  const e1 = post.map(i => phy.edge[i][0]);
+  const e2 = post.map(i => phy.edge[i][1]);
+  if (cladoStyle) {
+    nodeHeightClado(n, e1, e2, new Float64Array(n + phy.Nnode), yy);
+  } else {
+    nodeHeight(e1, e2, yy);
+  }
+  return yy;
+}
+
+/**
+ * Computes the horizontal positions of the nodes: their distance from the root,
+ * or, without edge lengths, the number of tips minus the number of tips below them
+ * (so that all tips are aligned).
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {Array<number>} post - The edge indices in postorder.
+ * @param {boolean} useEdgeLength - Whether to use the branch lengths.
+ * @returns {Float64Array} The positions, indexed by node number - 1.
+ */
+function nodeDepths(phy, post, useEdgeLength) {
+  if (useEdgeLength) return rootDistances(phy);
+  const xx = tipCounts(phy, post);
+  const max = xx[phy.tipLabel.length];
+  return xx.map(x => max - x);
+}
+
+/**
+ * Computes the equal-angle layout of an unrooted tree, as R's unrooted.xy (ape).
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {Array<number>} nbTips - The numbers of tips below every node.
+ * @param {boolean} useEdgeLength - Whether to use the branch lengths.
+ * @returns {{x: Float64Array, y: Float64Array, angle: Float64Array}} The coordinates and
+ *   the direction of the edge leading to each node.
+ */
+function unrootedXY(phy, nbTips, useEdgeLength) {
+  const N = phy.tipLabel.length + phy.Nnode;
+  const x = new Float64Array(N);
+  const y = new Float64Array(N);
+  const angle = new Float64Array(N);
+  const wedge = new Float64Array(N);
+  const root = phy.tipLabel.length + 1;
+  wedge[root - 1] = 2 * Math.PI;
+  // In cladewise order, the edges from a node follow one another and come after
+  // the edge leading to it.
+  const start = new Float64Array(N);
+  start[root - 1] = -Math.PI;
+  for (const i of reorder(phy, "cladewise", true)) {
+    const [p, c] = phy.edge[i];
+    const h = useEdgeLength ? phy.edgeLength[i] : 1;
+    const alpha = (wedge[p - 1] * nbTips[c - 1]) / nbTips[p - 1];
+    const beta = start[p - 1] + alpha / 2;
+    start[p - 1] += alpha;
+    wedge[c - 1] = alpha;
+    start[c - 1] = beta - alpha / 2;
+    angle[c - 1] = beta;
+    x[c - 1] = x[p - 1] + h * Math.cos(beta);
+    y[c - 1] = y[p - 1] + h * Math.sin(beta);
+  }
+  return { x, y, angle };
+}
+
+/**
+ * Computes the coordinates to draw a phylogenetic tree.
+ *
+ * This function mimics the layouts of R's plot.phylo (ape). It returns the position
+ * of every node and the line segments (and, for fans, arcs) to draw; it draws
+ * nothing itself. The coordinates are in tree units: with edge lengths, one unit is
+ * one unit of branch length; tips are one unit apart in phylograms and cladograms,
+ * and fans, radial and unrooted trees are centred on the root at (0, 0).
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {object} [options={}] - Options object.
+ * @param {string} [options.type="phylogram"] - "phylogram", "cladogram", "fan", "radial"
+ *   or "unrooted".
+ * @param {boolean} [options.useEdgeLength=true] - Whether to use the branch lengths
+ *   (ignored if the tree has none, and for radial trees).
+ * @param {string} [options.direction="rightwards"] - For phylograms and cladograms, the
+ *   direction from the root to the tips: "rightwards", "leftwards", "upwards" or "downwards".
+ * @returns {object} The layout, with properties:
+ *   - type, direction, useEdgeLength: the options used.
+ *   - x, y: Float64Arrays of node coordinates, indexed by node number - 1.
+ *   - angle: for fan, radial and unrooted trees, a Float64Array with the direction (in
+ *     radians) of each node from its parent, e.g. to orient tip labels; otherwise null.
+ *   - segments: an array of {x0, y0, x1, y1, edge, node}, where `edge` is the index of the
+ *     edge drawn (null for the connectors of phylograms) and `node` its parent node.
+ *   - arcs: for fans, an array of {node, x, y, r, start, end}, the arcs of centre (x, y),
+ *     radius r and angles from `start` to `end` (radians) joining the children of each
+ *     node; otherwise an empty array.
+ * @throws {Error} If the type or direction is unknown.
+ */
+export function layoutTree(phy, { type = "phylogram", useEdgeLength = true, direction = "rightwards" } = {}) {
+  if (!TYPES.includes(type)) {
+    throw new Error("unknown plot type: " + type + ".");
+  }
+  if (!DIRECTIONS.includes(direction)) {
+    throw new Error("unknown direction: " + direction + ".");
+  }
+  if (phy.edgeLength == null || type === "radial") useEdgeLength = false;
+
+  const n = phy.tipLabel.length;
+  const N = n + phy.Nnode;
+  const post = reorder(phy, "postorder", true);
+  const segments = [];
+  const arcs = [];
+  let x;
+  let y;
+  let angle = null;
+
+  if (type === "unrooted") {
+    ({ x, y, angle } = unrootedXY(phy, tipCounts(phy, post), useEdgeLength));
+  } else if (type === "fan" || type === "radial") {
+    let r;
+    if (type === "fan") {
+      r = nodeDepths(phy, post, useEdgeLength);
+    } else {
+      // As in ape, the tips are on the unit circle and each node is drawn closer to
+      // the centre the more tips it subtends.
+      const counts = tipCounts(phy, post);
+      r = counts.map((c, i) => (i < n ? 1 : 1 - c / n));
+    }
+    const theta = nodePositions(phy, post, false).map(v => (v * 2 * Math.PI) / n);
+    x = r.map((ri, i) => ri * Math.cos(theta[i]));
+    y = r.map((ri, i) => ri * Math.sin(theta[i]));
+    angle = theta;
+
+    if (type === "fan") {
+      const range = new Map();
+      phy.edge.forEach(([p, c], i) => {
+        const t = theta[c - 1];
+        segments.push({
+          x0: r[p - 1] * Math.cos(t),
+          y0: r[p - 1] * Math.sin(t),
+          x1: x[c - 1],
+          y1: y[c - 1],
+          edge: i,
+          node: p
+        });
+        const cur = range.get(p);
+        if (cur) {
+          cur[0] = Math.min(cur[0], t);
+          cur[1] = Math.max(cur[1], t);
+        } else {
+          range.set(p, [t, t]);
+        }
+      });
+      for (const [p, [start, end]] of range) {
+        if (end > start) arcs.push({ node: p, x: 0, y: 0, r: r[p - 1], start, end });
+      }
+    }
+  } else {
+    const depth = nodeDepths(phy, post, useEdgeLength);
+    const pos = nodePositions(phy, post, type === "cladogram" && !useEdgeLength);
+    // Map (depth, position) to the plotting plane according to the direction.
+    let maxDepth = 0;
+    for (const d of depth) maxDepth = Math.max(maxDepth, d);
+    const toXY = (d, v) => {
+      switch (direction) {
+        case "leftwards":
+          return [maxDepth - d, v];
+        case "upwards":
+          return [v, d];
+        case "downwards":
+          return [v, maxDepth - d];
+        default:
+          return [d, v];
+      }
+    };
+    x = new Float64Array(N);
+    y = new Float64Array(N);
+    for (let i = 0; i < N; i++) [x[i], y[i]] = toXY(depth[i], pos[i]);
+
+    const range = new Map();
+    phy.edge.forEach(([p, c], i) => {
+      const [x0, y0] = type === "phylogram" ? toXY(depth[p - 1], pos[c - 1]) : [x[p - 1], y[p - 1]];
+      segments.push({ x0, y0, x1: x[c - 1], y1: y[c - 1], edge: i, node: p });
+      const cur = range.get(p);
+      if (cur) {
+        cur[0] = Math.min(cur[0], pos[c - 1]);
+        cur[1] = Math.max(cur[1], pos[c - 1]);
+      } else {
+        range.set(p, [pos[c - 1], pos[c - 1]]);
+      }
+    });
+    if (type === "phylogram") {
+      for (const [p, [lo, hi]] of range) {
+        if (hi === lo) continue;
+        const [x0, y0] = toXY(depth[p - 1], lo);
+        const [x1, y1] = toXY(depth[p - 1], hi);
+        segments.push({ x0, y0, x1, y1, edge: null, node: p });
+      }
+    }
+  }
+
+  if (type === "radial" || type === "unrooted") {
+    phy.edge.forEach(([p, c], i) => {
+      segments.push({ x0: x[p - 1], y0: y[p - 1], x1: x[c - 1], y1: y[c - 1], edge: i, node: p });
+    });
+  }
+
+  return { type, direction, useEdgeLength, x, y, angle, segments, arcs };
+}
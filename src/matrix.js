@@ -0,0 +1,186 @@
+/**
+ * @file matrix.js
+ * @module matrix
+ *
+ * This module provides the dense linear algebra used by the distance and
+ * comparative methods. Matrices are Float64Arrays of n * n values in row-major
+ * order, as in the distance matrices returned by cophenetic.
+ */
+
+/**
+ * Computes the LU decomposition of a square matrix with partial pivoting.
+ *
+ * @param {ArrayLike<number>} a - The matrix (row-major, not modified).
+ * @param {number} n - The number of rows.
+ * @returns {{lu: Float64Array, perm: Int32Array, sign: number}} The combined L and U
+ *   factors (L has a unit diagonal), the row permutation and its sign; `sign` is 0 if
+ *   the matrix is singular.
+ */
+function luDecompose(a, n) {
+  const lu = Float64Array.from(a);
+  const perm = new Int32Array(n);
+  for (let i = 0; i < n; i++) perm[i] = i;
+  let sign = 1;
+  for (let k = 0; k < n; k++) {
+    let p = k;
+    for (let i = k + 1; i < n; i++) {
+      if (Math.abs(lu[i * n + k]) > Math.abs(lu[p * n + k])) p = i;
+    }
+    if (lu[p * n + k] === 0) return { lu, perm, sign: 0 };
+    if (p !== k) {
+      for (let j = 0; j < n; j++) {
+        const tmp = lu[k * n + j];
+        lu[k * n + j] = lu[p * n + j];
+        lu[p * n + j] = tmp;
+      }
+      [perm[k], perm[p]] = [perm[p], perm[k]];
+      sign = -sign;
+    }
+    for (let i = k + 1; i < n; i++) {
+      const f = (lu[i * n + k] /= lu[k * n + k]);
+      for (let j = k + 1; j < n; j++) lu[i * n + j] -= f * lu[k * n + j];
+    }
+  }
+  return { lu, perm, sign };
+}
+
+/**
+ * Computes the determinant of a square matrix.
+ *
+ * @param {ArrayLike<number>} a - The matrix (row-major).
+ * @param {number} n - The number of rows.
+ * @returns {number} The determinant.
+ */
+export function determinant(a, n) {
+  const { lu, sign } = luDecompose(a, n);
+  if (sign === 0) return 0;
+  let det = sign;
+  for (let i = 0; i < n; i++) det *= lu[i * n + i];
+  return det;
+}
+
+/**
+ * Computes the logarithm of the absolute value of the determinant of a square matrix.
+ *
+ * Unlike determinant, this does not overflow or underflow for large matrices.
+ *
+ * @param {ArrayLike<number>} a - The matrix (row-major).
+ * @param {number} n - The number of rows.
+ * @returns {number} The log of |det(a)| (-Infinity if the matrix is singular).
+ */
+export function logDeterminant(a, n) {
+  const { lu, sign } = luDecompose(a, n);
+  if (sign === 0) return -Infinity;
+  let logDet = 0;
+  for (let i = 0; i < n; i++) logDet += Math.log(Math.abs(lu[i * n + i]));
+  return logDet;
+}
+
+/**
+ * Solves the linear system A x = b.
+ *
+ * @param {ArrayLike<number>} a - The matrix (row-major).
+ * @param {number} n - The number of rows.
+ * @param {ArrayLike<number>} b - The right-hand side.
+ * @returns {Float64Array} The solution.
+ * @throws {Error} If the matrix is singular.
+ */
+export function solve(a, n, b) {
+  const { lu, perm, sign } = luDecompose(a, n);
+  if (sign === 0) {
+    throw new Error("the matrix is singular.");
+  }
+  const x = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    let s = b[perm[i]];
+    for (let j = 0; j < i; j++) s -= lu[i * n + j] * x[j];
+    x[i] = s;
+  }
+  for (let i = n - 1; i >= 0; i--) {
+    let s = x[i];
+    for (let j = i + 1; j < n; j++) s -= lu[i * n + j] * x[j];
+    x[i] = s / lu[i * n + i];
+  }
+  return x;
+}
+
+/**
+ * Computes the inverse of a square matrix.
+ *
+ * @param {ArrayLike<number>} a - The matrix (row-major).
+ * @param {number} n - The number of rows.
+ * @returns {Float64Array} The inverse (row-major).
+ * @throws {Error} If the matrix is singular.
+ */
+export function inverse(a, n) {
+  const inv = new Float64Array(n * n);
+  const e = new Float64Array(n);
+  for (let j = 0; j < n; j++) {
+    e.fill(0);
+    e[j] = 1;
+    const col = solve(a, n, e);
+    for (let i = 0; i < n; i++) inv[i * n + j] = col[i];
+  }
+  return inv;
+}
+
+/**
+ * Multiplies two square matrices.
+ *
+ * @param {ArrayLike<number>} a - The left matrix (row-major).
+ * @param {ArrayLike<number>} b - The right matrix (row-major).
+ * @param {number} n - The number of rows.
+ * @returns {Float64Array} The product (row-major).
+ */
+export function multiply(a, b, n) {
+  const c = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let k = 0; k < n; k++) {
+      const f = a[i * n + k];
+      if (f === 0) continue;
+      for (let j = 0; j < n; j++) c[i * n + j] += f * b[k * n + j];
+    }
+  }
+  return c;
+}
+
+/**
+ * Computes the exponential of a square matrix.
+ *
+ * The matrix is scaled by a power of two so that its norm is at most 1/2, its
+ * exponential is computed with the Taylor series, and the result is squared back.
+ *
+ * @param {ArrayLike<number>} a - The matrix (row-major).
+ * @param {number} n - The number of rows.
+ * @returns {Float64Array} The exponential (row-major).
+ */
+export function matrixExp(a, n) {
+  let norm = 0;
+  for (let i = 0; i < n; i++) {
+    let row = 0;
+    for (let j = 0; j < n; j++) row += Math.abs(a[i * n + j]);
+    norm = Math.max(norm, row);
+  }
+  const squarings = norm > 0.5 ? Math.ceil(Math.log2(norm / 0.5)) : 0;
+  const scale = Math.pow(2, -squarings);
+  const scaled = Float64Array.from(a, v => v * scale);
+
+  let result = new Float64Array(n * n);
+  let term = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    result[i * n + i] = 1;
+    term[i * n + i] = 1;
+  }
+  for (let k = 1; k <= 30; k++) {
+    term = multiply(term, scaled, n);
+    let size = 0;
+    for (let i = 0; i < n * n; i++) {
+      term[i] /= k;
+      result[i] += term[i];
+      size = Math.max(size, Math.abs(term[i]));
+    }
+    if (size < 1e-17) break;
+  }
+  for (let s = 0; s < squarings; s++) result = multiply(result, result, n);
+  return result;
+}
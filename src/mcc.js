@@ -0,0 +1,194 @@
+/**
+ * @file mcc.js
+ * @module mcc
+ *
+ * This module summarises a posterior sample of trees with the maximum clade
+ * credibility (MCC) tree, as done by R's maxCladeCred (phangorn/ape) and BEAST's
+ * TreeAnnotator.
+ *
+ * It exports:
+ *   - cladeCredibility: The log clade credibility score of every tree.
+ *   - maxCladeCredibility: The MCC tree, annotated with posterior support and
+ *     node height summaries.
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - countClades, nodeClades, matchTips (from clades.js)
+ *   - rootDistances(phy)                 (from node.js)
+ */
+
+import { countClades, nodeClades, matchTips } from "./clades.js";
+import { rootDistances } from "./node.js";
+import MultiPhylo from "./multi-phylo.js";
+
+/**
+ * Removes the burn-in from a set of trees.
+ *
+ * @param {Array<object>|MultiPhylo} trees - The trees.
+ * @param {number} burnin - The number of trees to discard or, if below 1, the proportion.
+ * @returns {Array<object>} The remaining trees.
+ * @throws {Error} If no tree remains.
+ */
+function dropBurnin(trees, burnin) {
+  const list = trees instanceof MultiPhylo ? trees.trees : trees;
+  const skip = burnin > 0 && burnin < 1 ? Math.floor(burnin * list.length) : Math.floor(burnin);
+  if (skip < 0 || skip >= list.length) {
+    throw new Error("burnin must leave at least one tree.");
+  }
+  return list.slice(skip);
+}
+
+/**
+ * Computes the height of every node above the most recent tip.
+ *
+ * @param {object} phy - A phylogenetic tree object with branch lengths.
+ * @returns {Float64Array} The node heights, indexed by node number - 1.
+ */
+function nodeHeights(phy) {
+  const depth = rootDistances(phy);
+  let max = 0;
+  for (let i = 0; i < phy.tipLabel.length; i++) max = Math.max(max, depth[i]);
+  return depth.map(d => max - d);
+}
+
+/**
+ * Summarises a sample of values by their mean, median and highest posterior density interval.
+ *
+ * @param {Array<number>} values - The sample.
+ * @param {number} prob - The probability mass of the HPD interval.
+ * @returns {{mean: number, median: number, hpd: Array<number>}} The summary.
+ */
+function summarise(values, prob) {
+  const x = values.slice().sort((a, b) => a - b);
+  const m = x.length;
+  const mean = x.reduce((s, v) => s + v, 0) / m;
+  const median = m % 2 === 1 ? x[(m - 1) / 2] : (x[m / 2 - 1] + x[m / 2]) / 2;
+  // The HPD interval is the shortest interval holding `prob` of the sample.
+  const k = Math.min(m, Math.max(1, Math.ceil(prob * m)));
+  let lo = 0;
+  for (let i = 1; i + k - 1 < m; i++) {
+    if (x[i + k - 1] - x[i] < x[lo + k - 1] - x[lo]) lo = i;
+  }
+  return { mean, median, hpd: [x[lo], x[lo + k - 1]] };
+}
+
+/**
+ * Computes the log clade credibility score of every tree in a set.
+ *
+ * The score of a tree is the sum, over its clades, of the log of the proportion
+ * of trees containing the clade.
+ *
+ * @param {Array<object>|MultiPhylo} trees - The trees.
+ * @param {object} [options={}] - Options object.
+ * @param {number} [options.burnin=0] - The number (or, if below 1, the proportion) of
+ *   trees to discard from the start of the set.
+ * @param {boolean} [options.rooted=true] - If true, compare clades of rooted trees;
+ *   otherwise, compare bipartitions.
+ * @returns {Array<number>} The score of each tree kept after the burn-in.
+ */
+export function cladeCredibility(trees, { burnin = 0, rooted = true } = {}) {
+  const list = dropBurnin(trees, burnin);
+  const ref = list[0].tipLabel;
+  const counts = countClades(list, ref, rooted);
+  return list.map(tree => {
+    const tipMap = matchTips(ref, tree.tipLabel);
+    let score = 0;
+    for (const { key } of nodeClades(tree, tipMap, rooted)) {
+      score += Math.log(counts.get(key).count / list.length);
+    }
+    return score;
+  });
+}
+
+/**
+ * Finds the maximum clade credibility tree of a set of trees.
+ *
+ * This function mimics R's maxCladeCred and BEAST's TreeAnnotator: the tree with the
+ * highest clade credibility score is copied and, if `annotate` is true, each internal
+ * node receives the annotations (see writeNewick):
+ *   - posterior: the proportion of trees containing the node's clade;
+ *   - height_mean, height_median, height_95%_HPD: summaries of the clade's height
+ *     (time before the most recent tip) over the trees containing it.
+ *
+ * @param {Array<object>|MultiPhylo} trees - The trees (e.g. a posterior sample).
+ * @param {object} [options={}] - Options object.
+ * @param {number} [options.burnin=0] - The number (or, if below 1, the proportion) of
+ *   trees to discard from the start of the set.
+ * @param {boolean} [options.rooted=true] - If true, compare clades of rooted trees;
+ *   otherwise, compare bipartitions.
+ * @param {boolean} [options.annotate=true] - If true, annotate the nodes of the MCC tree.
+ * @param {string} [options.heights="keep"] - Node heights of the MCC tree: "keep" its own,
+ *   or set them to the "mean" or "median" height of each clade (changing the branch lengths).
+ * @param {number} [options.hpd=0.95] - The probability mass of the HPD intervals.
+ * @returns {Phylo} The MCC tree.
+ * @throws {Error} If `heights` is unknown, or heights are to be summarised and some trees
+ *   lack branch lengths.
+ */
+export function maxCladeCredibility(
+  trees,
+  { burnin = 0, rooted = true, annotate = true, heights = "keep", hpd = 0.95 } = {}
+) {
+  if (!["keep", "mean", "median"].includes(heights)) {
+    throw new Error('heights must be "keep", "mean" or "median".');
+  }
+  const list = dropBurnin(trees, burnin);
+  const scores = cladeCredibility(list, { rooted });
+  let best = 0;
+  for (let i = 1; i < scores.length; i++) {
+    if (scores[i] > scores[best]) best = i;
+  }
+  const mcc = list[best].clone();
+  if (!annotate && heights === "keep") return mcc;
+
+  const ref = list[0].tipLabel;
+  const n = ref.length;
+  const withLengths = list.every(t => t.edgeLength != null);
+  if (heights !== "keep" && !withLengths) {
+    throw new Error("branch lengths are required to summarise node heights.");
+  }
+
+  // Collect the heights of each clade over the trees containing it.
+  const counts = countClades(list, ref, rooted);
+  const cladeHeights = new Map();
+  if (withLengths) {
+    for (const tree of list) {
+      const h = nodeHeights(tree);
+      const seen = new Set();
+      nodeClades(tree, matchTips(ref, tree.tipLabel), rooted).forEach(({ key }, i) => {
+        if (seen.has(key)) return;
+        seen.add(key);
+        if (!cladeHeights.has(key)) cladeHeights.set(key, []);
+        cladeHeights.get(key).push(h[n + i]);
+      });
+    }
+  }
+
+  const mccClades = nodeClades(mcc, matchTips(ref, mcc.tipLabel), rooted);
+  const summaries = mccClades.map(({ key }) =>
+    cladeHeights.has(key) ? summarise(cladeHeights.get(key), hpd) : null
+  );
+
+  if (annotate) {
+    const ann = new Array(n + mcc.Nnode).fill(null);
+    mccClades.forEach(({ key }, i) => {
+      const a = { posterior: counts.get(key).count / list.length };
+      const s = summaries[i];
+      if (s) {
+        a.height_mean = s.mean;
+        a.height_median = s.median;
+        a["height_" + Math.round(hpd * 100) + "%_HPD"] = s.hpd;
+      }
+      ann[n + i] = a;
+    });
+    mcc.nodeAnnotation = ann;
+    mcc.edgeAnnotation = null;
+  }
+
+  if (heights !== "keep") {
+    const h = nodeHeights(mcc);
+    for (let i = 0; i < mcc.Nnode; i++) {
+      h[n + i] = heights === "median" ? summaries[i].median : summaries[i].mean;
+    }
+    mcc.edgeLength = mcc.edge.map(([p, c]) => h[p - 1] - h[c - 1]);
+  }
+  return mcc;
+}
@@ -0,0 +1,254 @@
+/**
+ * @file mrca.js
+ * @module mrca
+ *
+ * This module answers navigation queries on a tree: most recent common ancestors,
+ * ancestors, descendants, siblings and paths between nodes. It mimics getMRCA, mrca
+ * and nodepath from R's ape package, and Ancestors, Descendants and Siblings from
+ * phangorn.
+ *
+ * Queries walk the parent and children lists of the node index (see Phylo's
+ * `nodeIndex`), which is cached on Phylo objects: after the first call, a query
+ * costs time proportional to the depth of the nodes involved (or to the size of
+ * its result), not to the number of edges.
+ *
+ * Nodes may be given by number or by label (tip labels first, then node labels).
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - reorder(phy, order, indexOnly) (from reorder.js)
+ */
+
+import Phylo from "./phylo.js";
+import { reorder } from "./reorder.js";
+
+/**
+ * Gets the node index of a tree, building a temporary one for plain objects.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @returns {object} The node index (see Phylo's `nodeIndex`).
+ */
+function getIndex(phy) {
+  if (phy instanceof Phylo) return phy.nodeIndex;
+  return new Phylo(phy.edge, null, phy.tipLabel, null, phy.Nnode).nodeIndex;
+}
+
+/**
+ * Converts a node given by number or label to its number.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {number|string} node - A node number, a tip label or a node label.
+ * @returns {number} The node number.
+ * @throws {Error} If the node does not exist.
+ */
+function nodeNumber(phy, node) {
+  const N = phy.tipLabel.length + phy.Nnode;
+  if (typeof node === "string") {
+    let k = phy.tipLabel.indexOf(node);
+    if (k !== -1) return k + 1;
+    k = phy.nodeLabel ? phy.nodeLabel.indexOf(node) : -1;
+    if (k !== -1) return phy.tipLabel.length + k + 1;
+    throw new Error("node not found: " + node + ".");
+  }
+  if (!Number.isInteger(node) || node < 1 || node > N) {
+    throw new Error("node not found: " + node + ".");
+  }
+  return node;
+}
+
+/**
+ * Finds the most recent common ancestor of two nodes.
+ *
+ * @param {object} index - The node index.
+ * @param {number} a - A node number.
+ * @param {number} b - A node number.
+ * @returns {number} The number of their MRCA.
+ */
+function mrcaOfTwo(index, a, b) {
+  const { parent, depth } = index;
+  while (depth[a] > depth[b]) a = parent[a];
+  while (depth[b] > depth[a]) b = parent[b];
+  while (a !== b) {
+    a = parent[a];
+    b = parent[b];
+  }
+  return a;
+}
+
+/**
+ * Finds the most recent common ancestor (MRCA) of a set of nodes.
+ *
+ * This function mimics the behavior of R's getMRCA (ape).
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {Array<number|string>} tips - Node numbers or labels (usually tips).
+ * @returns {number|null} The number of the MRCA, or null if fewer than two nodes are given.
+ * @throws {Error} If a node does not exist.
+ */
+export function getMRCA(phy, tips) {
+  if (tips.length < 2) return null;
+  const index = getIndex(phy);
+  let m = nodeNumber(phy, tips[0]);
+  for (let i = 1; i < tips.length; i++) {
+    m = mrcaOfTwo(index, m, nodeNumber(phy, tips[i]));
+  }
+  return m;
+}
+
+/**
+ * Computes the most recent common ancestor of every pair of tips.
+ *
+ * This function mimics the behavior of R's mrca (ape). The tree is traversed in
+ * postorder: at each node, the nodes below each child are paired with those already
+ * collected below the node, so each pair is visited exactly once.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {boolean} [full=false] - If true, include the internal nodes.
+ * @returns {{labels: Array<string>, matrix: Int32Array}} An object with properties:
+ *   - labels: the tip labels (followed, if `full`, by the node labels or numbers).
+ *   - matrix: an Int32Array (row-major) of MRCA node numbers; the diagonal holds the
+ *     nodes themselves.
+ */
+export function mrca(phy, full = false) {
+  const n = phy.tipLabel.length;
+  const N = n + phy.Nnode;
+  const size = full ? N : n;
+  const matrix = new Int32Array(size * size);
+  const below = new Array(N + 1).fill(null);
+  for (let v = 1; v <= size; v++) {
+    below[v] = [v];
+    matrix[(v - 1) * size + v - 1] = v;
+  }
+
+  for (const k of reorder(phy, "postorder", true)) {
+    const [p, c] = phy.edge[k];
+    if (below[p] === null) below[p] = [];
+    for (const a of below[c]) {
+      for (const b of below[p]) {
+        matrix[(a - 1) * size + b - 1] = p;
+        matrix[(b - 1) * size + a - 1] = p;
+      }
+    }
+    for (const a of below[c]) below[p].push(a);
+    below[c] = null;
+  }
+
+  const labels = phy.tipLabel.slice();
+  if (full) {
+    for (let i = 0; i < phy.Nnode; i++) {
+      const label = phy.nodeLabel ? phy.nodeLabel[i] : null;
+      labels.push(label ? label : String(n + i + 1));
+    }
+  }
+  return { labels, matrix };
+}
+
+/**
+ * Lists the ancestors of a node.
+ *
+ * This function mimics the behavior of R's Ancestors (phangorn).
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {number|string} node - A node number or label.
+ * @param {string} [type="all"] - "all" for all the ancestors, from the parent up to the
+ *   root, or "parent" for the parent only.
+ * @returns {Array<number>|number} The ancestors, or the parent (0 for the root).
+ * @throws {Error} If the node does not exist or the type is unknown.
+ */
+export function ancestors(phy, node, type = "all") {
+  const { parent } = getIndex(phy);
+  node = nodeNumber(phy, node);
+  if (type === "parent") return parent[node];
+  if (type !== "all") {
+    throw new Error('type must be "all" or "parent".');
+  }
+  const out = [];
+  for (let v = parent[node]; v !== 0; v = parent[v]) out.push(v);
+  return out;
+}
+
+/**
+ * Lists the descendants of a node.
+ *
+ * This function mimics the behavior of R's Descendants (phangorn).
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {number|string} node - A node number or label.
+ * @param {string} [type="tips"] - "tips" for the tips below the node (the node itself if
+ *   it is a tip), "children" for its children, or "all" for all the nodes below it.
+ * @returns {Array<number>} The descendants: tips in increasing order, other nodes in
+ *   cladewise order.
+ * @throws {Error} If the node does not exist or the type is unknown.
+ */
+export function descendants(phy, node, type = "tips") {
+  const n = phy.tipLabel.length;
+  const { children } = getIndex(phy);
+  node = nodeNumber(phy, node);
+  if (type === "children") return children[node].slice();
+  if (type !== "tips" && type !== "all") {
+    throw new Error('type must be "tips", "children" or "all".');
+  }
+  if (type === "tips" && node <= n) return [node];
+
+  const out = [];
+  const stack = children[node].slice().reverse();
+  while (stack.length > 0) {
+    const v = stack.pop();
+    if (type === "all" || v <= n) out.push(v);
+    for (let k = children[v].length - 1; k >= 0; k--) stack.push(children[v][k]);
+  }
+  return type === "tips" ? out.sort((a, b) => a - b) : out;
+}
+
+/**
+ * Lists the siblings of a node.
+ *
+ * This function mimics the behavior of R's Siblings (phangorn).
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {number|string} node - A node number or label.
+ * @param {boolean} [includeSelf=false] - Whether to include the node itself.
+ * @returns {Array<number>} The other children of the node's parent (empty for the root).
+ * @throws {Error} If the node does not exist.
+ */
+export function siblings(phy, node, includeSelf = false) {
+  const { parent, children } = getIndex(phy);
+  node = nodeNumber(phy, node);
+  if (parent[node] === 0) return [];
+  return children[parent[node]].filter(v => includeSelf || v !== node);
+}
+
+/**
+ * Finds the path between two nodes, or the paths from the root to every tip.
+ *
+ * This function mimics the behavior of R's nodepath (ape).
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {number|string|null} [from=null] - A node number or label.
+ * @param {number|string|null} [to=null] - A node number or label.
+ * @returns {Array<number>|Array<Array<number>>} The nodes on the path from `from` to `to`,
+ *   both included; without `from` and `to`, the paths from the root to each tip,
+ *   indexed by tip number - 1.
+ * @throws {Error} If a node does not exist.
+ */
+export function nodepath(phy, from = null, to = null) {
+  const index = getIndex(phy);
+  const { parent } = index;
+  if (from === null && to === null) {
+    const n = phy.tipLabel.length;
+    const paths = [];
+    for (let t = 1; t <= n; t++) {
+      const path = [];
+      for (let v = t; v !== 0; v = parent[v]) path.push(v);
+      paths.push(path.reverse());
+    }
+    return paths;
+  }
+  from = nodeNumber(phy, from === null ? index.root : from);
+  to = nodeNumber(phy, to === null ? index.root : to);
+  const m = mrcaOfTwo(index, from, to);
+  const up = [];
+  for (let v = from; v !== m; v = parent[v]) up.push(v);
+  const down = [];
+  for (let v = to; v !== m; v = parent[v]) down.push(v);
+  return up.concat([m], down.reverse());
+}
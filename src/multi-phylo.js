@@ -0,0 +1,223 @@
+/**
+ * @file multi-phylo.js
+ * @module multiPhylo
+ *
+ * This module defines the MultiPhylo class, a collection of phylogenetic trees
+ * mimicking the "multiPhylo" object from R's ape package.
+ *
+ * Components:
+ *  - trees: An array of Phylo objects.
+ *  - names: (Optional) An array of tree names, parallel to `trees`.
+ *  - tipLabel: (Optional) The tip labels shared by all trees. When set, the
+ *              collection is "compressed" (see ape's .compressTipLabel): every
+ *              tree numbers its tips the same way, and all trees reference this
+ *              single array instead of holding their own copy.
+ *
+ * Note: dropTip, rootPhylo and other functions that modify a tree in place should be
+ * given a clone of a tree taken from a compressed collection (or the collection
+ * itself, which they handle tree by tree), so that the shared labels are left intact.
+ */
+
+class MultiPhylo {
+    /**
+     * Creates an instance of MultiPhylo.
+     *
+     * @param {Array<Phylo>} [trees=[]] - The trees of the collection.
+     * @param {Array<string>|null} [names=null] - Optional tree names, parallel to `trees`.
+     */
+    constructor(trees = [], names = null) {
+      this._trees = trees;
+      this._names = names;
+      this._tipLabel = null;
+    }
+
+    /**
+     * Gets the trees.
+     *
+     * @return {Array<Phylo>} The trees.
+     */
+    get trees() {
+      return this._trees;
+    }
+
+    /**
+     * Sets the trees. The collection is no longer considered compressed.
+     *
+     * @param {Array<Phylo>} newTrees - The new trees.
+     */
+    set trees(newTrees) {
+      this._trees = newTrees;
+      this._tipLabel = null;
+    }
+
+    /**
+     * Gets the tree names.
+     *
+     * @return {Array<string>|null} The tree names, or null if the trees are unnamed.
+     */
+    get names() {
+      return this._names;
+    }
+
+    /**
+     * Sets the tree names.
+     *
+     * @param {Array<string>|null} newNames - The new tree names.
+     */
+    set names(newNames) {
+      this._names = newNames;
+    }
+
+    /**
+     * Gets the tip labels shared by all trees.
+     *
+     * @return {Array<string>|null} The shared tip labels, or null if the collection is not compressed.
+     */
+    get tipLabel() {
+      return this._tipLabel;
+    }
+
+    /**
+     * Gets the number of trees.
+     *
+     * @return {number} The number of trees.
+     */
+    get length() {
+      return this._trees.length;
+    }
+
+    /**
+     * Gets a tree by position.
+     *
+     * @param {number} i - The 0-based position of the tree.
+     * @return {Phylo} The tree.
+     */
+    get(i) {
+      return this._trees[i];
+    }
+
+    /**
+     * Appends a tree to the collection.
+     *
+     * If the collection is compressed, the tree is renumbered so that it shares
+     * the collection's tip labels.
+     *
+     * @param {Phylo} tree - The tree to append.
+     * @param {string|null} [name=null] - The name of the tree.
+     * @return {MultiPhylo} This collection.
+     */
+    push(tree, name = null) {
+      if (this._tipLabel) renumberTips(tree, this._tipLabel);
+      this._trees.push(tree);
+      if (this._names || name !== null) {
+        if (!this._names) this._names = new Array(this._trees.length - 1).fill("");
+        this._names.push(name === null ? "" : name);
+      }
+      return this;
+    }
+
+    /**
+     * Applies a function to every tree and collects the results in a new collection.
+     *
+     * @param {function(Phylo, number): Phylo} fn - The function to apply.
+     * @return {MultiPhylo} A new, uncompressed collection with the same names.
+     */
+    map(fn) {
+      return new MultiPhylo(
+        this._trees.map((tree, i) => fn(tree, i)),
+        this._names ? this._names.slice() : null
+      );
+    }
+
+    /**
+     * Creates a deep copy of the collection.
+     *
+     * @return {MultiPhylo} A new MultiPhylo object.
+     */
+    clone() {
+      const copy = this.map(tree => tree.clone());
+      if (this._tipLabel) copy.compressTipLabel(this._tipLabel);
+      return copy;
+    }
+
+    /**
+     * Stores the tip labels once for the whole collection.
+     *
+     * This function mimics R's .compressTipLabel: the tips of every tree are
+     * renumbered so that tip i carries the label `ref[i - 1]` in all trees, and
+     * all trees then reference the same label array.
+     *
+     * @param {Array<string>|null} [ref=null] - The reference label order; by default,
+     *   the tip labels of the first tree.
+     * @return {MultiPhylo} This collection.
+     * @throws {Error} If the trees do not all have the same tip labels.
+     */
+    compressTipLabel(ref = null) {
+      if (this._trees.length === 0) return this;
+      const shared = (ref || this._tipLabel || this._trees[0].tipLabel).slice();
+      if (new Set(shared).size !== shared.length) {
+        throw new Error("some tip labels are duplicated.");
+      }
+      for (const tree of this._trees) {
+        renumberTips(tree, shared);
+      }
+      this._tipLabel = shared;
+      return this;
+    }
+
+    /**
+     * Gives every tree its own copy of the tip labels again.
+     *
+     * @return {MultiPhylo} This collection.
+     */
+    uncompressTipLabel() {
+      if (!this._tipLabel) return this;
+      for (const tree of this._trees) {
+        tree.tipLabel = this._tipLabel.slice();
+      }
+      this._tipLabel = null;
+      return this;
+    }
+
+    /**
+     * Iterates over the trees.
+     *
+     * @return {Iterator<Phylo>} An iterator over the trees.
+     */
+    [Symbol.iterator]() {
+      return this._trees[Symbol.iterator]();
+    }
+  }
+
+/**
+ * Renumbers the tips of a tree in place so that they follow a reference label order,
+ * and makes the tree reference the given label array.
+ *
+ * @param {object} tree - A phylogenetic tree object.
+ * @param {Array<string>} labels - The reference tip labels.
+ * @throws {Error} If the tree's tip labels differ from the reference labels.
+ */
+function renumberTips(tree, labels) {
+  if (tree.tipLabel === labels) return;
+  const n = labels.length;
+  if (tree.tipLabel.length !== n) {
+    throw new Error("one tree has a different number of tips.");
+  }
+  const index = new Map(labels.map((l, i) => [l, i + 1]));
+  const newNumber = tree.tipLabel.map(l => {
+    const k = index.get(l);
+    if (k === undefined) throw new Error("one tree has different tip labels.");
+    return k;
+  });
+  for (const row of tree.edge) {
+    if (row[1] <= n) row[1] = newNumber[row[1] - 1];
+  }
+  if (tree.nodeAnnotation) {
+    const ann = tree.nodeAnnotation.slice();
+    for (let i = 0; i < n; i++) ann[newNumber[i] - 1] = tree.nodeAnnotation[i];
+    tree.nodeAnnotation = ann;
+  }
+  tree.tipLabel = labels;
+}
+
+export default MultiPhylo;
@@ -0,0 +1,150 @@
+/**
+ * @file multi2di.js
+ * @module multi2di
+ *
+ * This module converts between multichotomous and dichotomous trees, mimicking R's
+ * multi2di, di2multi and is.binary from the ape package.
+ *
+ * The trees are converted to nested structures, edited, and converted back, so the
+ * result has valid phylo numbering with tip labels, node labels, branch lengths
+ * and annotations carried over. Nodes created by multi2di have no label.
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - convertToNested(phy), convertToPhylo(tree) (from newick-parser.js)
+ *   - createRng(seed)                            (from common-utilities.js)
+ */
+
+import { convertToNested, convertToPhylo } from "./newick-parser.js";
+import { createRng } from "./common-utilities.js";
+
+/**
+ * Lists the internal nodes of a nested tree, parents before their children.
+ *
+ * @param {Object} root - The root of the nested tree (see convertToNested).
+ * @returns {Array<Object>} The internal nodes in preorder.
+ */
+function internalNodes(root) {
+  const out = [];
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (node.children.length === 0) continue;
+    out.push(node);
+    for (let k = node.children.length - 1; k >= 0; k--) stack.push(node.children[k]);
+  }
+  return out;
+}
+
+/**
+ * Converts a nested tree back to a phylo object.
+ *
+ * @param {object} phy - The original tree.
+ * @param {Object} root - The root of the edited nested tree.
+ * @returns {Phylo} The new tree.
+ */
+function rebuild(phy, root) {
+  const tree = convertToPhylo(root);
+  if (!phy.nodeLabel) tree.nodeLabel = null;
+  return tree;
+}
+
+/**
+ * Resolves the polytomies of a tree into dichotomies.
+ *
+ * This function mimics the behavior of R's multi2di (ape). The children of each node
+ * with more than two children are joined by new, zero-length edges: either in
+ * random order, or as a comb in which the first two children form a cherry and the
+ * following children are attached one after the other.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {object} [options={}] - Options object.
+ * @param {boolean} [options.random=true] - Whether to resolve polytomies at random.
+ * @param {number|null} [options.seed=null] - A seed for the random resolutions.
+ * @param {function(): number|null} [options.rng=null] - A random number generator (see
+ *   createRng), used instead of `seed`.
+ * @returns {Phylo} A new, fully dichotomous tree.
+ */
+export function multi2di(phy, { random = true, seed = null, rng = null } = {}) {
+  if (rng === null) rng = createRng(seed);
+  const wbl = phy.edgeLength != null;
+  const root = convertToNested(phy);
+
+  for (const node of internalNodes(root)) {
+    if (node.children.length <= 2) continue;
+    const clusters = node.children.slice();
+    while (clusters.length > 2) {
+      let i = 0;
+      let j = 1;
+      if (random) {
+        i = Math.floor(rng() * clusters.length);
+        j = Math.floor(rng() * (clusters.length - 1));
+        if (j >= i) j++;
+        if (j < i) [i, j] = [j, i];
+      }
+      const joined = { name: "", children: [clusters[i], clusters[j]] };
+      if (wbl) joined.length = 0;
+      clusters.splice(j, 1);
+      clusters[i] = joined;
+    }
+    node.children = clusters;
+  }
+  return rebuild(phy, root);
+}
+
+/**
+ * Collapses the short internal edges of a tree into polytomies.
+ *
+ * This function mimics the behavior of R's di2multi (ape): each internal edge
+ * shorter than `tol` is removed, and the children of the node it leads to are
+ * attached to its parent (in its place). The labels of the removed nodes are lost.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {number} [tol=1e-8] - The tolerance below which an edge is collapsed.
+ * @returns {Phylo} A new tree.
+ * @throws {Error} If the tree has no branch lengths.
+ */
+export function di2multi(phy, tol = 1e-8) {
+  if (phy.edgeLength == null) {
+    throw new Error("the tree has no branch lengths.");
+  }
+  const root = convertToNested(phy);
+
+  // Children are handled before their parents, so collapses chain upwards.
+  for (const node of internalNodes(root).reverse()) {
+    const children = [];
+    for (const child of node.children) {
+      if (child.children.length > 0 && child.length < tol) {
+        for (const grandchild of child.children) children.push(grandchild);
+      } else {
+        children.push(child);
+      }
+    }
+    node.children = children;
+  }
+  return rebuild(phy, root);
+}
+
+/**
+ * Tests whether a tree is fully dichotomous.
+ *
+ * This function mimics the behavior of R's is.binary (ape): every internal node has
+ * two children, except the root, which may have three (an unrooted binary tree).
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @returns {boolean} True if the tree is binary.
+ */
+export function isBinary(phy) {
+  const n = phy.tipLabel.length;
+  const counts = new Array(n + phy.Nnode + 1).fill(0);
+  const isChild = new Array(n + phy.Nnode + 1).fill(false);
+  for (const [p, c] of phy.edge) {
+    counts[p]++;
+    isChild[c] = true;
+  }
+  for (let v = n + 1; v <= n + phy.Nnode; v++) {
+    if (counts[v] === 2) continue;
+    if (counts[v] === 3 && !isChild[v]) continue;
+    return false;
+  }
+  return true;
+}
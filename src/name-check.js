@@ -0,0 +1,85 @@
+/**
+ * @file name-check.js
+ * @module nameCheck
+ *
+ * This module compares the tip labels of a tree with the labels of a data set,
+ * mimicking R's name.check from the geiger package.
+ *
+ * Labels can be matched loosely: some tools (like R's read.tree) turn the
+ * underscores of unquoted Newick labels into spaces while parseNewick and most data
+ * files keep them, and the case of species names is not always consistent. With `underscore`, underscores and spaces are treated as the same
+ * character; with `ignoreCase`, case is ignored.
+ *
+ * tipValues uses the same check to order trait data by tip for comparative methods.
+ */
+
+/**
+ * Builds the key under which a label is matched.
+ *
+ * @param {string} label - A tip or data label.
+ * @param {object} [options={}] - Options object.
+ * @param {boolean} [options.underscore=false] - Treat underscores as spaces.
+ * @param {boolean} [options.ignoreCase=false] - Ignore case.
+ * @returns {string} The matching key.
+ */
+export function labelKey(label, { underscore = false, ignoreCase = false } = {}) {
+  let key = String(label);
+  if (underscore) key = key.replace(/_/g, " ");
+  if (ignoreCase) key = key.toLowerCase();
+  return key;
+}
+
+/**
+ * Compares the tip labels of a tree with the labels of a data set.
+ *
+ * This function mimics the behavior of R's name.check (geiger).
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {Array<string>} dataLabels - The labels of the data (e.g. the row names of a
+ *   trait table).
+ * @param {object} [options={}] - Options object.
+ * @param {boolean} [options.underscore=false] - Treat underscores as spaces.
+ * @param {boolean} [options.ignoreCase=false] - Ignore case.
+ * @returns {{treeNotData: Array<string>, dataNotTree: Array<string>}} An object with
+ *   properties:
+ *   - treeNotData: the tip labels that match no data label, in tree order.
+ *   - dataNotTree: the data labels that match no tip label, in data order.
+ */
+export function nameCheck(phy, dataLabels, options = {}) {
+  const tipKeys = new Set(phy.tipLabel.map(label => labelKey(label, options)));
+  const dataKeys = new Set(dataLabels.map(label => labelKey(label, options)));
+  return {
+    treeNotData: phy.tipLabel.filter(label => !dataKeys.has(labelKey(label, options))),
+    dataNotTree: dataLabels.filter(label => !tipKeys.has(labelKey(label, options))),
+  };
+}
+
+/**
+ * Orders trait values by tip number.
+ *
+ * The values can be given as an object keyed by tip label (as the `tips` returned
+ * by rTraitCont), or as an array already in the order of the tip numbers. Labels are
+ * matched exactly; values of labels that are not in the tree are ignored with a
+ * warning.
+ *
+ * @param {Object<string, *>|Array<*>} x - The trait values.
+ * @param {object} phy - A phylogenetic tree object.
+ * @returns {Array<*>} The values, indexed by tip number - 1.
+ * @throws {Error} If some tips have no value.
+ */
+export function tipValues(x, phy) {
+  if (Array.isArray(x) || ArrayBuffer.isView(x)) {
+    if (x.length !== phy.tipLabel.length) {
+      throw new Error("the number of values and the number of tips do not match.");
+    }
+    return Array.from(x);
+  }
+  const { treeNotData, dataNotTree } = nameCheck(phy, Object.keys(x));
+  if (treeNotData.length > 0) {
+    throw new Error("the names of x and the tip labels of the tree do not match: " + treeNotData.join(", ") + ".");
+  }
+  if (dataNotTree.length > 0) {
+    console.warn("some names of x are not tip labels: they were ignored (" + dataNotTree.join(", ") + ")");
+  }
+  return phy.tipLabel.map(label => x[label]);
+}
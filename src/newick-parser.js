@@ -1,4 +1,6 @@
 import Phylo from "./phylo.js";
+import MultiPhylo from "./multi-phylo.js";
+import { parseAnnotation } from "./annotations.js";
 
 /**
  * Parses a Newick string into a nested tree structure.
@@ -7,15 +9,40 @@ import Phylo from "./phylo.js";
  *   - name:   node label.
  *   - length: branch length from its parent.
  *   - children: an array of child nodes.
+ *   - annotation: annotation of the node (from comments before the branch length,
+ *                 or from NHX comments).
+ *   - edgeAnnotation: annotation of the edge from its parent (from comments after
+ *                     the branch length).
+ *
+ * Annotation comments are expected as placeholders "[i]" referring to
+ * `comments[i]` (see parseNewick).
  *
  * @param {string} newick - A preprocessed Newick string.
+ * @param {Array<string>} [comments=[]] - The contents of the annotation comments.
  * @returns {Object} The nested tree.
  */
-export function parseNested(newick) {
-  // Tokenize the string by splitting on parentheses, commas, colons, and semicolons.
-  const tokens = newick.split(/([\(\),:;])/).filter(s => s !== "");
+export function parseNested(newick, comments = []) {
+  // Tokenize the string by splitting on parentheses, commas, colons, semicolons
+  // and comment placeholders.
+  const tokens = newick.split(/(\[\d+\]|[\(\),:;])/).filter(s => s !== "");
   let index = 0;
 
+  function isComment(token) {
+    return token !== undefined && /^\[\d+\]$/.test(token);
+  }
+
+  // Consume consecutive comments and merge them into the node's annotations.
+  // NHX comments always describe the node; other comments describe the node
+  // or the edge depending on their position.
+  function readComments(node, onEdge) {
+    while (isComment(tokens[index])) {
+      const { annotation, nhx } = parseAnnotation(comments[Number(tokens[index].slice(1, -1))]);
+      const key = onEdge && !nhx ? "edgeAnnotation" : "annotation";
+      node[key] = Object.assign(node[key] || {}, annotation);
+      index++;
+    }
+  }
+
   function parseSubtree() {
     const node = { children: [] };
     if (tokens[index] === "(") {
@@ -32,24 +59,30 @@ export function parseNested(newick) {
       }
       index++; // skip ')'
       // A label may follow.
-      if (tokens[index] && tokens[index] !== ":" && tokens[index] !== "," && tokens[index] !== ")") {
+      if (tokens[index] && tokens[index] !== ":" && tokens[index] !== "," && tokens[index] !== ")" &&
+          !isComment(tokens[index])) {
         node.name = tokens[index];
         index++;
       }
-    } else {
+    } else if (!isComment(tokens[index])) {
       // Leaf node: the token is the label.
       node.name = tokens[index];
       index++;
     }
+    readComments(node, false);
     // A branch length may follow a colon.
     if (tokens[index] === ":") {
       index++; // skip ':'
+      readComments(node, true);
       node.length = parseFloat(tokens[index]);
       index++;
+      readComments(node, true);
     }
     return node;
   }
 
+  // Skip tree-level comments such as [&R] or [&U].
+  while (isComment(tokens[index])) index++;
   return parseSubtree();
 }
 
@@ -61,7 +94,8 @@ export function parseNested(newick) {
  *   - The root is always numbered nTips + 1.
  *   - All other internal nodes (non-root) are numbered consecutively starting at nTips + 2.
  *
- * This function builds the edge matrix, branch lengths, tip labels, and node (internal) labels.
+ * This function builds the edge matrix, branch lengths, tip labels, node (internal) labels
+ * and, if the nested tree carries any, the node and edge annotations.
  *
  * @param {Object} tree - The nested tree structure.
  * @returns {Phylo} A phylo object.
@@ -71,6 +105,9 @@ export function convertToPhylo(tree) {
   const edgeLengths = [];
   const tipLabels = [];
   const nodeLabels = [];  // For internal nodes; nodeLabels[0] will be the root's label.
+  const nodeAnnotations = [];
+  const edgeAnnotations = [];
+  let hasAnnotations = false;
   let rootEdge = null;
 
   // First pass: count the number of tips.
@@ -114,9 +151,12 @@ export function convertToPhylo(tree) {
   // Build the edge matrix.
   // For every node (except the root) record an edge from its parent to itself.
   function buildEdges(node, parentNum) {
+    nodeAnnotations[node.number - 1] = node.annotation || null;
+    if (node.annotation || node.edgeAnnotation) hasAnnotations = true;
     if (parentNum !== null) {
       edges.push([parentNum, node.number]);
       edgeLengths.push(node.length != null ? node.length : undefined);
+      edgeAnnotations.push(node.edgeAnnotation || null);
     } else {
       // For the root, if a branch length exists, store it as rootEdge.
       if (node.length != null) {
@@ -132,14 +172,54 @@ export function convertToPhylo(tree) {
   // The number of internal nodes is the total count of nodes with children.
   const Nnode = nodeLabels.length;
   const finalEdgeLengths = edgeLengths.some(el => el !== undefined) ? edgeLengths : null;
-  return new Phylo(edges, finalEdgeLengths, tipLabels, nodeLabels, Nnode, rootEdge);
+  const phy = new Phylo(edges, finalEdgeLengths, tipLabels, nodeLabels, Nnode, rootEdge);
+  if (hasAnnotations) {
+    phy.nodeAnnotation = nodeAnnotations;
+    phy.edgeAnnotation = edgeAnnotations;
+  }
+  return phy;
+}
+
+/**
+ * Converts a phylo object into a nested tree structure (the inverse of convertToPhylo).
+ *
+ * Each node of the nested tree has the properties described in parseNested, and
+ * also `number`, its node number in `phy`. The root carries the root edge, if any,
+ * as its `length`. Children follow the order of the edge matrix.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @returns {Object} The root of the nested tree.
+ */
+export function convertToNested(phy) {
+  const n = phy.tipLabel.length;
+  const N = n + phy.Nnode;
+  const nodes = [null];
+  for (let v = 1; v <= N; v++) {
+    const name = v <= n ? phy.tipLabel[v - 1] : phy.nodeLabel ? phy.nodeLabel[v - n - 1] : "";
+    const node = { name: name || "", number: v, children: [] };
+    if (phy.nodeAnnotation && phy.nodeAnnotation[v - 1]) node.annotation = phy.nodeAnnotation[v - 1];
+    nodes.push(node);
+  }
+  const isChild = new Array(N + 1).fill(false);
+  phy.edge.forEach(([p, c], i) => {
+    const child = nodes[c];
+    if (phy.edgeLength != null && phy.edgeLength[i] != null) child.length = phy.edgeLength[i];
+    if (phy.edgeAnnotation && phy.edgeAnnotation[i]) child.edgeAnnotation = phy.edgeAnnotation[i];
+    nodes[p].children.push(child);
+    isChild[c] = true;
+  });
+  let root = n + 1;
+  while (root <= N && isChild[root]) root++;
+  if (phy.rootEdge != null) nodes[root].length = phy.rootEdge;
+  return nodes[root];
 }
 
 /**
  * Parses a Newick string and returns a phylo object.
  *
  * Preprocessing steps include:
- *   - Removing comments enclosed in square brackets.
+ *   - Extracting annotation comments ([&...] and [&&NHX:...]) into the node and edge
+ *     annotations of the tree, and removing all other comments enclosed in square brackets.
  *   - Handling single-quoted labels (by temporarily replacing them with placeholders).
  *   - Stripping extraneous whitespace and underscores.
  *   - Removing a trailing semicolon.
@@ -152,8 +232,13 @@ export function parseNewick(newickStr) {
     throw new Error("Newick input must be a string.");
   }
 
-  // Remove comments enclosed in square brackets.
-  newickStr = newickStr.replace(/\[[^\]]*\]/g, '');
+  // Replace annotation comments by numbered placeholders and remove other comments.
+  const comments = [];
+  newickStr = newickStr.replace(/\[([^\]]*)\]/g, (match, p1) => {
+    if (!p1.startsWith("&")) return '';
+    comments.push(p1);
+    return "[" + (comments.length - 1) + "]";
+  });
 
   // Process single quotes: replace quoted labels with placeholders.
   // Store mapping from placeholder to original label.
@@ -173,11 +258,11 @@ export function parseNewick(newickStr) {
     newickStr = newickStr.slice(0, -1);
   }
 
-  // Remove spaces and TABs.
-  newickStr = newickStr.replace(/[ \t]/g, '');
+  // Remove whitespace (spaces, TABs and line breaks).
+  newickStr = newickStr.replace(/\s/g, '');
 
   // Parse the nested tree structure.
-  const nestedTree = parseNested(newickStr);
+  const nestedTree = parseNested(newickStr, comments);
 
   // Replace placeholders in node labels with the original quoted text.
   function replacePlaceholders(node) {
@@ -199,3 +284,55 @@ export function parseNewick(newickStr) {
 
   return convertToPhylo(nestedTree);
 }
+
+/**
+ * Parses a string holding several Newick trees and returns a MultiPhylo object.
+ *
+ * Trees are separated by semicolons (usually one tree per line); semicolons inside
+ * quoted labels or square-bracket comments are ignored.
+ *
+ * @param {string} newickStr - A string with one or more trees in Newick format.
+ * @param {object} [options={}] - Options object.
+ * @param {boolean} [options.compress=false] - If true, store the tip labels once for all
+ *   trees (see MultiPhylo#compressTipLabel); all trees must then have the same tips.
+ * @returns {MultiPhylo} The parsed trees.
+ */
+export function parseMultiNewick(newickStr, { compress = false } = {}) {
+  if (typeof newickStr !== "string") {
+    throw new Error("Newick input must be a string.");
+  }
+
+  // Split on semicolons that are outside quotes and comments.
+  const pieces = [];
+  let start = 0;
+  let inQuote = false;
+  let commentDepth = 0;
+  for (let i = 0; i < newickStr.length; i++) {
+    const ch = newickStr[i];
+    if (inQuote) {
+      if (ch === "'") inQuote = false;
+    } else if (commentDepth > 0) {
+      if (ch === "[") commentDepth++;
+      if (ch === "]") commentDepth--;
+    } else if (ch === "'") {
+      inQuote = true;
+    } else if (ch === "[") {
+      commentDepth = 1;
+    } else if (ch === ";") {
+      pieces.push(newickStr.slice(start, i));
+      start = i + 1;
+    }
+  }
+  pieces.push(newickStr.slice(start));
+
+  const trees = pieces
+    .filter(piece => piece.trim() !== "")
+    .map(piece => parseNewick(piece + ";"));
+  if (trees.length === 0) {
+    throw new Error("no tree found in Newick input.");
+  }
+
+  const multi = new MultiPhylo(trees);
+  if (compress) multi.compressTipLabel();
+  return multi;
+}
@@ -12,17 +12,37 @@
  *   - Nnode:     Number of internal nodes (internal nodes are numbered Ntip+1 to Ntip+Nnode)
  *   - nodeLabel: (optional) Array of internal node labels (indexed by node - Ntip - 1)
  *   - rootEdge:  (optional) Branch length for the root edge (ignored in Newick output)
+ *   - nodeAnnotation, edgeAnnotation: (optional) Node and edge annotations (see annotations.js)
  *
- * The returned Newick string will include branch lengths (if provided) and internal node labels.
+ * The returned Newick string will include branch lengths (if provided) and internal node labels,
+ * and, on request, the annotations as BEAST-style or NHX comments.
+ * A MultiPhylo object is written as one tree per line.
  */
 
+import MultiPhylo from "./multi-phylo.js";
+import { formatAnnotation } from "./annotations.js";
+
 /**
  * Converts a phylo object back into a Newick string.
  *
- * @param {object} phy - The phylo object.
- * @returns {string} The Newick format string representing the tree.
+ * With BEAST-style annotations, node annotations are written after the node label
+ * and edge annotations after the branch length. With NHX annotations, node and edge
+ * annotations are merged into a single comment after the branch length.
+ *
+ * @param {object|MultiPhylo} phy - The phylo object, or a MultiPhylo object.
+ * @param {object} [options={}] - Options object.
+ * @param {boolean|string} [options.annotations=false] - Whether to write annotations:
+ *   false, true or "beast" for [&key=value,...] comments, or "nhx" for [&&NHX:key=value:...].
+ * @returns {string} The Newick format string representing the tree(s).
  */
-export function writeNewick(phy) {
+export function writeNewick(phy, { annotations = false } = {}) {
+    if (phy instanceof MultiPhylo) {
+      return phy.trees.map(tree => writeNewick(tree, { annotations })).join("\n");
+    }
+    const style = annotations === "nhx" ? "nhx" : "beast";
+    const nodeAnn = annotations && phy.nodeAnnotation ? phy.nodeAnnotation : null;
+    const edgeAnn = annotations && phy.edgeAnnotation ? phy.edgeAnnotation : null;
+
     const Ntip = phy.tipLabel.length;
     const totalNodes = Ntip + phy.Nnode;
   
@@ -32,7 +52,7 @@ export function writeNewick(phy) {
       const [p, c] = phy.edge[i];
       const len = phy.edgeLength && phy.edgeLength[i] != null ? phy.edgeLength[i] : null;
       if (!childrenMap[p]) childrenMap[p] = [];
-      childrenMap[p].push({ child: c, length: len });
+      childrenMap[p].push({ child: c, length: len, edge: i });
     }
   
     // Identify the root: a node that never appears as a child.
@@ -61,7 +81,15 @@ export function writeNewick(phy) {
         const childStrs = childrenMap[node].map(childObj => {
           // Recursively process each child and append branch length if available.
           const childNewick = recurse(childObj.child);
-          return childNewick + (childObj.length != null ? ":" + childObj.length : "");
+          const edgeA = edgeAnn ? edgeAnn[childObj.edge] : null;
+          let str = childNewick + (childObj.length != null ? ":" + childObj.length : "");
+          if (style === "nhx") {
+            const nodeA = nodeAnn ? nodeAnn[childObj.child - 1] : null;
+            if (nodeA || edgeA) str += formatAnnotation(Object.assign({}, edgeA, nodeA), "nhx");
+          } else {
+            str += formatAnnotation(edgeA, "beast");
+          }
+          return str;
         });
         subtreeStr = "(" + childStrs.join(",") + ")";
         // Append internal node label if available.
@@ -72,6 +100,11 @@ export function writeNewick(phy) {
         // Leaf node.
         subtreeStr = phy.tipLabel[node - 1];
       }
+      // BEAST-style node annotations follow the label; NHX ones are written with the edge,
+      // except at the root, which has no edge.
+      if (nodeAnn && (style === "beast" || node === root)) {
+        subtreeStr += formatAnnotation(nodeAnn[node - 1], style);
+      }
       return subtreeStr;
     }
   
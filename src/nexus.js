@@ -0,0 +1,346 @@
+/**
+ * @file nexus.js
+ * @module nexus
+ *
+ * This module provides functions to read and write phylogenetic trees in NEXUS
+ * format, mimicking read.nexus and write.nexus from R's ape package.
+ *
+ * Supported blocks and commands (keywords are case-insensitive):
+ *   - TAXA:  DIMENSIONS NTAX = n; TAXLABELS a b c;
+ *   - TREES: TRANSLATE 1 a, 2 b, ...; TREE name = [&R] (...);
+ *
+ * Tree strings are handed to parseNewick, and tip tokens are mapped back to
+ * labels through the TRANSLATE table (or, when there is none, through TAXLABELS
+ * if the tips are plain taxon numbers).
+ */
+
+import Phylo from "./phylo.js";
+import MultiPhylo from "./multi-phylo.js";
+import { parseNewick } from "./newick-parser.js";
+import { writeNewick } from "./newick-writer.js";
+import { isRooted } from "./root.js";
+
+/**
+ * Splits a NEXUS string into commands, each terminated by a semicolon.
+ *
+ * Semicolons inside single-quoted tokens or square-bracket comments do not
+ * end a command.
+ *
+ * @param {string} text - The NEXUS file content.
+ * @returns {Array<string>} The commands, without their terminating semicolon.
+ */
+function splitCommands(text) {
+  const commands = [];
+  let current = "";
+  let inQuote = false;
+  let commentDepth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuote) {
+      current += ch;
+      if (ch === "'") {
+        // A doubled quote is an escaped quote.
+        if (text[i + 1] === "'") {
+          current += text[++i];
+        } else {
+          inQuote = false;
+        }
+      }
+    } else if (commentDepth > 0) {
+      current += ch;
+      if (ch === "[") commentDepth++;
+      if (ch === "]") commentDepth--;
+    } else if (ch === "'") {
+      inQuote = true;
+      current += ch;
+    } else if (ch === "[") {
+      commentDepth = 1;
+      current += ch;
+    } else if (ch === ";") {
+      commands.push(current.trim());
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim() !== "") commands.push(current.trim());
+  return commands;
+}
+
+/**
+ * Removes square-bracket comments from a command.
+ *
+ * @param {string} command - A NEXUS command.
+ * @returns {string} The command without comments.
+ */
+function stripComments(command) {
+  return command.replace(/\[[^\]]*\]/g, " ");
+}
+
+/**
+ * Splits a command into whitespace-separated tokens, keeping single-quoted
+ * tokens together and unquoting them.
+ *
+ * @param {string} text - The text to tokenize.
+ * @returns {Array<string>} The tokens.
+ */
+function tokenize(text) {
+  const tokens = [];
+  const re = /'((?:[^']|'')*)'|([^\s,]+)|(,)/g;
+  let match;
+  while ((match = re.exec(text)) !== null) {
+    if (match[1] !== undefined) {
+      tokens.push(match[1].replace(/''/g, "'"));
+    } else {
+      tokens.push(match[2] !== undefined ? match[2] : match[3]);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parses the body of a TRANSLATE command into a token-to-label map.
+ *
+ * @param {string} body - The command text following the TRANSLATE keyword.
+ * @returns {Map<string, string>} The translation table.
+ */
+function parseTranslate(body) {
+  const table = new Map();
+  const tokens = tokenize(body);
+  let pair = [];
+  for (const token of tokens) {
+    if (token === ",") {
+      if (pair.length >= 2) table.set(pair[0], pair[1]);
+      pair = [];
+    } else {
+      pair.push(token);
+    }
+  }
+  if (pair.length >= 2) table.set(pair[0], pair[1]);
+  return table;
+}
+
+/**
+ * Parses a TREE command into a tree name and a Newick string.
+ *
+ * @param {string} body - The command text following the TREE keyword.
+ * @returns {{name: string, newick: string}} The tree name and its Newick description.
+ */
+function parseTreeCommand(body) {
+  // Find the first "=" that is outside quotes and comments.
+  let inQuote = false;
+  let commentDepth = 0;
+  let eq = -1;
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (inQuote) {
+      if (ch === "'") inQuote = false;
+    } else if (commentDepth > 0) {
+      if (ch === "]") commentDepth--;
+    } else if (ch === "'") {
+      inQuote = true;
+    } else if (ch === "[") {
+      commentDepth++;
+    } else if (ch === "=") {
+      eq = i;
+      break;
+    }
+  }
+  if (eq === -1) {
+    throw new Error("malformed TREE command: missing '='.");
+  }
+  let name = stripComments(body.slice(0, eq)).trim();
+  // A leading asterisk marks the default tree.
+  name = name.replace(/^\*\s*/, "");
+  const nameTokens = tokenize(name);
+  name = nameTokens.length > 0 ? nameTokens[0] : "";
+  return { name, newick: body.slice(eq + 1).trim() + ";" };
+}
+
+/**
+ * Reads trees from a string in NEXUS format.
+ *
+ * This function mimics the behavior of R's read.nexus: it reads the TAXA and
+ * TREES blocks, applies the TRANSLATE table to the tip labels, and returns one
+ * tree per TREE command. As in ape, a set of trees read with a TRANSLATE table
+ * is returned with its tip labels compressed.
+ *
+ * @param {string} text - The content of a NEXUS file.
+ * @returns {Phylo|MultiPhylo} A phylo object if the file holds a single tree,
+ *   otherwise a MultiPhylo object with the trees in file order.
+ * @throws {Error} If the input is not a string or contains no tree.
+ */
+export function readNexus(text) {
+  if (typeof text !== "string") {
+    throw new Error("NEXUS input must be a string.");
+  }
+  text = text.replace(/^\s*#NEXUS/i, "");
+
+  let block = null;
+  let taxLabels = null;
+  let translation = null;
+  const trees = [];
+
+  for (const command of splitCommands(text)) {
+    const keywordMatch = command.match(/^\s*([A-Za-z]+)/);
+    if (!keywordMatch) continue;
+    const keyword = keywordMatch[1].toUpperCase();
+    const body = command.slice(keywordMatch[0].length);
+
+    if (keyword === "BEGIN") {
+      block = stripComments(body).trim().toUpperCase();
+      continue;
+    }
+    if (keyword === "END" || keyword === "ENDBLOCK") {
+      block = null;
+      continue;
+    }
+
+    if (block === "TAXA" && keyword === "TAXLABELS") {
+      taxLabels = tokenize(stripComments(body)).filter(t => t !== ",");
+    } else if (block === "TREES") {
+      if (keyword === "TRANSLATE") {
+        translation = parseTranslate(stripComments(body));
+      } else if (keyword === "TREE" || keyword === "UTREE") {
+        const { name, newick } = parseTreeCommand(body);
+        const phy = parseNewick(newick);
+        phy.tipLabel = translateLabels(phy.tipLabel, translation, taxLabels);
+        phy.name = name;
+        trees.push(phy);
+      }
+    }
+  }
+
+  if (trees.length === 0) {
+    throw new Error("no TREES block or TREE command found in NEXUS input.");
+  }
+  if (trees.length === 1) return trees[0];
+  const multi = new MultiPhylo(trees, trees.map(tr => tr.name));
+  if (translation) {
+    // Trees written with a TRANSLATE table share their tips: number them in table order.
+    const ref = [...translation.values()];
+    if (trees.every(tr => tr.tipLabel.length === ref.length)) multi.compressTipLabel(ref);
+  }
+  return multi;
+}
+
+/**
+ * Maps tip tokens to tip labels.
+ *
+ * @param {Array<string>} tipLabel - The tip tokens as read from the tree string.
+ * @param {Map<string, string>|null} translation - The TRANSLATE table, if any.
+ * @param {Array<string>|null} taxLabels - The TAXLABELS of the TAXA block, if any.
+ * @returns {Array<string>} The translated tip labels.
+ */
+function translateLabels(tipLabel, translation, taxLabels) {
+  if (translation) {
+    return tipLabel.map(t => (translation.has(t) ? translation.get(t) : t));
+  }
+  if (taxLabels) {
+    // Without a TRANSLATE table, tips may still be given as taxon numbers.
+    const allNumbers = tipLabel.every(t => {
+      const i = Number(t);
+      return /^\d+$/.test(t) && i >= 1 && i <= taxLabels.length;
+    });
+    if (allNumbers) return tipLabel.map(t => taxLabels[Number(t) - 1]);
+  }
+  return tipLabel;
+}
+
+/**
+ * Quotes a label if it contains characters that are not allowed in an
+ * unquoted NEXUS or Newick token.
+ *
+ * @param {string} label - The label.
+ * @returns {string} The label, single-quoted if necessary.
+ */
+function quoteLabel(label) {
+  if (/[\s()\[\]{}\/\\,;:=*'"`+<>-]/.test(label)) {
+    return "'" + label.replace(/'/g, "''") + "'";
+  }
+  return label;
+}
+
+/**
+ * Writes one or several trees to a string in NEXUS format.
+ *
+ * This function mimics the behavior of R's write.nexus: it writes a TAXA block
+ * and a TREES block; if `translate` is true, tips are written as numbers with a
+ * TRANSLATE table, which requires all trees to share the same tip labels.
+ *
+ * @param {Phylo|Array<Phylo>|MultiPhylo} phy - A phylo object, an array of phylo objects,
+ *   or a MultiPhylo object.
+ * @param {object} [options={}] - Options object.
+ * @param {boolean} [options.translate=true] - Whether to write a TRANSLATE table.
+ * @param {Array<string>|null} [options.names=null] - Tree names; by default the names of
+ *   the MultiPhylo object or the trees' `name` properties are used, or "UNTITLED" /
+ *   "tree1", "tree2", ...
+ * @param {boolean|string} [options.annotations=false] - Whether to write node and edge
+ *   annotations (see writeNewick).
+ * @returns {string} The NEXUS string.
+ * @throws {Error} If `translate` is true and the trees have different tip labels.
+ */
+export function writeNexus(phy, { translate = true, names = null, annotations = false } = {}) {
+  let trees;
+  if (phy instanceof MultiPhylo) {
+    trees = phy.trees;
+    if (names === null) names = phy.names;
+  } else {
+    trees = Array.isArray(phy) ? phy : [phy];
+  }
+  if (trees.length === 0) {
+    throw new Error("no tree to write.");
+  }
+  const labels = trees[0].tipLabel;
+  const ntax = labels.length;
+
+  if (translate) {
+    const labelSet = new Set(labels);
+    for (const tr of trees) {
+      if (tr.tipLabel.length !== ntax || !tr.tipLabel.every(l => labelSet.has(l))) {
+        throw new Error("trees have different tip labels: use translate = false.");
+      }
+    }
+  }
+
+  const lines = ["#NEXUS", ""];
+  lines.push("BEGIN TAXA;");
+  lines.push("\tDIMENSIONS NTAX = " + ntax + ";");
+  lines.push("\tTAXLABELS");
+  labels.forEach(l => lines.push("\t\t" + quoteLabel(l)));
+  lines.push("\t;");
+  lines.push("END;");
+
+  lines.push("BEGIN TREES;");
+  let token = null;
+  if (translate) {
+    token = new Map(labels.map((l, i) => [l, String(i + 1)]));
+    lines.push("\tTRANSLATE");
+    labels.forEach((l, i) => {
+      lines.push("\t\t" + (i + 1) + "\t" + quoteLabel(l) + (i < ntax - 1 ? "," : ""));
+    });
+    lines.push("\t;");
+  }
+
+  trees.forEach((tr, i) => {
+    let name;
+    if (names && names[i] != null) {
+      name = names[i];
+    } else if (tr.name) {
+      name = tr.name;
+    } else {
+      name = trees.length === 1 ? "UNTITLED" : "tree" + (i + 1);
+    }
+    const tipLabel = translate
+      ? tr.tipLabel.map(l => token.get(l))
+      : tr.tipLabel.map(quoteLabel);
+    const out = new Phylo(tr.edge, tr.edgeLength, tipLabel, tr.nodeLabel, tr.Nnode, tr.rootEdge);
+    out.nodeAnnotation = tr.nodeAnnotation || null;
+    out.edgeAnnotation = tr.edgeAnnotation || null;
+    const rooted = isRooted(tr, tr.tipLabel.length) ? "[&R] " : "[&U] ";
+    lines.push("\tTREE " + (i === 0 ? "* " : "") + quoteLabel(name) + " = " + rooted + writeNewick(out, { annotations }));
+  });
+  lines.push("END;");
+
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,147 @@
+/**
+ * @file nj.js
+ * @module nj
+ *
+ * This module builds trees from distance matrices with the neighbor-joining method
+ * of Saitou and Nei (1987), as modified by Studier and Keppler (1988), and with its
+ * BIONJ variant (Gascuel 1997), mimicking R's nj and bionj from the ape package.
+ *
+ * Both methods join, at each step, the pair of nodes i and j that minimizes
+ * Q(i, j) = (r - 2) d(i, j) - S(i) - S(j), where r is the number of remaining nodes
+ * and S(i) the sum of the distances from i. They differ in the distances from the
+ * new node: NJ takes the average of the reduced distances, BIONJ a weighted average
+ * whose weight minimizes the variance of the new distances.
+ *
+ * The trees are unrooted: the last three nodes are joined at the root. Tips are
+ * numbered in the order of the labels of the matrix.
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - asDistMatrix(d, labels)                              (from dist-matrix.js)
+ *   - buildPhylo(tipLabel, children, edgeLength, root)     (from build-phylo.js)
+ */
+
+import { asDistMatrix } from "./dist-matrix.js";
+import { buildPhylo } from "./build-phylo.js";
+
+/**
+ * Builds a neighbor-joining or BIONJ tree.
+ *
+ * @param {object|ArrayLike<number>} d - The distance matrix (see asDistMatrix).
+ * @param {Array<string>|null} labels - The labels, if `d` has none.
+ * @param {boolean} bio - Whether to use BIONJ.
+ * @returns {Phylo} The tree.
+ * @throws {Error} If there are fewer than three labels.
+ */
+function joinNeighbors(d, labels, bio) {
+  const dist = asDistMatrix(d, labels);
+  const n = dist.labels.length;
+  if (n < 3) {
+    throw new Error("cannot build a tree with less than 3 observations.");
+  }
+  const D = dist.matrix;
+  const V = bio ? D.slice() : null;
+  // id[i] is the node held in row i of the matrix.
+  const id = Array.from({ length: n }, (_, i) => i + 1);
+  let active = Array.from({ length: n }, (_, i) => i);
+  const children = new Map();
+  const edgeLength = new Map();
+  let next = n + 1;
+  const S = new Float64Array(n);
+
+  while (active.length > 3) {
+    const r = active.length;
+    for (const i of active) {
+      let s = 0;
+      for (const k of active) s += D[i * n + k];
+      S[i] = s;
+    }
+    let bi = -1;
+    let bj = -1;
+    let best = Infinity;
+    for (let a = 0; a < r; a++) {
+      const i = active[a];
+      for (let b = a + 1; b < r; b++) {
+        const j = active[b];
+        const q = (r - 2) * D[i * n + j] - S[i] - S[j];
+        if (q < best) {
+          best = q;
+          bi = i;
+          bj = j;
+        }
+      }
+    }
+    const dij = D[bi * n + bj];
+    const li = dij / 2 + (S[bi] - S[bj]) / (2 * (r - 2));
+    const lj = dij - li;
+
+    let lambda = 0.5;
+    if (bio && V[bi * n + bj] > 0) {
+      let s = 0;
+      for (const k of active) {
+        if (k !== bi && k !== bj) s += V[bj * n + k] - V[bi * n + k];
+      }
+      lambda = Math.min(Math.max(0.5 + s / (2 * (r - 2) * V[bi * n + bj]), 0), 1);
+    }
+
+    const u = next++;
+    children.set(u, [id[bi], id[bj]]);
+    edgeLength.set(id[bi], li);
+    edgeLength.set(id[bj], lj);
+
+    // The new node takes the row of i.
+    for (const k of active) {
+      if (k === bi || k === bj) continue;
+      let duk;
+      if (bio) {
+        duk = lambda * (D[bi * n + k] - li) + (1 - lambda) * (D[bj * n + k] - lj);
+        const vuk = lambda * V[bi * n + k] + (1 - lambda) * V[bj * n + k] - lambda * (1 - lambda) * V[bi * n + bj];
+        V[bi * n + k] = V[k * n + bi] = vuk;
+      } else {
+        duk = (D[bi * n + k] + D[bj * n + k] - dij) / 2;
+      }
+      D[bi * n + k] = D[k * n + bi] = duk;
+    }
+    id[bi] = u;
+    active = active.filter(k => k !== bj);
+  }
+
+  // The last three nodes are joined at the root.
+  const [a, b, c] = active;
+  const root = next;
+  children.set(root, [id[a], id[b], id[c]]);
+  edgeLength.set(id[a], (D[a * n + b] + D[a * n + c] - D[b * n + c]) / 2);
+  edgeLength.set(id[b], (D[a * n + b] + D[b * n + c] - D[a * n + c]) / 2);
+  edgeLength.set(id[c], (D[a * n + c] + D[b * n + c] - D[a * n + b]) / 2);
+  return buildPhylo(dist.labels, children, edgeLength, root);
+}
+
+/**
+ * Builds a tree with the neighbor-joining method.
+ *
+ * This function mimics the behavior of R's nj (ape). Branch lengths may be negative.
+ *
+ * @param {{labels: Array<string>, matrix: ArrayLike<number>}|ArrayLike<number>|Array<Array<number>>} distMatrix -
+ *   The distance matrix: a labelled matrix (as returned by cophenetic), or a flat or
+ *   nested array of n * n distances.
+ * @param {Array<string>|null} [labels=null] - The labels, if `distMatrix` has none.
+ * @returns {Phylo} The unrooted tree.
+ * @throws {Error} If the matrix is invalid or has fewer than three rows.
+ */
+export function nj(distMatrix, labels = null) {
+  return joinNeighbors(distMatrix, labels, false);
+}
+
+/**
+ * Builds a tree with the BIONJ method.
+ *
+ * This function mimics the behavior of R's bionj (ape).
+ *
+ * @param {{labels: Array<string>, matrix: ArrayLike<number>}|ArrayLike<number>|Array<Array<number>>} distMatrix -
+ *   The distance matrix (see nj).
+ * @param {Array<string>|null} [labels=null] - The labels, if `distMatrix` has none.
+ * @returns {Phylo} The unrooted tree.
+ * @throws {Error} If the matrix is invalid or has fewer than three rows.
+ */
+export function bionj(distMatrix, labels = null) {
+  return joinNeighbors(distMatrix, labels, true);
+}
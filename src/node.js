@@ -5,8 +5,13 @@
  * This module implements functions for computing node depths and heights for a
  * phylogenetic tree, porting the corresponding C routines from R's ape package.
  * The functions assume that edge arrays (edge1 and edge2) are 1-indexed.
+ *
+ * rootDistances and branchingTimes work on trees directly; both traverse the edges
+ * in the order given by reorder.
  */
 
+import { reorder } from "./reorder.js";
+
 /**
  * Computes node depths using edge lengths.
  *
@@ -26,6 +31,32 @@ function nodeDepthEdgeLength(edge1, edge2, edge_length, xx) {
   }
 }
 
+/**
+ * Computes the distance from the root to every node of a tree.
+ *
+ * This function mimics the behavior of R's node.depth.edgelength (ape), using
+ * nodeDepthEdgeLength on the edges in postorder.
+ *
+ * @param {object} phy - A phylogenetic tree object with branch lengths.
+ * @returns {Float64Array} The node depths, indexed by node number - 1.
+ * @throws {Error} If the tree has no branch lengths.
+ */
+function rootDistances(phy) {
+  if (phy.edgeLength == null) {
+    throw new Error("the tree has no branch lengths.");
+  }
+  // The low-level routine reads the edges backward: give them in postorder.
+  const post = reorder(phy, "postorder", true);
+  const depth = new Float64Array(phy.tipLabel.length + phy.Nnode);
+  nodeDepthEdgeLength(
+    post.map(i => phy.edge[i][0]),
+    post.map(i => phy.edge[i][1]),
+    post.map(i => phy.edgeLength[i]),
+    depth
+  );
+  return depth;
+}
+
 /**
  * Computes node depths.
  *
@@ -107,7 +138,7 @@ function nodeHeight(edge1, edge2, yy) {
  */
 function nodeHeightClado(ntip, edge1, edge2, xx, yy) {
   // Compute node depths with method 1.
-  nodeDepth(ntip, edge1, e2, xx, 1);
+  nodeDepth(ntip, edge1, edge2, xx, 1);
   
   const nedge = edge1.length;
   let S = 0;
@@ -131,8 +162,27 @@ function nodeHeightClado(ntip, edge1, edge2, xx, yy) {
   yy[edge1[i] - 1] = S / n;
 }
 
+/**
+ * Computes the branching times of a tree.
+ *
+ * This function mimics the behavior of R's branching.times: the branching time of an
+ * internal node is its distance to the present, taken as the depth of the first tip,
+ * so the tree is expected to be ultrametric.
+ *
+ * @param {object} phy - A phylogenetic tree object with branch lengths.
+ * @returns {Array<number>} The branching times, indexed by node - nTips - 1 (as `nodeLabel`).
+ * @throws {Error} If the tree has no branch lengths.
+ */
+function branchingTimes(phy) {
+  const n = phy.tipLabel.length;
+  const depth = rootDistances(phy);
+  return Array.from(depth.subarray(n), d => depth[0] - d);
+}
+
 export {
   nodeDepthEdgeLength,
+  rootDistances,
+  branchingTimes,
   nodeDepth,
   nodeHeight,
   nodeHeightClado
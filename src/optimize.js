@@ -0,0 +1,156 @@
+/**
+ * @file optimize.js
+ * @module optimize
+ *
+ * This module provides the numerical optimization used to fit models by maximum
+ * likelihood: the Nelder–Mead simplex method, a golden-section search for a single
+ * bounded parameter, and a finite-difference Hessian for the standard errors of the
+ * estimates.
+ */
+
+/**
+ * Minimizes a function with the Nelder–Mead simplex method.
+ *
+ * @param {function(Array<number>): number} fn - The function to minimize. Non-finite
+ *   values are treated as +Infinity.
+ * @param {Array<number>} x0 - The starting point.
+ * @param {object} [options={}] - Options object.
+ * @param {number} [options.step=1] - The size of the initial simplex.
+ * @param {number} [options.tol=1e-10] - The relative tolerance on the function values.
+ * @param {number} [options.maxIter=1000] - The maximum number of iterations per parameter.
+ * @returns {{par: Array<number>, value: number, converged: boolean}} The minimum found,
+ *   the value of the function there, and whether the tolerance was reached.
+ */
+export function nelderMead(fn, x0, { step = 1, tol = 1e-10, maxIter = 1000 } = {}) {
+  const d = x0.length;
+  const f = x => {
+    const v = fn(x);
+    return Number.isFinite(v) ? v : Infinity;
+  };
+  const simplex = [x0.slice()];
+  for (let i = 0; i < d; i++) {
+    const x = x0.slice();
+    x[i] += step;
+    simplex.push(x);
+  }
+  let values = simplex.map(f);
+  const along = (a, b, t) => a.map((v, i) => v + t * (b[i] - v));
+
+  let converged = false;
+  for (let iter = 0; iter < maxIter * d; iter++) {
+    const order = values.map((_, i) => i).sort((i, j) => values[i] - values[j]);
+    const points = order.map(i => simplex[i]);
+    values = order.map(i => values[i]);
+    simplex.splice(0, simplex.length, ...points);
+    const best = values[0];
+    const worst = values[d];
+    if (Math.abs(worst - best) <= tol * (Math.abs(best) + tol)) {
+      converged = true;
+      break;
+    }
+
+    const centroid = new Array(d).fill(0);
+    for (let i = 0; i < d; i++) {
+      for (let j = 0; j < d; j++) centroid[j] += simplex[i][j] / d;
+    }
+    const reflected = along(centroid, simplex[d], -1);
+    const fr = f(reflected);
+    if (fr < best) {
+      const expanded = along(centroid, simplex[d], -2);
+      const fe = f(expanded);
+      [simplex[d], values[d]] = fe < fr ? [expanded, fe] : [reflected, fr];
+    } else if (fr < values[d - 1]) {
+      [simplex[d], values[d]] = [reflected, fr];
+    } else {
+      const contracted = fr < worst ? along(centroid, reflected, 0.5) : along(centroid, simplex[d], 0.5);
+      const fc = f(contracted);
+      if (fc < Math.min(fr, worst)) {
+        [simplex[d], values[d]] = [contracted, fc];
+      } else {
+        for (let i = 1; i <= d; i++) {
+          simplex[i] = along(simplex[0], simplex[i], 0.5);
+          values[i] = f(simplex[i]);
+        }
+      }
+    }
+  }
+  let best = 0;
+  for (let i = 1; i <= d; i++) if (values[i] < values[best]) best = i;
+  return { par: simplex[best], value: values[best], converged };
+}
+
+/**
+ * Minimizes a function of one parameter on an interval with the golden-section search.
+ *
+ * The bounds themselves are also tried, since the minimum of a likelihood is often
+ * reached at one of them.
+ *
+ * @param {function(number): number} fn - The function to minimize.
+ * @param {number} lower - The lower bound.
+ * @param {number} upper - The upper bound.
+ * @param {number} [tol=1e-8] - The tolerance on the parameter.
+ * @returns {{par: number, value: number}} The minimum found and the value of the
+ *   function there.
+ */
+export function goldenSection(fn, lower, upper, tol = 1e-8) {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let a = lower;
+  let b = upper;
+  let c = b - ratio * (b - a);
+  let d = a + ratio * (b - a);
+  let fc = fn(c);
+  let fd = fn(d);
+  while (b - a > tol) {
+    if (fc < fd) {
+      b = d;
+      d = c;
+      fd = fc;
+      c = b - ratio * (b - a);
+      fc = fn(c);
+    } else {
+      a = c;
+      c = d;
+      fc = fd;
+      d = a + ratio * (b - a);
+      fd = fn(d);
+    }
+  }
+  let par = (a + b) / 2;
+  let value = fn(par);
+  for (const bound of [lower, upper]) {
+    const v = fn(bound);
+    if (v < value) [par, value] = [bound, v];
+  }
+  return { par, value };
+}
+
+/**
+ * Computes the Hessian matrix of a function by central finite differences.
+ *
+ * @param {function(Array<number>): number} fn - The function.
+ * @param {Array<number>} x - The point at which the Hessian is computed.
+ * @returns {Float64Array} The Hessian (row-major, x.length rows).
+ */
+export function hessian(fn, x) {
+  const d = x.length;
+  const h = x.map(v => 1e-4 * Math.max(Math.abs(v), 1e-2));
+  const at = (i, di, j, dj) => {
+    const y = x.slice();
+    y[i] += di;
+    y[j] += dj;
+    return fn(y);
+  };
+  const f0 = fn(x);
+  const H = new Float64Array(d * d);
+  for (let i = 0; i < d; i++) {
+    H[i * d + i] = (at(i, h[i], i, 0) - 2 * f0 + at(i, -h[i], i, 0)) / (h[i] * h[i]);
+    for (let j = 0; j < i; j++) {
+      const v =
+        (at(i, h[i], j, h[j]) - at(i, h[i], j, -h[j]) - at(i, -h[i], j, h[j]) + at(i, -h[i], j, -h[j])) /
+        (4 * h[i] * h[j]);
+      H[i * d + j] = v;
+      H[j * d + i] = v;
+    }
+  }
+  return H;
+}
@@ -14,6 +14,16 @@
  *  - nodeLabel: An array of node labels (internal node names).
  *  - Nnode: The number of internal nodes.
  *  - rootEdge: (Optional) The branch length of the root edge.
+ *  - nodeAnnotation: (Optional) An array of annotation objects (e.g. BEAST or NHX
+ *                    metadata), indexed by node number - 1; null for unannotated nodes.
+ *  - edgeAnnotation: (Optional) An array of annotation objects parallel to `edge`.
+ *
+ * Annotations are kept in sync by reorder and by the functions that renumber nodes
+ * (dropTip, keepTip, rootPhylo, unrootPhylo, collapseSingles).
+ *
+ * The node index (parent and children of every node, see `nodeIndex`) is built on
+ * first use and cached. It is discarded when `edge`, `tipLabel` or `Nnode` is set;
+ * code that edits the rows of `edge` in place must call `invalidateNodeIndex`.
  */
 
 class Phylo {
@@ -36,6 +46,9 @@ class Phylo {
       this._nodeLabel = nodeLabel;
       this._Nnode = Nnode;
       this._rootEdge = rootEdge;
+      this._nodeAnnotation = null;
+      this._edgeAnnotation = null;
+      this._nodeIndex = null;
     }
   
     /**
@@ -54,6 +67,7 @@ class Phylo {
      */
     set edge(newEdge) {
       this._edge = newEdge;
+      this._nodeIndex = null;
     }
   
     /**
@@ -90,6 +104,7 @@ class Phylo {
      */
     set tipLabel(newTipLabel) {
       this._tipLabel = newTipLabel;
+      this._nodeIndex = null;
     }
   
     /**
@@ -126,6 +141,7 @@ class Phylo {
      */
     set Nnode(newNnode) {
       this._Nnode = newNnode;
+      this._nodeIndex = null;
     }
   
     /**
@@ -146,8 +162,140 @@ class Phylo {
       this._rootEdge = newRootEdge;
     }
   
+    /**
+     * Gets the node annotations.
+     *
+     * @return {Array<object|null>|null} The node annotations, indexed by node number - 1, or null.
+     */
+    get nodeAnnotation() {
+      return this._nodeAnnotation;
+    }
+  
+    /**
+     * Sets the node annotations.
+     *
+     * @param {Array<object|null>|null} newNodeAnnotation - The new node annotations.
+     */
+    set nodeAnnotation(newNodeAnnotation) {
+      this._nodeAnnotation = newNodeAnnotation;
+    }
+  
+    /**
+     * Gets the edge annotations.
+     *
+     * @return {Array<object|null>|null} The edge annotations, parallel to the edge matrix, or null.
+     */
+    get edgeAnnotation() {
+      return this._edgeAnnotation;
+    }
+  
+    /**
+     * Sets the edge annotations.
+     *
+     * @param {Array<object|null>|null} newEdgeAnnotation - The new edge annotations.
+     */
+    set edgeAnnotation(newEdgeAnnotation) {
+      this._edgeAnnotation = newEdgeAnnotation;
+    }
+  
+    /**
+     * Gets the node index, building it if needed.
+     *
+     * The index has the following properties, indexed by node number:
+     *   - parent: Int32Array of parent node numbers (0 for the root).
+     *   - parentEdge: Int32Array of the index of the edge leading to each node (-1 for the root).
+     *   - depth: Int32Array of the number of edges from the root.
+     *   - children: Array of arrays of child node numbers, in edge matrix order.
+     * It also gives the root node number as `root`.
+     *
+     * @return {object} The node index.
+     */
+    get nodeIndex() {
+      if (this._nodeIndex === null) {
+        const N = this._tipLabel.length + this._Nnode;
+        const parent = new Int32Array(N + 1);
+        const parentEdge = new Int32Array(N + 1).fill(-1);
+        const depth = new Int32Array(N + 1);
+        const children = Array.from({ length: N + 1 }, () => []);
+        this._edge.forEach(([p, c], i) => {
+          parent[c] = p;
+          parentEdge[c] = i;
+          children[p].push(c);
+        });
+        let root = this._tipLabel.length + 1;
+        while (parent[root] !== 0) root = parent[root];
+        const stack = [root];
+        while (stack.length > 0) {
+          const v = stack.pop();
+          for (const c of children[v]) {
+            depth[c] = depth[v] + 1;
+            stack.push(c);
+          }
+        }
+        this._nodeIndex = { parent, parentEdge, depth, children, root };
+      }
+      return this._nodeIndex;
+    }
+
+    /**
+     * Discards the cached node index, after the edge matrix was modified in place.
+     */
+    invalidateNodeIndex() {
+      this._nodeIndex = null;
+    }
+
+    /**
+     * Creates a deep copy of the tree.
+     *
+     * The edge matrix and the label and branch length arrays are copied, so the
+     * copy can be modified in place (e.g. by dropTip) without affecting this tree.
+     *
+     * @return {Phylo} A new Phylo object.
+     */
+    clone() {
+      const copy = new Phylo(
+        this._edge.map(row => row.slice()),
+        this._edgeLength ? this._edgeLength.slice() : this._edgeLength,
+        this._tipLabel.slice(),
+        this._nodeLabel ? this._nodeLabel.slice() : this._nodeLabel,
+        this._Nnode,
+        this._rootEdge
+      );
+      const copyAnnotation = a => (a ? Object.assign({}, a) : a);
+      if (this._nodeAnnotation) copy.nodeAnnotation = this._nodeAnnotation.map(copyAnnotation);
+      if (this._edgeAnnotation) copy.edgeAnnotation = this._edgeAnnotation.map(copyAnnotation);
+      if (this.order !== undefined) copy.order = this.order;
+      if (this.name !== undefined) copy.name = this.name;
+      return copy;
+    }
+
     // TODO: Implement more methods here
   }
+
+  /**
+   * Copies a tree given as a Phylo object or as a plain object with the same
+   * properties (edge, edgeLength, tipLabel, nodeLabel, Nnode, ...).
+   *
+   * @param {object} phy - A phylogenetic tree object.
+   * @return {Phylo} A new Phylo object, which can be modified in place without
+   *   affecting `phy`.
+   */
+  export function copyTree(phy) {
+    if (phy instanceof Phylo) return phy.clone();
+    const tree = new Phylo(
+      phy.edge,
+      phy.edgeLength ?? null,
+      phy.tipLabel,
+      phy.nodeLabel ?? null,
+      phy.Nnode,
+      phy.rootEdge ?? null
+    );
+    if (phy.nodeAnnotation) tree.nodeAnnotation = phy.nodeAnnotation;
+    if (phy.edgeAnnotation) tree.edgeAnnotation = phy.edgeAnnotation;
+    if (phy.order !== undefined) tree.order = phy.order;
+    if (phy.name !== undefined) tree.name = phy.name;
+    return tree.clone();
+  }
   
   export default Phylo;
   
\ No newline at end of file
@@ -0,0 +1,201 @@
+/**
+ * @file phylosig.js
+ * @module phylosig
+ *
+ * This module measures the phylogenetic signal of a continuous trait, mimicking R's
+ * phylosig from the phytools package.
+ *
+ * Both measures compare the trait with the phylogenetic variance-covariance matrix
+ * C of the tree (see vcv), i.e. with what is expected under Brownian motion:
+ *   - Blomberg's K is the ratio of the observed to the expected ratio between the
+ *     mean squared error of the tip values around their phylogenetic mean, computed
+ *     without and with C. K = 1 under Brownian motion, K < 1 when relatives resemble
+ *     each other less than expected, and K > 1 when they resemble each other more.
+ *   - Pagel's lambda multiplies the off-diagonal elements of C, and is fitted by
+ *     maximum likelihood: lambda = 0 means no signal, lambda = 1 Brownian motion.
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - vcv(phy)                          (from vcv.js)
+ *   - tipValues(x, phy)                 (from name-check.js)
+ *   - solve, inverse, logDeterminant    (from matrix.js)
+ *   - goldenSection(fn, lower, upper)   (from optimize.js)
+ *   - createRng(seed)                   (from common-utilities.js)
+ */
+
+import { vcv } from "./vcv.js";
+import { tipValues } from "./name-check.js";
+import { solve, inverse, logDeterminant } from "./matrix.js";
+import { goldenSection } from "./optimize.js";
+import { createRng } from "./common-utilities.js";
+
+/**
+ * Computes the complementary error function (Numerical Recipes' Chebyshev
+ * approximation, with a relative error below 1.2e-7).
+ *
+ * @param {number} x - The argument.
+ * @returns {number} erfc(x).
+ */
+function erfc(x) {
+  const coefficients = [
+    -1.26551223, 1.00002368, 0.37409196, 0.09678418, -0.18628806, 0.27886807, -1.13520398, 1.48851587,
+    -0.82215223, 0.17087277,
+  ];
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  let poly = 0;
+  for (let i = coefficients.length - 1; i >= 0; i--) poly = poly * t + coefficients[i];
+  const r = t * Math.exp(-z * z + poly);
+  return x >= 0 ? r : 2 - r;
+}
+
+/**
+ * Computes Blomberg's K.
+ *
+ * @param {ArrayLike<number>} x - The values, indexed by tip number - 1.
+ * @param {Float64Array} invC - The inverse of the variance-covariance matrix.
+ * @param {number} expected - The ratio of the mean squared errors expected under
+ *   Brownian motion.
+ * @returns {number} K.
+ */
+function blombergK(x, invC, expected) {
+  const n = x.length;
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      num += invC[i * n + j] * x[j];
+      den += invC[i * n + j];
+    }
+  }
+  const a = num / den;
+  let mse0 = 0;
+  let mse = 0;
+  for (let i = 0; i < n; i++) {
+    mse0 += (x[i] - a) * (x[i] - a);
+    for (let j = 0; j < n; j++) mse += (x[i] - a) * invC[i * n + j] * (x[j] - a);
+  }
+  return mse0 / mse / expected;
+}
+
+/**
+ * Computes the log-likelihood of Brownian motion with a given variance-covariance
+ * matrix, at the maximum likelihood estimates of the root value and the rate.
+ *
+ * @param {ArrayLike<number>} x - The values, indexed by tip number - 1.
+ * @param {Float64Array} C - The variance-covariance matrix.
+ * @param {number} n - The number of tips.
+ * @returns {number} The log-likelihood, or -Infinity if C is singular.
+ */
+function logLikBM(x, C, n) {
+  let invCx;
+  let invC1;
+  try {
+    invCx = solve(C, n, x);
+    invC1 = solve(C, n, new Float64Array(n).fill(1));
+  } catch (e) {
+    if (e.message === "the matrix is singular.") return -Infinity;
+    throw e;
+  }
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < n; i++) {
+    num += invCx[i];
+    den += invC1[i];
+  }
+  const a = num / den;
+  let q = 0;
+  for (let i = 0; i < n; i++) q += (x[i] - a) * (invCx[i] - a * invC1[i]);
+  const sigma2 = q / n;
+  return -0.5 * (n * Math.log(2 * Math.PI * sigma2) + logDeterminant(C, n) + n);
+}
+
+/**
+ * Measures the phylogenetic signal of a continuous trait.
+ *
+ * This function mimics the behavior of R's phylosig (phytools).
+ *
+ * With `test`, K is compared with the values obtained after permuting the tip values
+ * `nsim` times (P is the proportion of them at least as large as K), and lambda is
+ * compared with lambda = 0 by a likelihood-ratio test (with one degree of freedom).
+ * Lambda is searched between 0 and the value at which a covariance reaches the
+ * variance of one of its tips, which makes C singular: for an ultrametric tree, the
+ * height of the root divided by the largest distance from the root to the MRCA of two
+ * tips (1.5 for (((A:1,B:1):1,C:2):1,(D:1.5,E:1.5):1.5)). As in phytools, that bound
+ * itself is excluded.
+ *
+ * @param {object} phy - A phylogenetic tree object with branch lengths.
+ * @param {Object<string, number>|ArrayLike<number>} x - The trait values, keyed by tip
+ *   label or in the order of the tip numbers.
+ * @param {object} [options={}] - Options object.
+ * @param {string} [options.method="K"] - "K" or "lambda".
+ * @param {boolean} [options.test=false] - Whether to test the signal.
+ * @param {number} [options.nsim=1000] - The number of permutations for the test of K.
+ * @param {number|null} [options.seed=null] - A seed for the random number generator
+ *   used by the permutations.
+ * @param {function(): number|null} [options.rng=null] - A random number generator, used
+ *   instead of `seed`.
+ * @returns {Object} With "K": {K, P, simK}; with "lambda": {lambda, logL, logL0, P}.
+ *   logL0 (the log-likelihood for lambda = 0), P and simK (the values of K for the
+ *   permuted data) are null without `test`.
+ * @throws {Error} If the method is unknown, the names of `x` do not match the tip
+ *   labels, or the tree has no branch lengths.
+ */
+export function phylosig(phy, x, { method = "K", test = false, nsim = 1000, seed = null, rng = null } = {}) {
+  if (method !== "K" && method !== "lambda") {
+    throw new Error('method must be "K" or "lambda".');
+  }
+  if (phy.edgeLength == null) {
+    throw new Error("the tree has no branch lengths.");
+  }
+  const values = Float64Array.from(tipValues(x, phy));
+  if (values.some(Number.isNaN)) {
+    throw new Error("the values of x must be numbers.");
+  }
+  const n = values.length;
+  const C = vcv(phy).matrix;
+
+  if (method === "K") {
+    const invC = inverse(C, n);
+    let trace = 0;
+    let sumInvC = 0;
+    for (let i = 0; i < n; i++) {
+      trace += C[i * n + i];
+      for (let j = 0; j < n; j++) sumInvC += invC[i * n + j];
+    }
+    const expected = (trace - n / sumInvC) / (n - 1);
+    const K = blombergK(values, invC, expected);
+    if (!test) return { K, P: null, simK: null };
+
+    if (rng === null) rng = createRng(seed);
+    const simK = new Float64Array(nsim);
+    const permuted = Float64Array.from(values);
+    let count = 0;
+    for (let s = 0; s < nsim; s++) {
+      for (let i = n - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [permuted[i], permuted[j]] = [permuted[j], permuted[i]];
+      }
+      simK[s] = blombergK(permuted, invC, expected);
+      if (simK[s] >= K) count++;
+    }
+    return { K, P: count / nsim, simK };
+  }
+
+  // At maxLambda, a covariance reaches the variance of one of its tips and C is
+  // singular: the search stops just below it.
+  let maxLambda = Infinity;
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if (i !== j && C[i * n + j] > 0) maxLambda = Math.min(maxLambda, C[i * n + i] / C[i * n + j]);
+    }
+  }
+  const scaled = lambda => C.map((c, k) => (k % (n + 1) === 0 ? c : c * lambda));
+  const upper = Number.isFinite(maxLambda) ? maxLambda * (1 - 1e-6) : 1;
+  const fit = goldenSection(lambda => -logLikBM(values, scaled(lambda), n), 0, upper);
+  const logL = -fit.value;
+  if (!test) return { lambda: fit.par, logL, logL0: null, P: null };
+
+  const logL0 = logLikBM(values, scaled(0), n);
+  const lr = Math.max(0, 2 * (logL - logL0));
+  return { lambda: fit.par, logL, logL0, P: Math.min(1, erfc(Math.sqrt(lr / 2))) };
+}
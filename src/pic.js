@@ -0,0 +1,102 @@
+/**
+ * @file pic.js
+ * @module pic
+ *
+ * This module computes phylogenetically independent contrasts (Felsenstein 1985),
+ * mimicking R's pic from the ape package.
+ *
+ * The tree is traversed in postorder (see reorder). At each node, the contrast is
+ * the difference between the values of its two children, whose variance is the sum
+ * of their (extended) branch lengths; the node gets their average weighted by the
+ * inverse branch lengths, and its own branch is extended by the variance of that
+ * estimate.
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - reorder(phy, order, indexOnly) (from reorder.js)
+ *   - tipValues(x, phy)              (from name-check.js)
+ */
+
+import { reorder } from "./reorder.js";
+import { tipValues } from "./name-check.js";
+
+/**
+ * Computes the independent contrasts and the values at the nodes.
+ *
+ * @param {ArrayLike<number>} values - The values, indexed by tip number - 1.
+ * @param {object} phy - A rooted, fully dichotomous tree with branch lengths.
+ * @returns {{contrasts: Float64Array, variance: Float64Array, ancestral: Float64Array,
+ *   extra: Float64Array}} The raw contrasts and their variances, the values at the
+ *   nodes, and the length added to the branch below each node, all indexed by
+ *   node - nTips - 1.
+ * @throws {Error} If the tree has no branch lengths or is not fully dichotomous.
+ */
+export function independentContrasts(values, phy) {
+  const n = phy.tipLabel.length;
+  const m = phy.Nnode;
+  if (phy.edgeLength == null) {
+    throw new Error("the tree has no branch lengths.");
+  }
+  if (m !== n - 1) {
+    throw new Error("the tree is not rooted and fully dichotomous.");
+  }
+  const x = new Float64Array(n + m + 1);
+  for (let i = 0; i < n; i++) x[i + 1] = values[i];
+  const length = new Float64Array(n + m + 1);
+  const children = Array.from({ length: m }, () => []);
+  const contrasts = new Float64Array(m);
+  const variance = new Float64Array(m);
+  const extra = new Float64Array(m);
+
+  const visit = p => {
+    const [a, b] = children[p - n - 1];
+    const va = length[a];
+    const vb = length[b];
+    contrasts[p - n - 1] = x[a] - x[b];
+    variance[p - n - 1] = va + vb;
+    x[p] = (x[a] * vb + x[b] * va) / (va + vb);
+    extra[p - n - 1] = (va * vb) / (va + vb);
+  };
+
+  // In postorder, the edges from a node follow those of its descendants.
+  const post = reorder(phy, "postorder", true);
+  for (const i of post) {
+    const [p, c] = phy.edge[i];
+    if (c > n) visit(c);
+    length[c] = phy.edgeLength[i] + (c > n ? extra[c - n - 1] : 0);
+    children[p - n - 1].push(c);
+  }
+  if (children.some(list => list.length !== 2)) {
+    throw new Error("the tree is not rooted and fully dichotomous.");
+  }
+  visit(n + 1);
+  return { contrasts, variance, ancestral: x.slice(n + 1), extra };
+}
+
+/**
+ * Computes phylogenetically independent contrasts.
+ *
+ * This function mimics the behavior of R's pic (ape).
+ *
+ * @param {Object<string, number>|ArrayLike<number>} x - The trait values, keyed by tip label
+ *   or in the order of the tip numbers.
+ * @param {object} phy - A rooted, fully dichotomous tree with branch lengths.
+ * @param {object} [options={}] - Options object.
+ * @param {boolean} [options.scaled=true] - Whether to divide the contrasts by their
+ *   standard deviation.
+ * @returns {{contrasts: Float64Array, variance: Float64Array}} An object with properties:
+ *   - contrasts: the contrasts, indexed by node - nTips - 1 (as `nodeLabel`).
+ *   - variance: their expected variances (the sums of the branch lengths).
+ * @throws {Error} If the names of `x` do not match the tip labels, some values are not
+ *   numbers, or the tree has no branch lengths or is not fully dichotomous.
+ */
+export function pic(x, phy, { scaled = true } = {}) {
+  const values = tipValues(x, phy);
+  if (values.some(v => typeof v !== "number" || Number.isNaN(v))) {
+    throw new Error("the values of x must be numbers.");
+  }
+  const { contrasts, variance } = independentContrasts(values, phy);
+  if (scaled) {
+    for (let i = 0; i < contrasts.length; i++) contrasts[i] /= Math.sqrt(variance[i]);
+  }
+  return { contrasts, variance };
+}
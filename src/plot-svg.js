@@ -0,0 +1,300 @@
+/**
+ * @file plot-svg.js
+ * @module plotSvg
+ *
+ * This module draws phylogenetic trees as SVG strings, in the spirit of R's
+ * plot.phylo (ape). It needs no DOM, so it runs in Node as well as in browsers:
+ * the SVG can be written to a file or inserted in a page.
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - layoutTree(phy, options) (from layout.js)
+ *   - getMRCA(phy, tips)       (from mrca.js)
+ */
+
+import { layoutTree } from "./layout.js";
+import { getMRCA } from "./mrca.js";
+
+/**
+ * Escapes the characters that are special in XML text and attributes.
+ *
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Formats a coordinate with at most two decimals.
+ *
+ * @param {number} v - The coordinate.
+ * @returns {string} The formatted coordinate.
+ */
+function fmt(v) {
+  return String(Math.round(v * 100) / 100);
+}
+
+/**
+ * Finds the edges of the clade below a node, or below the most recent common
+ * ancestor of a set of tips.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {number|Array<string>} target - A node number, or tip labels.
+ * @returns {Array<number>} The indices of the edges in the clade.
+ * @throws {Error} If a tip label is not found.
+ */
+function cladeEdges(phy, target) {
+  const children = new Map();
+  phy.edge.forEach(([p], i) => {
+    if (!children.has(p)) children.set(p, []);
+    children.get(p).push(i);
+  });
+
+  const node = Array.isArray(target) ? getMRCA(phy, target) : target;
+  const edges = [];
+  const stack = [node];
+  while (stack.length > 0) {
+    for (const i of children.get(stack.pop()) || []) {
+      edges.push(i);
+      stack.push(phy.edge[i][1]);
+    }
+  }
+  return edges;
+}
+
+/**
+ * Chooses a round length for a scale bar, about a tenth of the given extent.
+ *
+ * @param {number} extent - The extent of the tree in branch length units.
+ * @returns {number} The scale bar length (1, 2 or 5 times a power of ten).
+ */
+function niceLength(extent) {
+  const raw = extent / 10;
+  const power = Math.pow(10, Math.floor(Math.log10(raw)));
+  const m = raw / power;
+  return (m < 1.5 ? 1 : m < 3.5 ? 2 : m < 7.5 ? 5 : 10) * power;
+}
+
+/**
+ * Draws a phylogenetic tree as an SVG string.
+ *
+ * The tree is laid out with layoutTree, then scaled to fit the figure with room for
+ * the labels. Tip labels follow the direction of their edge in circular and unrooted
+ * trees, and are flipped to remain readable on the left side.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {object} [options={}] - Options object.
+ * @param {string} [options.type="phylogram"] - The layout type (see layoutTree).
+ * @param {boolean} [options.useEdgeLength=true] - Whether to use the branch lengths.
+ * @param {string} [options.direction="rightwards"] - The layout direction (see layoutTree).
+ * @param {number} [options.width=600] - The figure width in pixels.
+ * @param {number|null} [options.height=null] - The figure height in pixels; by default,
+ *   20 pixels per tip for phylograms and cladograms, and `width` otherwise.
+ * @param {number} [options.margin=10] - The margin around the figure in pixels.
+ * @param {number} [options.fontSize=12] - The font size of the labels in pixels.
+ * @param {string} [options.fontFamily="sans-serif"] - The font of the labels.
+ * @param {boolean} [options.showTipLabel=true] - Whether to draw the tip labels.
+ * @param {boolean} [options.showNodeLabel=false] - Whether to draw the node labels.
+ * @param {string|Array<string>} [options.edgeColor="black"] - The edge colour, or one colour
+ *   per edge.
+ * @param {number} [options.edgeWidth=1] - The edge width in pixels.
+ * @param {Array<{node: number, tips: Array<string>, color: string}>} [options.cladeColors=[]] -
+ *   Colours for the edges of clades, each given by its node number or by tip labels (the
+ *   clade is then that of their most recent common ancestor); later entries take precedence.
+ * @param {Array<string>} [options.highlightTips=[]] - Labels of the tips to highlight.
+ * @param {string} [options.highlightColor="red"] - The colour of the highlighted tips.
+ * @param {boolean} [options.scaleBar=true] - Whether to draw a scale bar (if branch
+ *   lengths are used and the tree is not radial).
+ * @returns {string} The SVG document.
+ * @throws {Error} If the layout options are invalid or a tip in `cladeColors` is not found.
+ */
+export function plotPhyloSVG(
+  phy,
+  {
+    type = "phylogram",
+    useEdgeLength = true,
+    direction = "rightwards",
+    width = 600,
+    height = null,
+    margin = 10,
+    fontSize = 12,
+    fontFamily = "sans-serif",
+    showTipLabel = true,
+    showNodeLabel = false,
+    edgeColor = "black",
+    edgeWidth = 1,
+    cladeColors = [],
+    highlightTips = [],
+    highlightColor = "red",
+    scaleBar = true
+  } = {}
+) {
+  const layout = layoutTree(phy, { type, useEdgeLength, direction });
+  const n = phy.tipLabel.length;
+  const N = n + phy.Nnode;
+  const rectangular = type === "phylogram" || type === "cladogram";
+  const vertical = rectangular && (direction === "upwards" || direction === "downwards");
+  if (height === null) height = rectangular && !vertical ? Math.max(100, 20 * n + 2 * margin) : width;
+
+  // Edge colours: defaults first, then each clade in turn.
+  const colors = phy.edge.map((_, i) => (Array.isArray(edgeColor) ? edgeColor[i] : edgeColor));
+  for (const { node, tips, color } of cladeColors) {
+    for (const i of cladeEdges(phy, tips ? tips : node)) colors[i] = color;
+  }
+  const highlighted = new Set(highlightTips);
+  // Connectors and arcs take the colour of the first edge from their node.
+  const firstEdge = new Map();
+  phy.edge.forEach(([p], i) => {
+    if (!firstEdge.has(p)) firstEdge.set(p, i);
+  });
+
+  // Room for the labels, estimated from the number of characters.
+  const labelSpace = showTipLabel
+    ? fontSize * (0.6 * phy.tipLabel.reduce((m, l) => Math.max(m, String(l).length), 0) + 0.5)
+    : 0;
+  const barSpace = scaleBar && layout.useEdgeLength && type !== "radial" ? 2.5 * fontSize : 0;
+
+  let xmin = Infinity;
+  let xmax = -Infinity;
+  let ymin = Infinity;
+  let ymax = -Infinity;
+  for (let i = 0; i < N; i++) {
+    xmin = Math.min(xmin, layout.x[i]);
+    xmax = Math.max(xmax, layout.x[i]);
+    ymin = Math.min(ymin, layout.y[i]);
+    ymax = Math.max(ymax, layout.y[i]);
+  }
+  // Pixel box of the tree itself, leaving the label space on the tip side(s).
+  let left = margin;
+  let right = width - margin;
+  let top = margin;
+  let bottom = height - margin - barSpace;
+  if (!rectangular) {
+    left += labelSpace;
+    right -= labelSpace;
+    top += labelSpace;
+    bottom -= labelSpace;
+  } else if (direction === "rightwards") {
+    right -= labelSpace;
+  } else if (direction === "leftwards") {
+    left += labelSpace;
+  } else if (direction === "upwards") {
+    top += labelSpace;
+  } else {
+    bottom -= labelSpace;
+  }
+  let sx = xmax > xmin ? (right - left) / (xmax - xmin) : 1;
+  let sy = ymax > ymin ? (bottom - top) / (ymax - ymin) : 1;
+  if (!rectangular) sx = sy = Math.min(sx, sy);
+  // Centre the tree in its box; the y axis points up as in R's plots.
+  const ox = (left + right - (xmax - xmin) * sx) / 2;
+  const oy = (top + bottom - (ymax - ymin) * sy) / 2;
+  const px = x => ox + (x - xmin) * sx;
+  const py = y => oy + (ymax - y) * sy;
+
+  const out = [];
+  out.push(
+    '<svg xmlns="http://www.w3.org/2000/svg" width="' + fmt(width) + '" height="' + fmt(height) +
+      '" viewBox="0 0 ' + fmt(width) + " " + fmt(height) + '">'
+  );
+  out.push(
+    '<g fill="none" stroke-width="' + fmt(edgeWidth) + '" stroke-linecap="square">'
+  );
+  for (const s of layout.segments) {
+    const i = s.edge !== null ? s.edge : firstEdge.get(s.node);
+    out.push(
+      '<line x1="' + fmt(px(s.x0)) + '" y1="' + fmt(py(s.y0)) + '" x2="' + fmt(px(s.x1)) +
+        '" y2="' + fmt(py(s.y1)) + '" stroke="' + escapeXML(colors[i]) + '"/>'
+    );
+  }
+  for (const a of layout.arcs) {
+    // Angles grow counterclockwise in tree space, clockwise on screen.
+    const r = a.r * sx;
+    if (r === 0) continue;
+    const i = firstEdge.get(a.node);
+    const x0 = px(a.x + a.r * Math.cos(a.start));
+    const y0 = py(a.y + a.r * Math.sin(a.start));
+    const x1 = px(a.x + a.r * Math.cos(a.end));
+    const y1 = py(a.y + a.r * Math.sin(a.end));
+    const large = a.end - a.start > Math.PI ? 1 : 0;
+    out.push(
+      '<path d="M ' + fmt(x0) + " " + fmt(y0) + " A " + fmt(r) + " " + fmt(r) + " 0 " + large +
+        " 0 " + fmt(x1) + " " + fmt(y1) + '" stroke="' + escapeXML(colors[i]) + '"/>'
+    );
+  }
+  out.push("</g>");
+
+  const text = (x, y, label, { anchor = "start", rotate = 0, color = null, bold = false } = {}) => {
+    let attrs = 'x="' + fmt(x) + '" y="' + fmt(y) + '" text-anchor="' + anchor + '" dominant-baseline="central"';
+    rotate = ((rotate % 360) + 360) % 360;
+    if (rotate !== 0) attrs += ' transform="rotate(' + fmt(rotate) + " " + fmt(x) + " " + fmt(y) + ')"';
+    if (color) attrs += ' fill="' + escapeXML(color) + '"';
+    if (bold) attrs += ' font-weight="bold"';
+    return "<text " + attrs + ">" + escapeXML(label) + "</text>";
+  };
+
+  if (showTipLabel || showNodeLabel) {
+    out.push('<g font-family="' + escapeXML(fontFamily) + '" font-size="' + fmt(fontSize) + '">');
+  }
+  if (showTipLabel) {
+    const gap = fontSize / 3;
+    for (let i = 0; i < n; i++) {
+      const x = px(layout.x[i]);
+      const y = py(layout.y[i]);
+      const style = highlighted.has(phy.tipLabel[i]) ? { color: highlightColor, bold: true } : {};
+      if (!rectangular) {
+        // Screen angle of the edge, flipped on the left so the text is not upside down.
+        const theta = layout.angle[i];
+        const deg = (-theta * 180) / Math.PI;
+        const leftSide = Math.cos(theta) < 0;
+        out.push(
+          text(x + gap * Math.cos(theta), y - gap * Math.sin(theta), phy.tipLabel[i], {
+            ...style,
+            anchor: leftSide ? "end" : "start",
+            rotate: leftSide ? deg + 180 : deg
+          })
+        );
+      } else if (direction === "rightwards") {
+        out.push(text(x + gap, y, phy.tipLabel[i], style));
+      } else if (direction === "leftwards") {
+        out.push(text(x - gap, y, phy.tipLabel[i], { ...style, anchor: "end" }));
+      } else if (direction === "upwards") {
+        out.push(text(x, y - gap, phy.tipLabel[i], { ...style, rotate: -90 }));
+      } else {
+        out.push(text(x, y + gap, phy.tipLabel[i], { ...style, rotate: 90 }));
+      }
+    }
+  }
+  if (showNodeLabel && phy.nodeLabel) {
+    for (let i = 0; i < phy.Nnode; i++) {
+      const label = phy.nodeLabel[i];
+      if (label == null || label === "") continue;
+      const x = px(layout.x[n + i]);
+      const y = py(layout.y[n + i]) - fontSize / 2;
+      out.push(text(x, y, label, { anchor: "middle" }));
+    }
+  }
+  if (showTipLabel || showNodeLabel) out.push("</g>");
+
+  if (barSpace > 0) {
+    // The extent of the tree in branch length units along its depth axis.
+    const extent = rectangular ? (vertical ? ymax - ymin : xmax - xmin) : Math.max(xmax - xmin, ymax - ymin);
+    const len = niceLength(extent);
+    const scale = vertical ? sy : sx;
+    const y = height - margin - 1.5 * fontSize;
+    out.push(
+      '<g font-family="' + escapeXML(fontFamily) + '" font-size="' + fmt(fontSize) + '">' +
+        '<line x1="' + fmt(margin) + '" y1="' + fmt(y) + '" x2="' + fmt(margin + len * scale) + '" y2="' +
+        fmt(y) + '" stroke="black" stroke-width="' + fmt(edgeWidth) + '"/>' +
+        text(margin + (len * scale) / 2, y + fontSize, String(len), { anchor: "middle" }) +
+        "</g>"
+    );
+  }
+
+  out.push("</svg>");
+  return out.join("\n") + "\n";
+}
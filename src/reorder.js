@@ -70,7 +70,7 @@ function reorderRcpp(orig, nTips, root, order) {
       const i = node - nTips - 1;
       // Process in reverse order.
       for (let j = xj[i] - 1; j >= 0; j--) {
-        neworder[iii] = L[xi[i] + j] + 1; // Note: ot sure if +1 is needed here
+        neworder[iii] = L[xi[i] + j];
         iii--;
       }
       // Recurse on children that are internal nodes.
@@ -145,6 +145,11 @@ function _reorder_ape(tree, order, indexOnly, nbTip, io) {
         tree.edgeLength = neworder.map(idx => tree.edgeLength[idx]);
     }
 
+    // Reorder edge annotations if available.
+    if (tree.edgeAnnotation != null) {
+        tree.edgeAnnotation = neworder.map(idx => tree.edgeAnnotation[idx]);
+    }
+
     // Set the order attribute on the tree.
     tree.order = order;
 
@@ -165,7 +170,8 @@ function _reorder_ape(tree, order, indexOnly, nbTip, io) {
  *   - order: (optional) current order attribute
  * @param {string} [order="cladewise"] - The output order ("cladewise" or "postorder").
  * @param {boolean} [indexOnly=false] - If true, returns only the new order indices.
- * @returns {object|Array<number>} The reordered tree object or the new order indices if indexOnly is true.
+ * @returns {object|Array<number>} The reordered tree object or, if indexOnly is true, the
+ *   0-based indices of the edges (rows of `edge`) in the new order, for both orders.
  * @throws {Error} If the specified order is not recognized.
  */
 function reorder(tree, order = "cladewise", indexOnly = false) {
@@ -5,7 +5,11 @@
  * This module provides functionality for handling rooting of phylogenetic trees.
  * It exports:
  *   - isRooted: Checks whether a tree is rooted.
- *   - rootPhylo: Roots a phylogenetic tree using an outgroup or an explicit node.
+ *   - rootPhylo: Roots a phylogenetic tree using an outgroup or an explicit node,
+ *     optionally at a given position on its edge.
+ *   - midpoint: Roots a tree at the midpoint of its longest tip-to-tip path.
+ *   - rootAtMinimumVariance: Roots a tree where the variance of the root-to-tip
+ *     distances is minimal.
  *   - unrootPhylo: Unroots a phylogenetic tree.
  *
  * Assumptions:
@@ -15,20 +19,23 @@
  *       tipLabel: array of tip labels
  *       Nnode: number of internal nodes
  *   - The reorder function is available from reorder.js
- *   - The propPart function is available from dist-topo.js
+ *
+ * Rooting works on the tree as an undirected graph: a bifurcating root is not a node
+ * of the unrooted tree, so its two edges count as a single edge.
  */
 
 import { reorder } from "./reorder.js";
-import { propPart } from "./dist-topo.js";
+import MultiPhylo from "./multi-phylo.js";
+import Phylo, { copyTree } from "./phylo.js";
 
 /**
  * Checks if a phylogenetic tree is rooted.
  *
  * @param {object} phy - A phylogenetic tree object.
- * @param {number} ntips - Number of tip nodes in the tree.
+ * @param {number} [ntips=phy.tipLabel.length] - Number of tip nodes in the tree.
  * @returns {boolean} True if the tree is rooted, false otherwise.
  */
-export function isRooted(phy, ntips) {
+export function isRooted(phy, ntips = phy.tipLabel.length) {
   if (phy.rootEdge != null) return true;
   const parentCounts = {};
   phy.edge.forEach(edge => {
@@ -39,319 +46,470 @@ export function isRooted(phy, ntips) {
   return count <= 2;
 }
 
-function arrayEquals(a, b) {
-  if (a.length !== b.length) return false;
-  for (let i = 0; i < a.length; i++) {
-    if (a[i] !== b[i]) return false;
+/**
+ * Builds the undirected adjacency lists of a tree.
+ *
+ * The neighbours of each node are its children, in edge matrix order, followed by
+ * its parent.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @returns {{adj: Array<Array<Object>>, parent: Int32Array, parentEdge: Int32Array,
+ *   root: number}} The adjacency lists (entries {to, e, length}, indexed by node
+ *   number), the parent and parent edge of each node, and the root.
+ */
+function adjacency(phy) {
+  const N = phy.tipLabel.length + phy.Nnode;
+  const wbl = phy.edgeLength != null;
+  const adj = Array.from({ length: N + 2 }, () => []);
+  const parent = new Int32Array(N + 1);
+  const parentEdge = new Int32Array(N + 1).fill(-1);
+  phy.edge.forEach(([p, c], e) => {
+    adj[p].push({ to: c, e, length: wbl ? phy.edgeLength[e] : null });
+    parent[c] = p;
+    parentEdge[c] = e;
+  });
+  let root = 0;
+  for (let v = 1; v <= N; v++) {
+    if (parent[v] === 0) {
+      if (v > phy.tipLabel.length && root === 0) root = v;
+      continue;
+    }
+    const e = parentEdge[v];
+    adj[v].push({ to: parent[v], e, length: wbl ? phy.edgeLength[e] : null });
   }
-  return true;
+  return { adj, parent, parentEdge, root };
 }
 
 /**
- * Roots a phylogenetic tree.
+ * Lists the edges of the unrooted edge above a node, walking from the node.
+ *
+ * A bifurcating root is not a node of the unrooted tree: the two edges from it are
+ * a single edge, so the path continues to the other child of the root.
+ *
+ * @param {Object} graph - The adjacency of the tree (see adjacency).
+ * @param {number} node - A node other than the root.
+ * @returns {Array<{e: number, from: number, to: number}>} The steps of the path.
+ */
+function edgePath(graph, node) {
+  const { adj, parent, parentEdge, root } = graph;
+  const steps = [{ e: parentEdge[node], from: node, to: parent[node] }];
+  if (parent[node] === root && adj[root].length === 2) {
+    const other = adj[root].find(a => a.to !== node);
+    steps.push({ e: other.e, from: root, to: other.to });
+  }
+  return steps;
+}
+
+/**
+ * Finds the point at a given distance along a path.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {Array<{e: number, from: number, to: number}>} steps - The path.
+ * @param {number} position - The distance from the start of the path.
+ * @returns {{e: number, x: number|null}} The edge, and the distance of the point from
+ *   the child end of the edge.
+ * @throws {Error} If the position is beyond the end of the path.
+ */
+function locate(phy, steps, position) {
+  if (phy.edgeLength == null) return { e: steps[0].e, x: null };
+  for (let i = 0; i < steps.length; i++) {
+    const { e, from } = steps[i];
+    const L = phy.edgeLength[e];
+    if (position <= L || i === steps.length - 1) {
+      if (position > L) {
+        throw new Error("position is larger than the branch length.");
+      }
+      return { e, x: from === phy.edge[e][1] ? position : L - position };
+    }
+    position -= L;
+  }
+  return null;
+}
+
+/**
+ * Builds the tree rooted at a node or at a point on an edge.
+ *
+ * Tip numbers are kept; the new root is numbered nTips + 1 and the other internal
+ * nodes follow in cladewise order. A bifurcating old root is removed, its two edges
+ * being joined. Node labels follow their nodes, or, with `edgelabel`, the edges above
+ * them; branch lengths and annotations are carried over.
  *
  * @param {object} phy - A phylogenetic tree object.
+ * @param {Object} graph - The adjacency of the tree (see adjacency).
+ * @param {{node: number}|{e: number, x: number|null}} target - The new root: a node,
+ *   or an edge and the distance of the root from its child end.
+ * @param {boolean} edgelabel - Whether node labels are labels of the edges above them.
+ * @returns {Phylo} The rerooted tree.
+ */
+function reroot(phy, graph, target, edgelabel) {
+  const n = phy.tipLabel.length;
+  const N = n + phy.Nnode;
+  const wbl = phy.edgeLength != null;
+  const adj = graph.adj.slice();
+  let root = target.node;
+  if (target.node === undefined) {
+    // A new node is inserted on the edge.
+    const [p, c] = phy.edge[target.e];
+    root = N + 1;
+    const below = wbl ? target.x : null;
+    const above = wbl ? phy.edgeLength[target.e] - target.x : null;
+    adj[root] = [{ to: c, e: target.e, length: below }, { to: p, e: target.e, length: above }];
+    adj[c] = adj[c].map(a => (a.e === target.e ? { to: root, e: a.e, length: below } : a));
+    adj[p] = adj[p].map(a => (a.e === target.e ? { to: root, e: a.e, length: above } : a));
+  }
+
+  // Orient the edges away from the new root.
+  const parent = new Int32Array(N + 2);
+  const up = new Array(N + 2).fill(null);
+  const children = Array.from({ length: N + 2 }, () => []);
+  const stack = [root];
+  while (stack.length > 0) {
+    const v = stack.pop();
+    for (const a of adj[v]) {
+      if (a.to === parent[v]) continue;
+      parent[a.to] = v;
+      up[a.to] = a;
+      children[v].push(a.to);
+      stack.push(a.to);
+    }
+  }
+
+  // A bifurcating old root is now a node with a single child.
+  const oldRoot = graph.root;
+  if (oldRoot !== root && children[oldRoot].length === 1) {
+    const c = children[oldRoot][0];
+    const p = parent[oldRoot];
+    up[c] = {
+      to: c,
+      e: up[c].e,
+      e2: up[oldRoot].e,
+      length: wbl ? up[c].length + up[oldRoot].length : null,
+    };
+    children[p][children[p].indexOf(oldRoot)] = c;
+    parent[c] = p;
+  }
+
+  const edgeLabel = step => {
+    for (const e of [step.e, step.e2]) {
+      if (e === undefined) continue;
+      const c = phy.edge[e][1];
+      if (c > n && phy.nodeLabel[c - n - 1]) return phy.nodeLabel[c - n - 1];
+    }
+    return "";
+  };
+
+  // Number the nodes and list the edges in cladewise order.
+  const number = new Int32Array(N + 2);
+  for (let v = 1; v <= n; v++) number[v] = v;
+  number[root] = n + 1;
+  const internals = [root];
+  const edge = [];
+  const steps = [];
+  const order = children[root].slice().reverse();
+  while (order.length > 0) {
+    const v = order.pop();
+    if (v > n) {
+      number[v] = n + internals.length + 1;
+      internals.push(v);
+    }
+    edge.push([number[parent[v]], number[v]]);
+    steps.push(up[v]);
+    for (let k = children[v].length - 1; k >= 0; k--) order.push(children[v][k]);
+  }
+
+  let nodeLabel = null;
+  if (phy.nodeLabel) {
+    nodeLabel = internals.map(v => {
+      if (v > N) return "";
+      if (edgelabel) return v === root ? "" : edgeLabel(up[v]);
+      return phy.nodeLabel[v - n - 1];
+    });
+  }
+  const tree = new Phylo(
+    edge,
+    wbl ? steps.map(s => s.length) : null,
+    phy.tipLabel.slice(),
+    nodeLabel,
+    internals.length
+  );
+  if (phy.nodeAnnotation) {
+    const tips = phy.nodeAnnotation.slice(0, n);
+    tree.nodeAnnotation = tips.concat(internals.map(v => (v > N ? null : phy.nodeAnnotation[v - 1])));
+  }
+  if (phy.edgeAnnotation) {
+    tree.edgeAnnotation = steps.map(s =>
+      phy.edgeAnnotation[s.e] || (s.e2 !== undefined ? phy.edgeAnnotation[s.e2] : null) || null
+    );
+  }
+  tree.order = "cladewise";
+  return tree;
+}
+
+/**
+ * Roots a phylogenetic tree.
+ *
+ * This function mimics the behavior of R's root (ape). The tree is rooted on the
+ * edge that separates the outgroup from the other tips, which must form a clade on
+ * one side of it (the outgroup or the ingroup). By default, the new root is the node
+ * at the ingroup end of that edge, so it may be a multichotomy; with `resolveRoot`,
+ * a new, bifurcating root is inserted on the edge, with a zero-length edge to the
+ * ingroup. With `position`, the new root is placed `position` units from the
+ * outgroup along the edge.
+ *
+ * With `node`, the tree is rooted at that node, or, with `position`, on the edge above
+ * it, `position` units from the node.
+ *
+ * A new tree is returned and the input tree is not modified (it used to be rerooted
+ * in place): the tips keep their numbers, the root is numbered nTips + 1 and the other
+ * internal nodes are renumbered in cladewise order. If `phy` is a MultiPhylo object,
+ * every tree is rooted.
+ *
+ * @param {object|MultiPhylo} phy - A phylogenetic tree object.
  * @param {number|string|Array<number|string>} outgroup - Tip(s) used as outgroup.
  * @param {number|null} [node=null] - If set, use this node as the new root.
  * @param {boolean} [resolveRoot=false] - Whether to resolve the root if ambiguous.
  * @param {boolean} [edgelabel=false] - Whether to transfer edge labels.
- * @returns {object} The re-rooted phylogenetic tree.
- * @throws {Error} If invalid parameters are given or utilities are missing.
+ * @param {number|null} [position=null] - The distance of the new root from the outgroup
+ *   (or node) along its edge.
+ * @returns {object|MultiPhylo} A new, re-rooted tree (or MultiPhylo object).
+ * @throws {Error} If invalid parameters are given or the outgroup is not monophyletic.
  */
 export function rootPhylo(
   phy,
   outgroup,
   node = null,
   resolveRoot = false,
-  edgelabel = false
+  edgelabel = false,
+  position = null
 ) {
+  if (phy instanceof MultiPhylo) {
+    const res = phy.map(tree =>
+      rootPhylo(tree, Array.isArray(outgroup) ? outgroup.slice() : outgroup, node, resolveRoot, edgelabel, position)
+    );
+    if (phy.tipLabel) res.compressTipLabel();
+    return res;
+  }
   if (!phy || !phy.tipLabel || !phy.edge) {
     throw new Error("object not of class 'phylo'");
   }
-  phy = reorder(phy);
   const n = phy.tipLabel.length;
-  const ROOT = n + 1;
-
-  if (node === null && Array.isArray(outgroup) && outgroup.length > 1 && resolveRoot) {
-    phy = unrootPhylo(phy);
+  if (position !== null) {
+    if (phy.edgeLength == null) throw new Error("the tree has no branch lengths.");
+    if (position < 0) throw new Error("position must be positive.");
   }
-  const e1 = phy.edge.map(row => row[0]);
-  const e2 = phy.edge.map(row => row[1]);
-  const wbl = phy.edgeLength != null;
-
-  let newroot;
-  let MRCA_outgroup;
+  const graph = adjacency(phy);
+  const ROOT = graph.root;
 
   if (node !== null) {
+    if (position !== null) {
+      if (!(node >= 1 && node <= n + phy.Nnode) || node === ROOT) {
+        throw new Error("node must be a node of the tree other than the root.");
+      }
+      return reroot(phy, graph, locate(phy, edgePath(graph, node), position), edgelabel);
+    }
     if (node <= n) {
       throw new Error("incorrect node#: should be greater than the number of taxa");
     }
-    outgroup = null;
-    newroot = node;
-  } else {
-    if (Array.isArray(outgroup)) {
-      if (typeof outgroup[0] === "number") {
-        if (outgroup.some(t => t > n)) {
-          throw new Error("incorrect taxa#: should not be greater than the number of taxa");
-        }
-      } else if (typeof outgroup[0] === "string") {
-        outgroup = outgroup.map(label => {
-          const idx = phy.tipLabel.indexOf(label);
-          if (idx === -1) throw new Error("specified outgroup not in labels of the tree");
-          return idx + 1;
-        });
-      }
-    } else {
-      outgroup = [outgroup];
+    if (node > n + phy.Nnode) {
+      throw new Error("incorrect node#: should not be greater than the number of nodes");
     }
-    if (outgroup.length === n) return phy;
-    outgroup = outgroup.sort((a, b) => a - b);
-
-    if (outgroup.length > 1) {
-      if (typeof propPart !== "function") {
-        throw new Error("Utility function 'propPart' is missing.");
-      }
-      const pp = propPart(phy).partitions;
-      const ingroup = [];
-      for (let i = 1; i <= n; i++) {
-        if (!outgroup.includes(i)) ingroup.push(i);
-      }
-      newroot = 0;
-      for (let i = 1; i < phy.Nnode; i++) {
-        const part = pp[i];
-        if (arrayEquals(part, ingroup)) {
-          const idx = e2.findIndex(val => val === i + n);
-          newroot = e1[idx];
-          break;
-        }
-        if (arrayEquals(part, outgroup)) {
-          newroot = i + n;
-          break;
-        }
-      }
-      if (!newroot) throw new Error("the specified outgroup is not monophyletic");
-      MRCA_outgroup = phy.Nnode + n;
-    } else {
-      const idx = e2.findIndex(val => val === outgroup[0]);
-      newroot = e1[idx];
+    if (node === ROOT) return copyTree(phy);
+    if (resolveRoot) {
+      throw new Error("ambiguous resolution of the root node: specify an outgroup");
     }
+    return reroot(phy, graph, { node }, edgelabel);
   }
-  const N = phy.edge.length;
-  const oldNnode = phy.Nnode;
-  const degree = {};
-  e1.forEach(val => {
-    degree[val] = (degree[val] || 0) + 1;
-  });
-  const Nclade = degree[ROOT] || 0;
-  const fuseRoot = Nclade === 2;
 
-  if (newroot === ROOT) {
-    if (!resolveRoot) return phy;
-    if (outgroup && outgroup.length > 1) outgroup = [MRCA_outgroup];
-    if (node !== null) {
-      throw new Error("ambiguous resolution of the root node: specify an outgroup");
-    }
-    const k = [];
-    e1.forEach((val, i) => {
-      if (val === ROOT) k.push(i);
-    });
-    if (k.length > 2) {
-      const i_index = e2.findIndex(val => val === outgroup[0]);
-      const j = k.filter(idx => idx !== i_index);
-      const newnod = oldNnode + n + 1;
-      j.forEach(idx => {
-        phy.edge[idx][0] = newnod;
-      });
-      phy.edge = [[ROOT, newnod]].concat(phy.edge);
-      if (wbl) {
-        phy.edgeLength = [0].concat(phy.edgeLength);
-      }
-      phy.Nnode = phy.Nnode + 1;
-    }
-  } else {
-    phy.rootEdge = null;
-    const INV = new Array(N).fill(false);
-    const w = [];
-    for (let i = 0; i < N; i++) {
-      if (e2[i] === newroot) w.push(i);
-    }
-    const anc = w.map(idx => e1[idx]);
-    let i_idx = w.length > 0 ? w[0] : -1;
-    let nod = anc.length > 0 ? anc[0] : null;
-    if (nod !== ROOT) {
-      w.forEach(idx => {
-        INV[idx] = true;
-      });
-      i_idx = w[0] - 1;
-      while (i_idx >= 0) {
-        if (e2[i_idx] === nod) {
-          if (e1[i_idx] === ROOT) break;
-          INV[i_idx] = true;
-          nod = e1[i_idx];
-        }
-        i_idx--;
-      }
-    }
-    if (!fuseRoot && i_idx >= 0) {
-      INV[i_idx] = true;
-    }
-    if (fuseRoot) {
-      const k = [];
-      for (let i = 0; i < N; i++) {
-        if (e1[i] === ROOT) k.push(i);
-      }
-      let k_idx;
-      if (k.length >= 2 && k[1] > w[0]) {
-        k_idx = k[1];
-      } else {
-        k_idx = k[0];
-      }
-      phy.edge[k_idx][0] = phy.edge[i_idx][1];
-      if (wbl) {
-        phy.edgeLength[k_idx] =
-          phy.edgeLength[k_idx] + phy.edgeLength[i_idx];
-      }
-    }
-    if (fuseRoot) phy.Nnode = oldNnode - 1;
-    if (edgelabel && phy.nodeLabel) {
-      for (let i = 0; i < N; i++) {
-        if (INV[i]) {
-          const idx1 = e1[i] - n - 1;
-          const idx2 = e2[i] - n - 1;
-          if (phy.nodeLabel[idx2] !== undefined) {
-            phy.nodeLabel[idx1] = phy.nodeLabel[idx2];
-          }
-        }
-      }
-      const newrootIdx = newroot - n - 1;
-      if (phy.nodeLabel[newrootIdx] !== undefined) {
-        phy.nodeLabel[newrootIdx] = "";
-      }
-    }
-    for (let i = 0; i < N; i++) {
-      if (INV[i]) {
-        const temp = phy.edge[i][0];
-        phy.edge[i][0] = phy.edge[i][1];
-        phy.edge[i][1] = temp;
-      }
-    }
-    if (fuseRoot && i_idx >= 0) {
-      phy.edge.splice(i_idx, 1);
-      if (wbl) phy.edgeLength.splice(i_idx, 1);
-    }
-    if (resolveRoot) {
-      const newnod = oldNnode + n + 1;
-      if (outgroup.length === 1) {
-        const wh = [];
-        for (let i = 0; i < N; i++) {
-          if (phy.edge[i][1] === outgroup[0]) wh.push(i);
-        }
-        const k = [];
-        for (let i = 0; i < N; i++) {
-          if (phy.edge[i][0] === newroot) k.push(i);
-        }
-        k.forEach(idx => {
-          if (!wh.includes(idx)) {
-            phy.edge[idx][0] = newnod;
-          }
-        });
-        const o = [];
-        for (let i = 0; i < N; i++) {
-          if (!wh.includes(i)) o.push(i);
-        }
-        o.push(...wh);
-        phy.edge = [[newroot, newnod]].concat(o.map(i => phy.edge[i]));
-        if (wbl) {
-          phy.edgeLength = [0].concat(o.map(i => phy.edgeLength[i]));
-        }
-      } else {
-        const wh = [];
-        for (let i = 0; i < N; i++) {
-          if (phy.edge[i][0] === newroot) wh.push(i);
-        }
-        wh.slice(1).forEach(idx => {
-          phy.edge[idx][0] = newnod;
-        });
-        const s1 = phy.edge.slice(0, wh[1]);
-        const s2 = phy.edge.slice(wh[1]);
-        phy.edge = s1.concat([[newroot, newnod]], s2);
-        if (wbl) {
-          const s1len = phy.edgeLength.slice(0, wh[1]);
-          const s2len = phy.edgeLength.slice(wh[1]);
-          phy.edgeLength = s1len.concat([0], s2len);
-        }
-      }
-      phy.Nnode = phy.Nnode + 1;
+  if (!Array.isArray(outgroup)) outgroup = [outgroup];
+  outgroup = outgroup.map(t => {
+    if (typeof t === "string") {
+      const idx = phy.tipLabel.indexOf(t);
+      if (idx === -1) throw new Error("specified outgroup not in labels of the tree");
+      return idx + 1;
     }
+    if (t > n) throw new Error("incorrect taxa#: should not be greater than the number of taxa");
+    return t;
+  });
+  const k = new Set(outgroup).size;
+  if (k === n) return copyTree(phy);
+
+  // Count the tips, and the outgroup tips, below each node.
+  const total = new Int32Array(n + phy.Nnode + 1);
+  const out = new Int32Array(n + phy.Nnode + 1);
+  for (let v = 1; v <= n; v++) total[v] = 1;
+  for (const t of outgroup) out[t] = 1;
+  for (const i of reorder(phy, "postorder", true)) {
+    const [p, c] = phy.edge[i];
+    total[p] += total[c];
+    out[p] += out[c];
   }
-  const totalNodes = n + phy.Nnode;
-  const newNb = new Array(totalNodes).fill(0);
-  newNb[newroot - 1] = n + 1;
-  const sndcolIndices = [];
-  for (let i = 0; i < phy.edge.length; i++) {
-    if (phy.edge[i][1] > n) {
-      sndcolIndices.push(i);
+  // The edge separating the outgroup: above the outgroup, or above the ingroup.
+  let clade = 0;
+  let isOutgroup = true;
+  for (let v = 1; v <= n + phy.Nnode && clade === 0; v++) {
+    if (v === ROOT) continue;
+    if (out[v] === k && total[v] === k) clade = v;
+  }
+  for (let v = 1; v <= n + phy.Nnode && clade === 0; v++) {
+    if (v === ROOT) continue;
+    if (out[v] === 0 && total[v] === n - k) {
+      clade = v;
+      isOutgroup = false;
     }
   }
-  const nodesToRenumber = Array.from(
-    new Set(sndcolIndices.map(i => phy.edge[i][1]))
-  ).sort((a, b) => a - b);
-  let num = n + 2;
-  nodesToRenumber.forEach(nodeVal => {
-    newNb[nodeVal - 1] = num;
-    num++;
-  });
+  if (clade === 0) throw new Error("the specified outgroup is not monophyletic");
 
-  // Renumber child column first
-  for (const i of sndcolIndices) {
-    const oldChild = phy.edge[i][1];
-    phy.edge[i][1] = newNb[oldChild - 1];
+  if (!resolveRoot && position === null) {
+    const newroot = isOutgroup ? graph.parent[clade] : clade;
+    if (newroot === ROOT) return copyTree(phy);
+    if (newroot > n) return reroot(phy, graph, { node: newroot }, edgelabel);
   }
-  // Then renumber parents
-  for (let i = 0; i < phy.edge.length; i++) {
-    const oldParent = phy.edge[i][0];
-    phy.edge[i][0] = newNb[oldParent - 1];
+
+  // The path from the outgroup to the ingroup.
+  let steps = edgePath(graph, clade);
+  if (!isOutgroup) {
+    steps = steps.reverse().map(({ e, from, to }) => ({ e, from: to, to: from }));
   }
+  if (position === null) {
+    // The root already separates the outgroup from the ingroup.
+    if (steps.length === 2) return copyTree(phy);
+    position = phy.edgeLength != null ? steps.reduce((s, { e }) => s + phy.edgeLength[e], 0) : 0;
+  }
+  return reroot(phy, graph, locate(phy, steps, position), edgelabel);
+}
 
-  if (phy.nodeLabel) {
-    const newNbSub = newNb.slice(n);
-    if (newNbSub.length && fuseRoot) {
-      newNbSub.shift();
-      phy.nodeLabel.shift();
-    }
-    const entries = [];
-    for (let i = 0; i < newNbSub.length; i++) {
-      entries.push({ val: newNbSub[i], idx: i });
-    }
-    entries.sort((a, b) => a.val - b.val);
-    phy.nodeLabel = entries.map(e => phy.nodeLabel[e.idx]);
-    if (resolveRoot) {
-      for (let i = 0; i < phy.nodeLabel.length; i++) {
-        if (phy.nodeLabel[i] == null) {
-          phy.nodeLabel[i] = phy.nodeLabel[0];
-        }
+/**
+ * Roots a tree at the midpoint of its longest path.
+ *
+ * This function mimics the behavior of R's midpoint (phangorn): the new root is
+ * placed halfway along the longest path between two tips, which is found with two
+ * traversals (from any tip to the farthest tip, and from there to the farthest tip).
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {object} [options={}] - Options object.
+ * @param {boolean} [options.edgelabel=false] - Whether node labels are labels of the
+ *   edges above them (e.g. support values).
+ * @returns {Phylo} A new, rooted tree.
+ * @throws {Error} If the tree has no branch lengths.
+ */
+export function midpoint(phy, { edgelabel = false } = {}) {
+  if (phy.edgeLength == null) {
+    throw new Error("the tree has no branch lengths.");
+  }
+  const n = phy.tipLabel.length;
+  const graph = adjacency(phy);
+  const farthest = from => {
+    const dist = new Float64Array(n + phy.Nnode + 1).fill(-1);
+    const prev = new Array(n + phy.Nnode + 1).fill(null);
+    dist[from] = 0;
+    let best = from;
+    const stack = [from];
+    while (stack.length > 0) {
+      const v = stack.pop();
+      if (v <= n && dist[v] > dist[best]) best = v;
+      for (const a of graph.adj[v]) {
+        if (dist[a.to] >= 0) continue;
+        dist[a.to] = dist[v] + a.length;
+        prev[a.to] = { e: a.e, from: v, to: a.to };
+        stack.push(a.to);
       }
-      phy.nodeLabel[0] = "Root";
     }
+    return { best, dist, prev };
+  };
+  const a = farthest(1).best;
+  const { best: b, dist, prev } = farthest(a);
+  const steps = [];
+  for (let v = b; v !== a; v = prev[v].from) steps.push(prev[v]);
+  steps.reverse();
+  if (steps.length === 0) return copyTree(phy);
+  return reroot(phy, graph, locate(phy, steps, dist[b] / 2), edgelabel);
+}
+
+/**
+ * Roots a tree at the point that minimizes the variance of the root-to-tip distances.
+ *
+ * This function implements the minimum variance rooting (MinVar) of Mai, Sayyari and
+ * Mirarab (2017). For each edge, the variance of the root-to-tip distances is a
+ * quadratic function of the position of the root on the edge; its minimum is found
+ * in closed form from the number, sum and sum of squares of the distances to the tips
+ * on each side of the edge, which are computed for all the edges in two traversals.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {object} [options={}] - Options object.
+ * @param {boolean} [options.edgelabel=false] - Whether node labels are labels of the
+ *   edges above them (e.g. support values).
+ * @returns {Phylo} A new, rooted tree.
+ * @throws {Error} If the tree has no branch lengths.
+ */
+export function rootAtMinimumVariance(phy, { edgelabel = false } = {}) {
+  if (phy.edgeLength == null) {
+    throw new Error("the tree has no branch lengths.");
+  }
+  const n = phy.tipLabel.length;
+  const N = n + phy.Nnode;
+  const graph = adjacency(phy);
+  const post = reorder(phy, "postorder", true);
+
+  // Number, sum and sum of squares of the distances from each node to the tips below it.
+  const cnt = new Float64Array(N + 1);
+  const sum = new Float64Array(N + 1);
+  const sq = new Float64Array(N + 1);
+  for (let v = 1; v <= n; v++) cnt[v] = 1;
+  for (const i of post) {
+    const [p, c] = phy.edge[i];
+    const L = phy.edgeLength[i];
+    cnt[p] += cnt[c];
+    sum[p] += sum[c] + cnt[c] * L;
+    sq[p] += sq[c] + 2 * L * sum[c] + cnt[c] * L * L;
   }
-  if (phy.order !== undefined) {
-    delete phy.order;
+
+  // The same, for the distances from each node to all the tips.
+  const allSum = new Float64Array(N + 1);
+  const allSq = new Float64Array(N + 1);
+  allSum[graph.root] = sum[graph.root];
+  allSq[graph.root] = sq[graph.root];
+  let best = { e: post[0], x: 0 };
+  let bestVar = Infinity;
+  for (let k = post.length - 1; k >= 0; k--) {
+    const i = post[k];
+    const [p, c] = phy.edge[i];
+    const L = phy.edgeLength[i];
+    // The tips not below c, with their distances to p.
+    const oc = n - cnt[c];
+    const os = allSum[p] - (sum[c] + cnt[c] * L);
+    const oq = allSq[p] - (sq[c] + 2 * L * sum[c] + cnt[c] * L * L);
+    allSum[c] = sum[c] + os + oc * L;
+    allSq[c] = sq[c] + oq + 2 * L * os + oc * L * L;
+
+    // With the root x units above c, the distances are d + x below c and d + L - x
+    // above it: the variance is a x^2 + 2 b x + c0.
+    const A1 = allSum[c] / n;
+    const AS = (sum[c] - os - oc * L) / n;
+    const A2 = allSq[c] / n;
+    const S1 = (cnt[c] - oc) / n;
+    const a = 1 - S1 * S1;
+    const b = AS - A1 * S1;
+    const x = a > 0 ? Math.min(Math.max(-b / a, 0), L) : 0;
+    const variance = a * x * x + 2 * b * x + A2 - A1 * A1;
+    if (variance < bestVar) {
+      bestVar = variance;
+      best = { e: i, x };
+    }
   }
-  phy = reorder(phy);
-  return phy;
+  return reroot(phy, graph, best, edgelabel);
 }
 
 /**
  * Unroots a phylogenetic tree.
  *
  * @param {object} phy - A phylogenetic tree object in "phylo" format.
- * @param {number} n - The number of tips in the tree.
+ * @param {number} [n=phy.tipLabel.length] - The number of tips in the tree.
  * @param {boolean} [collapseSinglesFlag=false] - If true, collapse single-child nodes first.
  * @param {boolean} [keepRootEdge=false] - If true, retains the root edge by adding a terminal edge.
  * @returns {object} The unrooted tree.
  * @throws {Error} If the tree has too few edges or if all nodes are singleton.
  */
-export function unrootPhylo(phy, n, collapseSinglesFlag = false, keepRootEdge = false) {
+export function unrootPhylo(phy, n = phy.tipLabel.length, collapseSinglesFlag = false, keepRootEdge = false) {
   if (collapseSinglesFlag) {
     if (typeof collapseSingles === "function") {
       phy = collapseSingles(phy);
@@ -363,6 +521,8 @@ export function unrootPhylo(phy, n, collapseSinglesFlag = false, keepRootEdge =
   if (N < 3) {
     throw new Error("cannot unroot a tree with less than three edges.");
   }
+  // The rows of the edge matrix are edited in place below.
+  if (phy instanceof Phylo) phy.invalidateNodeIndex();
   const totalNodes = n + phy.Nnode;
   const dgr = new Array(totalNodes).fill(0);
   for (let i = 0; i < phy.edge.length; i++) {
@@ -381,6 +541,19 @@ export function unrootPhylo(phy, n, collapseSinglesFlag = false, keepRootEdge =
   }
   if (!isRooted(phy, n)) return phy;
 
+  // The rows of the edge matrix keep their identity through the renumbering below,
+  // so the annotations are carried by them: each row carries its own annotation and
+  // that of its child node.
+  const rowEdgeAnnotation = phy.edgeAnnotation
+    ? new Map(phy.edge.map((row, i) => [row, phy.edgeAnnotation[i]]))
+    : null;
+  const rowNodeAnnotation = phy.nodeAnnotation
+    ? new Map(phy.edge.map(row => [row, phy.nodeAnnotation[row[1] - 1]]))
+    : null;
+  let rootAnnotation = phy.nodeAnnotation ? phy.nodeAnnotation[n] : null;
+  phy.nodeAnnotation = null;
+  phy.edgeAnnotation = null;
+
   const wbl = phy.edgeLength != null;
   let ROOT = n + 1;
   let basal = dgr[ROOT - 1] === 1;
@@ -421,6 +594,12 @@ export function unrootPhylo(phy, n, collapseSinglesFlag = false, keepRootEdge =
       n++;
       phy.edge[i][0] = ROOT;
       phy.edge[i][1] = n;
+      if (rowNodeAnnotation) {
+        // The old root becomes a tip, below NEWROOT, which becomes the root.
+        const newRootAnnotation = rowNodeAnnotation.get(phy.edge[i]);
+        rowNodeAnnotation.set(phy.edge[i], rootAnnotation);
+        rootAnnotation = newRootAnnotation;
+      }
       let newlab;
       if (phy.nodeLabel && phy.nodeLabel.length > 0) {
         newlab = phy.nodeLabel.shift();
@@ -457,15 +636,16 @@ export function unrootPhylo(phy, n, collapseSinglesFlag = false, keepRootEdge =
     }
     NEWROOT = phy.edge[EDGEROOT[0]][1];
   }
-  let idxToRemove = EDGEROOT[0];
-  let idxOther = EDGEROOT[1];
-  if (idxToRemove < idxOther) {
-    idxOther--;
+  if (rowNodeAnnotation) rootAnnotation = rowNodeAnnotation.get(phy.edge[EDGEROOT[0]]);
+  if (rowEdgeAnnotation) {
+    const other = phy.edge[EDGEROOT[1]];
+    rowEdgeAnnotation.set(other, rowEdgeAnnotation.get(other) || rowEdgeAnnotation.get(phy.edge[EDGEROOT[0]]) || null);
   }
+  // The two root edges become one: the length of the removed edge is added to the other
+  // before the rows are shifted.
   phy.edge.splice(EDGEROOT[0], 1);
   if (wbl) {
-    phy.edgeLength[idxOther] =
-      phy.edgeLength[idxOther] + phy.edgeLength[EDGEROOT[0]];
+    phy.edgeLength[EDGEROOT[1]] += phy.edgeLength[EDGEROOT[0]];
     phy.edgeLength.splice(EDGEROOT[0], 1);
   }
   phy.Nnode--;
@@ -496,5 +676,12 @@ export function unrootPhylo(phy, n, collapseSinglesFlag = false, keepRootEdge =
       phy.nodeLabel = [tmp].concat(lbs);
     }
   }
+  if (rowNodeAnnotation) {
+    const nodeAnnotation = new Array(n + phy.Nnode).fill(null);
+    for (const row of phy.edge) nodeAnnotation[row[1] - 1] = rowNodeAnnotation.get(row) || null;
+    nodeAnnotation[ROOT - 1] = rootAnnotation || null;
+    phy.nodeAnnotation = nodeAnnotation;
+  }
+  if (rowEdgeAnnotation) phy.edgeAnnotation = phy.edge.map(row => rowEdgeAnnotation.get(row) || null);
   return phy;
 }
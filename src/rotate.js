@@ -0,0 +1,156 @@
+/**
+ * @file rotate.js
+ * @module rotate
+ *
+ * This module changes the order of sister clades in a tree, mimicking R's
+ * ladderize, rotate and rotateConstr from the ape package.
+ *
+ * The order of the children of a node is the order of their edges in the edge
+ * matrix: it is what writeNewick, layoutTree and reorder follow. The functions of
+ * this module rebuild the edge matrix in cladewise order with the new child order;
+ * node numbers are unchanged.
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - reorder(phy, order, indexOnly) (from reorder.js)
+ *   - childEdges(phy)                (from common-utilities.js)
+ *   - copyTree(phy)                  (from phylo.js)
+ */
+
+import { reorder } from "./reorder.js";
+import { childEdges } from "./common-utilities.js";
+import { copyTree } from "./phylo.js";
+
+/**
+ * Rewrites the edges of a tree in cladewise order following the given child order.
+ *
+ * @param {object} phy - A phylogenetic tree object, modified in place.
+ * @param {Map<number, Array<number>>} children - The edge indices from each node, in
+ *   the new order.
+ * @returns {object} The tree.
+ */
+function applyChildOrder(phy, children) {
+  const n = phy.tipLabel.length;
+  const neworder = [];
+  // Depth-first traversal over edges: the first child's edges are popped first.
+  const stack = (children.get(n + 1) || []).slice().reverse();
+  while (stack.length > 0) {
+    const i = stack.pop();
+    neworder.push(i);
+    const below = children.get(phy.edge[i][1]);
+    if (below) {
+      for (let k = below.length - 1; k >= 0; k--) stack.push(below[k]);
+    }
+  }
+  phy.edge = neworder.map(i => phy.edge[i]);
+  if (phy.edgeLength != null) phy.edgeLength = neworder.map(i => phy.edgeLength[i]);
+  if (phy.edgeAnnotation != null) phy.edgeAnnotation = neworder.map(i => phy.edgeAnnotation[i]);
+  phy.order = "cladewise";
+  return phy;
+}
+
+/**
+ * Computes a value for every node from the values of its children, in postorder.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {Array<number>} values - The values of the tips, indexed by node number
+ *   (modified in place).
+ * @param {function(number, number): number} combine - Combines two values.
+ * @param {number} initial - The value of a node before its children are combined.
+ * @returns {Array<number>} The values, indexed by node number.
+ */
+function cladeValues(phy, values, combine, initial) {
+  const n = phy.tipLabel.length;
+  for (let v = n + 1; v <= n + phy.Nnode; v++) values[v] = initial;
+  for (const i of reorder(phy, "postorder", true)) {
+    const [p, c] = phy.edge[i];
+    values[p] = combine(values[p], values[c]);
+  }
+  return values;
+}
+
+/**
+ * Reorganizes a tree so that, at each node, the children are sorted by size.
+ *
+ * This function mimics the behavior of R's ladderize (ape).
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {boolean} [right=true] - If true, the smallest clade of each node comes last
+ *   (on the right when the tree is plotted upwards); otherwise, it comes first.
+ * @returns {Phylo} A new, ladderized tree.
+ */
+export function ladderize(phy, right = true) {
+  const tree = copyTree(phy);
+  const children = childEdges(tree);
+  const counts = new Array(tree.tipLabel.length + tree.Nnode + 1).fill(1);
+  cladeValues(tree, counts, (a, b) => a + b, 0);
+  for (const edges of children.values()) {
+    // Array.prototype.sort is stable: ties keep their order.
+    edges.sort((a, b) => {
+      const d = counts[tree.edge[a][1]] - counts[tree.edge[b][1]];
+      return right ? -d : d;
+    });
+  }
+  return applyChildOrder(tree, children);
+}
+
+/**
+ * Swaps two sister clades.
+ *
+ * This function mimics the behavior of R's rotate (ape): the two children of `node`
+ * are exchanged; if the node has more than two children, `polytom` selects them.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {number} node - The number of the internal node to rotate.
+ * @param {Array<number>} [polytom=[1, 2]] - The positions (1-based) of the two children
+ *   to swap.
+ * @returns {Phylo} A new, rotated tree.
+ * @throws {Error} If the node is not an internal node or `polytom` is out of range.
+ */
+export function rotate(phy, node, polytom = [1, 2]) {
+  const n = phy.tipLabel.length;
+  if (!(node > n && node <= n + phy.Nnode)) {
+    throw new Error("node must be an internal node number.");
+  }
+  const tree = copyTree(phy);
+  const children = childEdges(tree);
+  const edges = children.get(node);
+  const [a, b] = polytom.map(k => k - 1);
+  if (!(a >= 0 && b >= 0 && a < edges.length && b < edges.length)) {
+    throw new Error("polytom must give the positions of two children of the node.");
+  }
+  [edges[a], edges[b]] = [edges[b], edges[a]];
+  return applyChildOrder(tree, children);
+}
+
+/**
+ * Rotates the nodes of a tree so that its tips follow a given order as closely as
+ * possible.
+ *
+ * This function mimics the behavior of R's rotateConstr (ape): at each node, the
+ * children are sorted by the smallest position, in `constraint`, of their tips.
+ *
+ * @param {object} phy - A phylogenetic tree object.
+ * @param {Array<string>} constraint - The tip labels in the desired order.
+ * @returns {Phylo} A new tree.
+ * @throws {Error} If a tip label is missing from `constraint`.
+ */
+export function rotateConstr(phy, constraint) {
+  const n = phy.tipLabel.length;
+  const position = new Map(constraint.map((label, i) => [label, i]));
+  const tree = copyTree(phy);
+  const children = childEdges(tree);
+
+  const first = new Array(n + tree.Nnode + 1).fill(Infinity);
+  tree.tipLabel.forEach((label, i) => {
+    if (!position.has(label)) {
+      throw new Error("tip label not found in constraint: " + label + ".");
+    }
+    first[i + 1] = position.get(label);
+  });
+  cladeValues(tree, first, Math.min, Infinity);
+
+  for (const edges of children.values()) {
+    edges.sort((a, b) => first[tree.edge[a][1]] - first[tree.edge[b][1]]);
+  }
+  return applyChildOrder(tree, children);
+}
@@ -0,0 +1,191 @@
+/**
+ * @file rtrait.js
+ * @module rtrait
+ *
+ * This module simulates the evolution of traits along a tree, mimicking R's
+ * rTraitCont and rTraitDisc from the ape package.
+ *
+ * Values are drawn edge by edge in cladewise order (see reorder), so the value of
+ * each node is known before those of its children. The results are keyed by tip
+ * label and, for the ancestral values, by node number:
+ *   { tips: { [tipLabel]: value }, nodes: { [nodeNumber]: value } | null }
+ *
+ * Random numbers come from `rng` if given, otherwise from a generator seeded with
+ * `seed` (see createRng).
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - reorder(phy, order, indexOnly) (from reorder.js)
+ *   - createRng(seed)                (from common-utilities.js)
+ */
+
+import { reorder } from "./reorder.js";
+import { createRng } from "./common-utilities.js";
+
+/**
+ * Draws a standard normal deviate (Box–Muller transform).
+ *
+ * @param {function(): number} rng - The random number generator.
+ * @returns {number} The deviate.
+ */
+function rnorm(rng) {
+  return Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+}
+
+/**
+ * Draws the values of all nodes, from the root to the tips.
+ *
+ * @param {object} phy - A phylogenetic tree object with branch lengths.
+ * @param {*} rootValue - The value at the root.
+ * @param {function(*, number): *} step - Draws the value at the end of an edge from the
+ *   value at its start and its length.
+ * @param {boolean} ancestor - Whether to return the values of the internal nodes.
+ * @returns {{tips: Object, nodes: Object|null}} The values.
+ * @throws {Error} If the tree has no branch lengths.
+ */
+function simulate(phy, rootValue, step, ancestor) {
+  if (phy.edgeLength == null) {
+    throw new Error("the tree has no branch lengths.");
+  }
+  const n = phy.tipLabel.length;
+  const values = new Array(n + phy.Nnode + 1);
+  values[n + 1] = rootValue;
+  for (const i of reorder(phy, "cladewise", true)) {
+    const [p, c] = phy.edge[i];
+    values[c] = step(values[p], phy.edgeLength[i]);
+  }
+  const tips = {};
+  phy.tipLabel.forEach((label, i) => {
+    tips[label] = values[i + 1];
+  });
+  let nodes = null;
+  if (ancestor) {
+    nodes = {};
+    for (let v = n + 1; v <= n + phy.Nnode; v++) nodes[v] = values[v];
+  }
+  return { tips, nodes };
+}
+
+/**
+ * Simulates a continuous trait along a tree.
+ *
+ * This function mimics the behavior of R's rTraitCont (ape). Under Brownian motion
+ * ("BM"), the change along an edge of length t is normal with variance sigma^2 t.
+ * Under the Ornstein–Uhlenbeck model ("OU"), the trait is pulled towards `theta` with
+ * strength `alpha`: the value after t is normal with mean
+ * x e^(-alpha t) + theta (1 - e^(-alpha t)) and variance
+ * sigma^2 (1 - e^(-2 alpha t)) / (2 alpha).
+ *
+ * @param {object} phy - A phylogenetic tree object with branch lengths.
+ * @param {object} [options={}] - Options object.
+ * @param {string} [options.model="BM"] - "BM" or "OU".
+ * @param {number} [options.sigma=0.1] - The standard deviation of the random component
+ *   per unit of time.
+ * @param {number} [options.alpha=1] - The strength of the selective constraint (OU).
+ * @param {number} [options.theta=0] - The optimum (OU).
+ * @param {number} [options.rootValue=0] - The value at the root.
+ * @param {boolean} [options.ancestor=false] - Whether to return the values of the
+ *   internal nodes.
+ * @param {number|null} [options.seed=null] - A seed for the random number generator.
+ * @param {function(): number|null} [options.rng=null] - A random number generator, used
+ *   instead of `seed`.
+ * @returns {{tips: Object<string, number>, nodes: Object<number, number>|null}} The values
+ *   at the tips, keyed by label, and at the internal nodes, keyed by number.
+ * @throws {Error} If the model is unknown or the tree has no branch lengths.
+ */
+export function rTraitCont(
+  phy,
+  { model = "BM", sigma = 0.1, alpha = 1, theta = 0, rootValue = 0, ancestor = false, seed = null, rng = null } = {}
+) {
+  if (rng === null) rng = createRng(seed);
+  let step;
+  if (model === "BM") {
+    step = (x, t) => x + sigma * Math.sqrt(t) * rnorm(rng);
+  } else if (model === "OU") {
+    step = (x, t) => {
+      const decay = Math.exp(-alpha * t);
+      const sd = alpha > 0 ? sigma * Math.sqrt((1 - decay * decay) / (2 * alpha)) : sigma * Math.sqrt(t);
+      return x * decay + theta * (1 - decay) + sd * rnorm(rng);
+    };
+  } else {
+    throw new Error('model must be "BM" or "OU".');
+  }
+  return simulate(phy, rootValue, step, ancestor);
+}
+
+/**
+ * Simulates a discrete trait along a tree.
+ *
+ * This function mimics the behavior of R's rTraitDisc (ape) under a continuous-time
+ * Markov model (Mk): along each edge, the waiting time in state i is exponential with
+ * rate sum_j Q[i][j], after which the trait jumps to state j with probability
+ * proportional to Q[i][j]. By default, all the transitions have the same rate (ER).
+ *
+ * @param {object} phy - A phylogenetic tree object with branch lengths.
+ * @param {object} [options={}] - Options object.
+ * @param {number} [options.k=2] - The number of states (ignored if `rateMatrix` is given).
+ * @param {Array<Array<number>>|null} [options.rateMatrix=null] - The k x k matrix of
+ *   transition rates (the diagonal is ignored).
+ * @param {number} [options.rate=0.1] - The rate of all transitions, without `rateMatrix`.
+ * @param {Array<string>|null} [options.states=null] - The names of the states; by default,
+ *   "A", "B", ... (or "1", "2", ... beyond 26 states).
+ * @param {number|string} [options.rootState=1] - The state at the root, as an index
+ *   (1-based) or a name.
+ * @param {boolean} [options.ancestor=false] - Whether to return the states of the
+ *   internal nodes.
+ * @param {number|null} [options.seed=null] - A seed for the random number generator.
+ * @param {function(): number|null} [options.rng=null] - A random number generator, used
+ *   instead of `seed`.
+ * @returns {{tips: Object<string, string>, nodes: Object<number, string>|null}} The states
+ *   at the tips, keyed by label, and at the internal nodes, keyed by number.
+ * @throws {Error} If the rate matrix, states or root state are invalid, or the tree has no
+ *   branch lengths.
+ */
+export function rTraitDisc(
+  phy,
+  { k = 2, rateMatrix = null, rate = 0.1, states = null, rootState = 1, ancestor = false, seed = null, rng = null } = {}
+) {
+  if (rateMatrix !== null) {
+    k = rateMatrix.length;
+    if (rateMatrix.some(row => row.length !== k)) {
+      throw new Error("the rate matrix must be square.");
+    }
+  } else {
+    rateMatrix = Array.from({ length: k }, () => new Array(k).fill(rate));
+  }
+  if (states === null) {
+    states = Array.from({ length: k }, (_, i) => (k <= 26 ? String.fromCharCode(65 + i) : String(i + 1)));
+  }
+  if (states.length !== k) {
+    throw new Error("the number of states must match the rate matrix.");
+  }
+  const root = typeof rootState === "string" ? states.indexOf(rootState) : rootState - 1;
+  if (!(root >= 0 && root < k)) {
+    throw new Error("rootState must be one of the states.");
+  }
+  if (rng === null) rng = createRng(seed);
+
+  // Total rate out of each state.
+  const out = rateMatrix.map((row, i) => row.reduce((s, q, j) => (j === i ? s : s + q), 0));
+  const step = (state, t) => {
+    let time = out[state] > 0 ? -Math.log(1 - rng()) / out[state] : Infinity;
+    while (time < t) {
+      let u = rng() * out[state];
+      let next = state;
+      for (let j = 0; j < k; j++) {
+        if (j === state) continue;
+        next = j;
+        if (u < rateMatrix[state][j]) break;
+        u -= rateMatrix[state][j];
+      }
+      state = next;
+      time += out[state] > 0 ? -Math.log(1 - rng()) / out[state] : Infinity;
+    }
+    return state;
+  };
+  const { tips, nodes } = simulate(phy, root, step, ancestor);
+  for (const label of Object.keys(tips)) tips[label] = states[tips[label]];
+  if (nodes) {
+    for (const v of Object.keys(nodes)) nodes[v] = states[nodes[v]];
+  }
+  return { tips, nodes };
+}
@@ -0,0 +1,127 @@
+/**
+ * @file rtree.js
+ * @module rtree
+ *
+ * This module simulates random trees, mimicking R's rtree and rcoal from the ape
+ * package.
+ *
+ * The trees are numbered as by parseNewick, and their tips are labelled "t1",
+ * "t2", ... in the order of their numbers unless labels are given. Random numbers
+ * come from `rng` if given, otherwise from a generator seeded with `seed` (see
+ * createRng), so simulations can be reproduced.
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - createRng(seed)                 (from common-utilities.js)
+ *   - phyloFromNested(root, tipLabel) (from build-phylo.js)
+ */
+
+import { createRng } from "./common-utilities.js";
+import { phyloFromNested } from "./build-phylo.js";
+
+/**
+ * Checks the tip labels given to a simulation.
+ *
+ * @param {Array<string>|null} tipLabel - The tip labels.
+ * @param {number} n - The number of tips.
+ * @throws {Error} If the number of labels is not `n`.
+ */
+function checkTipLabel(tipLabel, n) {
+  if (tipLabel !== null && tipLabel.length !== n) {
+    throw new Error("the number of tip labels must be equal to n.");
+  }
+}
+
+/**
+ * Generates a random tree by random splits.
+ *
+ * This function mimics the behavior of R's rtree (ape): the tips below each node are
+ * split at random into two groups (three at the root of an unrooted tree), the size
+ * of the first group being uniform.
+ *
+ * @param {number} n - The number of tips.
+ * @param {object} [options={}] - Options object.
+ * @param {boolean} [options.rooted=true] - Whether the tree is rooted.
+ * @param {function(function(): number): number|null|false} [options.brlen=null] - A function
+ *   drawing a branch length from the random number generator; by default, branch
+ *   lengths are uniform on [0, 1); false for a tree without branch lengths.
+ * @param {Array<string>|null} [options.tipLabel=null] - The tip labels.
+ * @param {number|null} [options.seed=null] - A seed for the random number generator.
+ * @param {function(): number|null} [options.rng=null] - A random number generator, used
+ *   instead of `seed`.
+ * @returns {Phylo} The tree.
+ * @throws {Error} If `n` is too small.
+ */
+export function rtree(n, { rooted = true, brlen = null, tipLabel = null, seed = null, rng = null } = {}) {
+  if (!Number.isInteger(n) || n < (rooted ? 2 : 3)) {
+    throw new Error("n must be an integer, at least " + (rooted ? 2 : 3) + ".");
+  }
+  checkTipLabel(tipLabel, n);
+  if (rng === null) rng = createRng(seed);
+  if (brlen === null) brlen = random => random();
+
+  const root = { name: "", children: [] };
+  const sizes = [];
+  if (rooted) {
+    const n1 = 1 + Math.floor(rng() * (n - 1));
+    sizes.push(n1, n - n1);
+  } else {
+    const n1 = 1 + Math.floor(rng() * (n - 2));
+    const n2 = 1 + Math.floor(rng() * (n - n1 - 1));
+    sizes.push(n1, n2, n - n1 - n2);
+  }
+  const stack = sizes.reverse().map(k => [root, k]);
+  while (stack.length > 0) {
+    const [parent, k] = stack.pop();
+    const node = { name: "", children: [] };
+    if (brlen !== false) node.length = brlen(rng);
+    parent.children.push(node);
+    if (k > 1) {
+      const k1 = 1 + Math.floor(rng() * (k - 1));
+      stack.push([node, k - k1], [node, k1]);
+    }
+  }
+  return phyloFromNested(root, tipLabel);
+}
+
+/**
+ * Generates a random coalescent tree.
+ *
+ * This function mimics the behavior of R's rcoal (ape): lineages are joined two at a
+ * time, at random, going back in time; with k lineages, the waiting time before the
+ * next coalescence is exponential with rate k(k - 1)/2 (Kingman's coalescent, in
+ * units of the population size). The tree is ultrametric.
+ *
+ * @param {number} n - The number of tips.
+ * @param {object} [options={}] - Options object.
+ * @param {Array<string>|null} [options.tipLabel=null] - The tip labels.
+ * @param {number|null} [options.seed=null] - A seed for the random number generator.
+ * @param {function(): number|null} [options.rng=null] - A random number generator, used
+ *   instead of `seed`.
+ * @returns {Phylo} The tree.
+ * @throws {Error} If `n` is too small.
+ */
+export function rcoal(n, { tipLabel = null, seed = null, rng = null } = {}) {
+  if (!Number.isInteger(n) || n < 2) {
+    throw new Error("n must be an integer, at least 2.");
+  }
+  checkTipLabel(tipLabel, n);
+  if (rng === null) rng = createRng(seed);
+
+  const lineages = Array.from({ length: n }, () => ({ node: { name: "", children: [] }, height: 0 }));
+  let height = 0;
+  while (lineages.length > 1) {
+    const k = lineages.length;
+    height += -Math.log(1 - rng()) / ((k * (k - 1)) / 2);
+    const i = Math.floor(rng() * k);
+    let j = Math.floor(rng() * (k - 1));
+    if (j >= i) j++;
+    const [a, b] = [lineages[i], lineages[j]];
+    a.node.length = height - a.height;
+    b.node.length = height - b.height;
+    lineages[i] = { node: { name: "", children: [a.node, b.node] }, height };
+    lineages.splice(j, 1);
+  }
+  const root = lineages[0].node;
+  delete root.length;
+  return phyloFromNested(root, tipLabel);
+}
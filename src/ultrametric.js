@@ -0,0 +1,174 @@
+/**
+ * @file ultrametric.js
+ * @module ultrametric
+ *
+ * This module tests whether a tree is ultrametric (all tips equally distant from
+ * the root) and makes trees ultrametric, mimicking R's is.ultrametric (ape) and
+ * force.ultrametric (phytools).
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - rootDistances(phy)             (from node.js)
+ *   - cophenetic(phy)                (from cophenetic.js)
+ *   - reorder(phy, order, indexOnly) (from reorder.js)
+ *   - copyTree(phy)                  (from phylo.js)
+ */
+
+import { rootDistances } from "./node.js";
+import { cophenetic } from "./cophenetic.js";
+import { reorder } from "./reorder.js";
+import { copyTree } from "./phylo.js";
+
+/**
+ * Gets the root-to-tip distances of a tree.
+ *
+ * @param {object} phy - A phylogenetic tree object with branch lengths.
+ * @returns {Float64Array} The distances, indexed by tip number - 1.
+ * @throws {Error} If the tree has no branch lengths or some are missing.
+ */
+function tipDepths(phy) {
+  if (phy.edgeLength != null && phy.edgeLength.some(l => l == null || Number.isNaN(l))) {
+    throw new Error("the tree has branch lengths with NA.");
+  }
+  return rootDistances(phy).subarray(0, phy.tipLabel.length);
+}
+
+/**
+ * Tests whether a tree is ultrametric.
+ *
+ * This function mimics the behavior of R's is.ultrametric: with option 1, the
+ * criterion is the range of the root-to-tip distances divided by their maximum;
+ * with option 2, it is their variance. The tree is ultrametric if the criterion
+ * does not exceed `tol`.
+ *
+ * @param {object} phy - A phylogenetic tree object with branch lengths.
+ * @param {object} [options={}] - Options object.
+ * @param {number} [options.tol=1.490116e-8] - The numerical tolerance.
+ * @param {number} [options.option=1] - The criterion: 1 (relative range) or 2 (variance).
+ * @returns {boolean} True if the tree is ultrametric.
+ * @throws {Error} If the tree has no branch lengths or the option is unknown.
+ */
+export function isUltrametric(phy, { tol = Math.sqrt(Number.EPSILON), option = 1 } = {}) {
+  const x = tipDepths(phy);
+  let crit;
+  if (option === 1) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const d of x) {
+      if (d < min) min = d;
+      if (d > max) max = d;
+    }
+    crit = max === 0 ? 0 : (max - min) / max;
+  } else if (option === 2) {
+    const mean = x.reduce((s, d) => s + d, 0) / x.length;
+    crit = x.length < 2 ? 0 : x.reduce((s, d) => s + (d - mean) * (d - mean), 0) / (x.length - 1);
+  } else {
+    throw new Error("option must be 1 or 2.");
+  }
+  return Math.abs(crit) <= tol;
+}
+
+/**
+ * Computes the least-squares ultrametric node heights of a tree with fixed topology.
+ *
+ * In an ultrametric tree, the distance between two tips is twice the height of their
+ * most recent common ancestor (MRCA). The squared error to the cophenetic distances
+ * is thus minimized, for each node, by the mean half-distance of the pairs of tips it
+ * is the MRCA of, subject to every node being at least as high as its children. This
+ * is solved by isotonic regression on the tree: going up in postorder, a node is pooled
+ * with the highest block below it while that block is higher.
+ *
+ * @param {object} phy - A phylogenetic tree object with branch lengths.
+ * @returns {Float64Array} The node heights, indexed by node number - 1 (0 for the tips).
+ */
+function leastSquaresHeights(phy) {
+  const n = phy.tipLabel.length;
+  const N = n + phy.Nnode;
+  const D = cophenetic(phy).matrix;
+  const post = reorder(phy, "postorder", true);
+
+  // Sum of half-distances and number of tip pairs for each MRCA.
+  const sum = new Float64Array(N + 1);
+  const weight = new Float64Array(N + 1);
+  const tips = new Array(N + 1).fill(null);
+  for (let i = 1; i <= n; i++) tips[i] = [i];
+  for (const k of post) {
+    const [p, c] = phy.edge[k];
+    if (tips[p] === null) tips[p] = [];
+    for (const a of tips[c]) {
+      for (const b of tips[p]) {
+        sum[p] += D[(a - 1) * n + b - 1] / 2;
+        weight[p]++;
+      }
+    }
+    for (const a of tips[c]) tips[p].push(a);
+    tips[c] = null;
+  }
+
+  // Each internal node starts as its own block; blocks[v] is the block owning node v.
+  const blocks = new Array(N + 1).fill(null);
+  const children = new Array(N + 1).fill(null).map(() => []);
+  for (const k of post) {
+    const [p, c] = phy.edge[k];
+    if (c > n) children[p].push(c);
+  }
+  const value = b => (b.weight > 0 ? b.sum / b.weight : -Infinity);
+  for (const k of post.concat([-1])) {
+    // Each node is settled once all its edges to children have been seen.
+    const v = k === -1 ? n + 1 : phy.edge[k][1];
+    if (v <= n) continue;
+    const block = { sum: sum[v], weight: weight[v], nodes: [v], below: children[v].map(c => blocks[c]) };
+    for (;;) {
+      let top = -1;
+      for (let i = 0; i < block.below.length; i++) {
+        if (top === -1 || value(block.below[i]) > value(block.below[top])) top = i;
+      }
+      if (top === -1 || value(block.below[top]) <= value(block)) break;
+      const merged = block.below.splice(top, 1)[0];
+      block.sum += merged.sum;
+      block.weight += merged.weight;
+      for (const u of merged.nodes) block.nodes.push(u);
+      for (const b of merged.below) block.below.push(b);
+    }
+    for (const u of block.nodes) blocks[u] = block;
+  }
+
+  const heights = new Float64Array(N);
+  for (let v = n + 1; v <= N; v++) heights[v - 1] = Math.max(0, value(blocks[v]));
+  return heights;
+}
+
+/**
+ * Makes a tree ultrametric.
+ *
+ * This function mimics the behavior of R's force.ultrametric (phytools):
+ *   - "nnls": the branch lengths are replaced by those of the ultrametric tree with the
+ *     same topology whose tip-to-tip distances are closest, in least squares, to the
+ *     cophenetic distances of the tree (all branch lengths are non-negative);
+ *   - "extend": the terminal branches are lengthened so that every tip is as far from
+ *     the root as the farthest one.
+ *
+ * @param {object} phy - A phylogenetic tree object with branch lengths.
+ * @param {string} [method="nnls"] - "nnls" or "extend".
+ * @returns {Phylo} A new, ultrametric tree.
+ * @throws {Error} If the tree has no branch lengths or the method is unknown.
+ */
+export function forceUltrametric(phy, method = "nnls") {
+  if (method !== "nnls" && method !== "extend") {
+    throw new Error('method must be "nnls" or "extend".');
+  }
+  const n = phy.tipLabel.length;
+  const depth = tipDepths(phy);
+  const tree = copyTree(phy);
+
+  if (method === "extend") {
+    let max = 0;
+    for (const d of depth) max = Math.max(max, d);
+    tree.edgeLength = tree.edge.map(([, c], i) =>
+      c <= n ? tree.edgeLength[i] + max - depth[c - 1] : tree.edgeLength[i]
+    );
+  } else {
+    const h = leastSquaresHeights(tree);
+    tree.edgeLength = tree.edge.map(([p, c]) => h[p - 1] - h[c - 1]);
+  }
+  return tree;
+}
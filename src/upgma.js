@@ -0,0 +1,112 @@
+/**
+ * @file upgma.js
+ * @module upgma
+ *
+ * This module builds ultrametric trees from distance matrices by hierarchical
+ * clustering, mimicking R's upgma and wpgma from the phangorn package.
+ *
+ * At each step, the two closest clusters are joined by a node at half their
+ * distance. The distances from the new cluster are the averages of the distances
+ * from the two clusters, weighted by their sizes (UPGMA, average linkage) or not
+ * (WPGMA, McQuitty's method). Tips are numbered in the order of the labels of the
+ * matrix.
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - asDistMatrix(d, labels)                              (from dist-matrix.js)
+ *   - buildPhylo(tipLabel, children, edgeLength, root)     (from build-phylo.js)
+ */
+
+import { asDistMatrix } from "./dist-matrix.js";
+import { buildPhylo } from "./build-phylo.js";
+
+/**
+ * Builds a tree by average-linkage clustering.
+ *
+ * @param {object|ArrayLike<number>} d - The distance matrix (see asDistMatrix).
+ * @param {Array<string>|null} labels - The labels, if `d` has none.
+ * @param {boolean} weighted - Whether to use WPGMA.
+ * @returns {Phylo} The tree.
+ * @throws {Error} If there are fewer than two labels.
+ */
+function cluster(d, labels, weighted) {
+  const dist = asDistMatrix(d, labels);
+  const n = dist.labels.length;
+  if (n < 2) {
+    throw new Error("cannot build a tree with less than 2 observations.");
+  }
+  const D = dist.matrix;
+  const id = Array.from({ length: n }, (_, i) => i + 1);
+  const size = new Array(n).fill(1);
+  const height = new Map();
+  for (let i = 1; i <= n; i++) height.set(i, 0);
+  let active = Array.from({ length: n }, (_, i) => i);
+  const children = new Map();
+  const edgeLength = new Map();
+  let next = n + 1;
+
+  while (active.length > 1) {
+    let bi = -1;
+    let bj = -1;
+    let best = Infinity;
+    for (let a = 0; a < active.length; a++) {
+      const i = active[a];
+      for (let b = a + 1; b < active.length; b++) {
+        const j = active[b];
+        if (D[i * n + j] < best) {
+          best = D[i * n + j];
+          bi = i;
+          bj = j;
+        }
+      }
+    }
+    const u = next++;
+    const h = best / 2;
+    children.set(u, [id[bi], id[bj]]);
+    height.set(u, h);
+    edgeLength.set(id[bi], h - height.get(id[bi]));
+    edgeLength.set(id[bj], h - height.get(id[bj]));
+
+    // The new cluster takes the row of i.
+    const wi = weighted ? 0.5 : size[bi] / (size[bi] + size[bj]);
+    for (const k of active) {
+      if (k === bi || k === bj) continue;
+      const duk = wi * D[bi * n + k] + (1 - wi) * D[bj * n + k];
+      D[bi * n + k] = D[k * n + bi] = duk;
+    }
+    size[bi] += size[bj];
+    id[bi] = u;
+    active = active.filter(k => k !== bj);
+  }
+  return buildPhylo(dist.labels, children, edgeLength, next - 1);
+}
+
+/**
+ * Builds a tree with the UPGMA method.
+ *
+ * This function mimics the behavior of R's upgma (phangorn).
+ *
+ * @param {{labels: Array<string>, matrix: ArrayLike<number>}|ArrayLike<number>|Array<Array<number>>} distMatrix -
+ *   The distance matrix: a labelled matrix (as returned by cophenetic), or a flat or
+ *   nested array of n * n distances.
+ * @param {Array<string>|null} [labels=null] - The labels, if `distMatrix` has none.
+ * @returns {Phylo} The rooted, ultrametric tree.
+ * @throws {Error} If the matrix is invalid or has fewer than two rows.
+ */
+export function upgma(distMatrix, labels = null) {
+  return cluster(distMatrix, labels, false);
+}
+
+/**
+ * Builds a tree with the WPGMA method.
+ *
+ * This function mimics the behavior of R's wpgma (phangorn).
+ *
+ * @param {{labels: Array<string>, matrix: ArrayLike<number>}|ArrayLike<number>|Array<Array<number>>} distMatrix -
+ *   The distance matrix (see upgma).
+ * @param {Array<string>|null} [labels=null] - The labels, if `distMatrix` has none.
+ * @returns {Phylo} The rooted, ultrametric tree.
+ * @throws {Error} If the matrix is invalid or has fewer than two rows.
+ */
+export function wpgma(distMatrix, labels = null) {
+  return cluster(distMatrix, labels, true);
+}
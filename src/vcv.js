@@ -0,0 +1,70 @@
+/**
+ * @file vcv.js
+ * @module vcv
+ *
+ * This module computes the phylogenetic variance-covariance matrix of a tree,
+ * mimicking R's vcv.phylo from the ape package.
+ *
+ * Under Brownian motion, the covariance between two tips is the length of the path
+ * they share: the distance from the root to their most recent common ancestor, and
+ * the variance of a tip is its distance to the root.
+ *
+ * Note: This implementation relies on the following utilities:
+ *   - reorder(phy, order, indexOnly) (from reorder.js)
+ *   - rootDistances(phy)             (from node.js)
+ */
+
+import { reorder } from "./reorder.js";
+import { rootDistances } from "./node.js";
+
+/**
+ * Computes the phylogenetic variance-covariance matrix of a tree.
+ *
+ * This function mimics the behavior of R's vcv.phylo (ape). The tree is traversed
+ * in postorder: at each node, the tips below each child are paired with those
+ * already collected below the node, and get the depth of the node as covariance.
+ *
+ * @param {object} phy - A phylogenetic tree object with branch lengths.
+ * @param {object} [options={}] - Options object.
+ * @param {string} [options.model="Brownian"] - The model of evolution (only "Brownian").
+ * @param {boolean} [options.corr=false] - If true, return the correlation matrix.
+ * @returns {{labels: Array<string>, matrix: Float64Array}} An object with properties:
+ *   - labels: the tip labels.
+ *   - matrix: a Float64Array (row-major) of covariances (or correlations).
+ * @throws {Error} If the model is unknown or the tree has no branch lengths.
+ */
+export function vcv(phy, { model = "Brownian", corr = false } = {}) {
+  if (model !== "Brownian") {
+    throw new Error('model must be "Brownian".');
+  }
+  const n = phy.tipLabel.length;
+  const depth = rootDistances(phy);
+  const matrix = new Float64Array(n * n);
+  const below = new Array(n + phy.Nnode + 1).fill(null);
+  for (let t = 1; t <= n; t++) {
+    below[t] = [t];
+    matrix[(t - 1) * n + t - 1] = depth[t - 1];
+  }
+
+  for (const k of reorder(phy, "postorder", true)) {
+    const [p, c] = phy.edge[k];
+    if (below[p] === null) below[p] = [];
+    const d = depth[p - 1];
+    for (const a of below[c]) {
+      for (const b of below[p]) {
+        matrix[(a - 1) * n + b - 1] = d;
+        matrix[(b - 1) * n + a - 1] = d;
+      }
+    }
+    for (const a of below[c]) below[p].push(a);
+    below[c] = null;
+  }
+
+  if (corr) {
+    const sd = Array.from({ length: n }, (_, i) => Math.sqrt(matrix[i * n + i]));
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) matrix[i * n + j] = i === j ? 1 : matrix[i * n + j] / (sd[i] * sd[j]);
+    }
+  }
+  return { labels: phy.tipLabel.slice(), matrix };
+}
@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, ace } from "../src/index.js";
+
+const close = (actual, expected, tol = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} is not close to ${expected}`);
+
+// ((A:1,B:1):1,C:2) with A = 1, B = 2 and C = 4: the node values minimize
+// (r - u)^2 + (u - 1)^2 + (u - 2)^2 + (r - 4)^2 / 2, i.e. r = 18/7 and u = 13/7, and the
+// sum of the squared changes is Q = 16/7.
+const tree = parseNewick("((A:1,B:1):1,C:2);");
+const x = { A: 1, B: 2, C: 4 };
+
+test("ace ML estimates the node values and the rate over all the edges", () => {
+  const r = ace(x, tree, { method: "ML" });
+  close(r.ace[0], 18 / 7);
+  close(r.ace[1], 13 / 7);
+  // sigma2 = Q / (number of edges).
+  close(r.sigma2.estimate, 4 / 7);
+  // The sum of the normal log-densities of the changes along the edges.
+  const s = 4 / 7;
+  const logLik = -0.5 * (4 * Math.log(2 * Math.PI * s) + Math.log(2) + 16 / 7 / s);
+  close(r.loglik, logLik);
+});
+
+test("ace REML matches the likelihood of the independent contrasts", () => {
+  const r = ace(x, tree, { method: "REML" });
+  close(r.ace[0], 18 / 7);
+  close(r.ace[1], 13 / 7);
+  // sigma2 = Q / (n - 1); the contrasts are -1 (variance 2) and -2.5 (variance 3.5).
+  const s = 8 / 7;
+  close(r.sigma2.estimate, s);
+  const logLik = -0.5 * (2 * Math.log(2 * Math.PI * s) + Math.log(2 * 3.5) + (1 / 2 + 6.25 / 3.5) / s);
+  close(r.loglik, logLik);
+});
+
+test("ace pic gives the averages of the contrasts", () => {
+  const r = ace(x, tree, { method: "pic" });
+  // The root averages C with 1.5 on an edge extended to 1 + 1/2.
+  close(r.ace[0], 18 / 7);
+  close(r.ace[1], 1.5);
+  close(r.sigma2.estimate, 8 / 7);
+  assert.equal(r.loglik, null);
+});
+
+test("ace rejects non-numeric continuous values", () => {
+  assert.throws(() => ace({ A: "1", B: 2, C: 4 }, tree), /must be numbers/);
+});
+
+// Brute-force likelihood of a binary Mk model on ((A:1,B:2):0.5,(C:1,D:1):1.5), with
+// equal root frequencies: root 5, (A,B) = 6, (C,D) = 7.
+const dtree = parseNewick("((A:1,B:2):0.5,(C:1,D:1):1.5);");
+const dx = { A: 0, B: 1, C: 1, D: 1 };
+
+function enumerate(q01, q10) {
+  const total = q01 + q10;
+  const P = (i, j, t) => {
+    const e = Math.exp(-total * t);
+    const stay = i === 0 ? (q10 + q01 * e) / total : (q01 + q10 * e) / total;
+    return i === j ? stay : 1 - stay;
+  };
+  const marginal = { 5: [0, 0], 6: [0, 0], 7: [0, 0] };
+  let sum = 0;
+  for (const s5 of [0, 1]) {
+    for (const s6 of [0, 1]) {
+      for (const s7 of [0, 1]) {
+        const p =
+          0.5 * P(s5, s6, 0.5) * P(s5, s7, 1.5) * P(s6, 0, 1) * P(s6, 1, 2) * P(s7, 1, 1) * P(s7, 1, 1);
+        sum += p;
+        marginal[5][s5] += p;
+        marginal[6][s6] += p;
+        marginal[7][s7] += p;
+      }
+    }
+  }
+  return { logLik: Math.log(sum), marginal: [5, 6, 7].map(v => marginal[v][0] / sum) };
+}
+
+test("ace ER matches the enumeration of the node states", () => {
+  const r = ace(dx, dtree, { type: "discrete", model: "ER" });
+  const q = r.rates[0];
+  const ref = enumerate(q, q);
+  close(r.loglik, ref.logLik, 1e-8);
+  close(r.loglik, -2.718327, 1e-6);
+  ref.marginal.forEach((p, i) => close(r.likAnc[i][0], p, 1e-8));
+  // The rate is a maximum of the likelihood.
+  assert.ok(enumerate(q * 1.01, q * 1.01).logLik < r.loglik);
+  assert.ok(enumerate(q * 0.99, q * 0.99).logLik < r.loglik);
+});
+
+test("ace ARD matches the enumeration of the node states", () => {
+  const r = ace(dx, dtree, { type: "discrete", model: "ARD" });
+  assert.deepEqual(r.indexMatrix, [
+    [0, 1],
+    [2, 0],
+  ]);
+  const [q01, q10] = r.rates;
+  const ref = enumerate(q01, q10);
+  close(r.loglik, ref.logLik, 1e-8);
+  ref.marginal.forEach((p, i) => close(r.likAnc[i][0], p, 1e-8));
+  for (const [a, b] of [
+    [1.01, 1],
+    [0.99, 1],
+    [1, 1.01],
+    [1, 0.99],
+  ]) {
+    assert.ok(enumerate(q01 * a, q10 * b).logLik < r.loglik);
+  }
+});
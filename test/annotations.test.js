@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, writeNewick, dropTip, unrootPhylo, collapseSingles } from "../src/index.js";
+
+const write = tree => writeNewick(tree, { annotations: true });
+const newick = "(((A:1,B:1)[&support=0.9]:1[&rate=2],(C:1,D:1)[&support=0.5]:1)[&support=1]:1,E:2[&rate=3]);";
+
+test("parseNewick reads BEAST and NHX comments into annotations", () => {
+  const tree = parseNewick("((A:1[&rate=2],B:1)[&support=0.9,height={1,2}]:1,C:2[&&NHX:S=human]);");
+  assert.deepEqual(tree.nodeAnnotation, [null, null, { S: "human" }, null, { support: 0.9, height: [1, 2] }]);
+  assert.deepEqual(tree.edgeAnnotation, [null, { rate: 2 }, null, null]);
+  assert.equal(writeNewick(tree), "((A:1,B:1):1,C:2);");
+  assert.equal(write(tree), "((A:1[&rate=2],B:1)[&support=0.9,height={1,2}]:1,C[&S=human]:2);");
+});
+
+test("dropTip keeps the annotations on their nodes and edges", () => {
+  assert.equal(write(parseNewick(newick)), newick);
+  assert.equal(
+    write(dropTip(parseNewick(newick), ["E"])),
+    "((A:1,B:1)[&support=0.9]:1[&rate=2],(C:1,D:1)[&support=0.5]:1)[&support=1];"
+  );
+  assert.equal(
+    write(dropTip(parseNewick(newick), ["C"])),
+    "(((A:1,B:1)[&support=0.9]:1[&rate=2],D:2)[&support=1]:1,E:2[&rate=3]);"
+  );
+});
+
+test("unrootPhylo and collapseSingles keep the annotations", () => {
+  assert.equal(
+    write(unrootPhylo(parseNewick(newick), 5)),
+    "((A:1,B:1)[&support=0.9]:1[&rate=2],(C:1,D:1)[&support=0.5]:1,E:3[&rate=3])[&support=1];"
+  );
+  const singles = parseNewick("(((A:1,B:1)[&s=1]:1)[&s=9]:1[&r=5],C:1[&r=3])[&s=0];");
+  assert.equal(write(collapseSingles(singles)), "((A:1,B:1)[&s=1]:2[&r=5],C:1[&r=3])[&s=0];");
+});
+
+test("unrootPhylo adds the removed root edge to the other root edge", () => {
+  const tree = unrootPhylo(parseNewick("((A:1,B:1):2,(C:1,D:1):3);"), 4);
+  assert.equal(writeNewick(tree), "(A:1,B:1,(C:1,D:1):5);");
+});
@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, writeNewick, bindTree, addTip } from "../src/index.js";
+
+// Root 4, (A,B) 5.
+const x = parseNewick("((A:1,B:1):1,C:2);");
+const y = parseNewick("(D:1,E:1);");
+
+test("bindTree merges the root of y with a node of x", () => {
+  assert.equal(writeNewick(bindTree(x, y)), "((A:1,B:1):1,C:2,D:1,E:1);");
+  // A root edge joins the two trees instead.
+  assert.equal(writeNewick(bindTree(x, parseNewick("(D:1,E:1):0.5;"), { where: 5 })), "((A:1,B:1,(D:1,E:1):0.5):1,C:2);");
+});
+
+test("bindTree replaces a tip, or cuts the edge above it", () => {
+  const tree = bindTree(x, y, { where: "C" });
+  assert.equal(writeNewick(tree), "((A:1,B:1):1,(D:1,E:1):2);");
+  assert.deepEqual(tree.tipLabel, ["A", "B", "D", "E"]);
+  assert.equal(tree.Nnode, 3);
+  assert.equal(writeNewick(bindTree(x, y, { where: "C", position: 0.5 })), "((A:1,B:1):1,(C:0.5,D:1,E:1):1.5);");
+  assert.throws(() => bindTree(x, y, { where: "C", position: 3 }), /larger than the branch length/);
+  assert.throws(() => bindTree(x, y, { where: "Z" }), /not found: Z/);
+  // The input trees are left unchanged.
+  assert.equal(writeNewick(x), "((A:1,B:1):1,C:2);");
+});
+
+test("addTip keeps an ultrametric tree ultrametric", () => {
+  assert.equal(writeNewick(addTip(x, "F")), "((A:1,B:1):1,C:2,F:2);");
+  assert.equal(writeNewick(addTip(x, "F", { where: "A", position: 0.5 })), "(((A:0.5,F:0.5):0.5,B:1):1,C:2);");
+  assert.equal(writeNewick(addTip(x, "F", { where: 5, edgeLength: 3 })), "((A:1,B:1,F:3):1,C:2);");
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, writeNewick, collapseSingles, hasSingles } from "../src/index.js";
+
+// x has the single child w, and u the single child D.
+const newick = "((((A:1,B:1)w:1)x:1,C:3)y:1,((D:1)u:1,E:2)z:1)r;";
+
+test("collapseSingles removes the nodes with a single child", () => {
+  const tree = parseNewick(newick);
+  assert.equal(hasSingles(tree), true);
+  const collapsed = collapseSingles(tree);
+  assert.equal(writeNewick(collapsed), "(((A:1,B:1)w:2,C:3)y:1,(D:2,E:2)z:1)r;");
+  assert.equal(hasSingles(collapsed), false);
+  assert.equal(collapsed.Nnode, 4);
+});
+
+test("collapseSingles numbers the remaining nodes in cladewise order", () => {
+  const collapsed = collapseSingles(parseNewick(newick));
+  // y (7) comes before w (8) although w had the lower number.
+  assert.deepEqual(collapsed.edge, [
+    [6, 7],
+    [7, 8],
+    [8, 1],
+    [8, 2],
+    [7, 3],
+    [6, 9],
+    [9, 4],
+    [9, 5]
+  ]);
+  assert.deepEqual(collapsed.nodeLabel, ["r", "y", "w", "z"]);
+});
+
+test("collapseSingles can keep the edge below a single root as a root edge", () => {
+  const collapsed = collapseSingles(parseNewick("((A:1,B:1):2);"), true);
+  assert.equal(writeNewick(collapsed), "(A:1,B:1);");
+  assert.equal(collapsed.rootEdge, 2);
+});
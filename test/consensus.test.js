@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, parseMultiNewick, writeNewick, consensus } from "../src/index.js";
+
+// AB|CDE is in three trees out of four, CD|ABE in two.
+const unrooted = parseMultiNewick("((A,B),(C,D),E);((A,B),(C,E),D);((A,B),(C,D),E);((A,C),(B,D),E);");
+// The clade AB is in the first two trees, ABC in the first and the third.
+const rooted = parseMultiNewick("(((A,B),C),D);(((A,B),D),C);((A,(B,C)),D);");
+
+test("consensus keeps the splits found in more than a proportion p of the trees", () => {
+  assert.equal(writeNewick(consensus(unrooted)), "(A,B,C,D,E);");
+  const majority = consensus(unrooted, { p: 0.5 });
+  assert.equal(writeNewick(majority), "((C,D,E)0.75,A,B);");
+  assert.equal(writeNewick(consensus([parseNewick("((A,B),C,D);"), parseNewick("((B,A),D,C);")])), "((C,D)1,A,B);");
+  assert.throws(() => consensus(unrooted, { p: 0.4 }), /between 0.5 and 1/);
+});
+
+test("consensus compares clades with rooted", () => {
+  assert.equal(writeNewick(consensus(rooted, { rooted: true })), "(A,B,C,D);");
+  const majority = consensus(rooted, { rooted: true, p: 0.5 });
+  assert.deepEqual(majority.tipLabel, ["A", "B", "C", "D"]);
+  assert.equal(majority.Nnode, 3);
+  assert.deepEqual(majority.nodeLabel.slice(1).map(Number), [2 / 3, 2 / 3]);
+  assert.throws(() => consensus(unrooted, { rooted: true }), /not rooted/);
+});
@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, cophenetic, distNodes } from "../src/index.js";
+
+// Root 4, (A,B) 5.
+const newick = "((A:1,B:2):1,C:3);";
+
+test("cophenetic gives the path lengths between tips", () => {
+  const { labels, matrix } = cophenetic(parseNewick(newick));
+  assert.deepEqual(labels, ["A", "B", "C"]);
+  assert.deepEqual(Array.from(matrix), [0, 3, 5, 3, 0, 6, 5, 6, 0]);
+  assert.throws(() => cophenetic(parseNewick("((A,B),C);")), /no branch lengths/);
+});
+
+test("distNodes gives the path lengths between all nodes", () => {
+  const { labels, matrix } = distNodes(parseNewick(newick));
+  assert.deepEqual(labels, ["A", "B", "C", "4", "5"]);
+  assert.deepEqual(Array.from(matrix), [
+    0, 3, 5, 2, 1,
+    3, 0, 6, 3, 2,
+    5, 6, 0, 3, 4,
+    2, 3, 3, 0, 1,
+    1, 2, 4, 1, 0,
+  ]);
+});
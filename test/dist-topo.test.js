@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, parseMultiNewick, distTopo } from "../src/index.js";
+
+const close = (actual, expected, tol = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} is not close to ${expected}`);
+
+// Splits of a: AB|CDE (length 1) and DE|ABC (2); of b: AC|BDE (1) and DE|ABC (2).
+const a = parseNewick("((A:1,B:2):1,C:1,(D:1,E:1):2);");
+const b = parseNewick("((A:1,C:2):1,B:1,(D:1,E:3):2);");
+
+test("distTopo counts the splits found in one tree only", () => {
+  assert.equal(distTopo(a, b), 2);
+  assert.equal(distTopo(a, b, { method: "PH85" }), 2);
+  close(distTopo(a, b, { normalize: true }), 0.5);
+  assert.equal(distTopo(a, a), 0);
+});
+
+test("distTopo compares branch lengths with wRF and KF", () => {
+  // Differences: AB 1, AC 1, and the terminal edges of B 1, C 1 and E 2.
+  close(distTopo(a, b, { method: "wRF" }), 6);
+  close(distTopo(a, b, { method: "KF" }), Math.sqrt(8));
+  assert.throws(() => distTopo(parseNewick("((A,B),C,(D,E));"), b, { method: "score" }), /score/);
+});
+
+test("distTopo compares the numbers of edges between tips with path", () => {
+  // The paths A-B, A-C, B-D, B-E, C-D and C-E differ by one edge.
+  close(distTopo(a, b, { method: "path" }), Math.sqrt(6));
+});
+
+test("distTopo returns a matrix for a set of trees", () => {
+  const trees = parseMultiNewick("((A,B),(C,D));((A,C),(B,D));((A,B),(C,D));");
+  const d = distTopo(trees, { normalize: true });
+  assert.deepEqual(d.labels, ["1", "2", "3"]);
+  assert.deepEqual(Array.from(d.matrix), [0, 1, 0, 1, 0, 1, 0, 1, 0]);
+  assert.throws(() => distTopo(trees, trees), /single tree/);
+});
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readDNA, distDNA, baseFreq, DNAbin } from "../src/index.js";
+
+const close = (actual, expected, tol = 1e-12) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} is not close to ${expected}`);
+
+// s2 has a transition at the first site, s3 a transversion and a gap at the last site.
+const fasta = ">s1\nACGTAC\nGTAC\n>s2\nGCGTACGTAC\n>s3\nCCGTACGTA-\n";
+
+test("readDNA reads FASTA and PHYLIP files", () => {
+  const aln = readDNA(fasta);
+  assert.deepEqual(aln.labels, ["s1", "s2", "s3"]);
+  assert.equal(aln.nsites, 10);
+  const phylip = readDNA("3 10\ns1 ACGTACGTAC\ns2 GCGTACGTAC\ns3 CCGTACGTA-\n", "sequential");
+  assert.deepEqual(phylip.data, aln.data);
+  assert.throws(() => readDNA(fasta, "nexus"), /format must be/);
+  assert.throws(() => DNAbin.fromStrings(["a", "b"], ["ACGT", "ACG"]), /not aligned/);
+});
+
+test("baseFreq counts the known bases", () => {
+  const bf = baseFreq(readDNA(fasta));
+  assert.deepEqual(bf, { A: 7 / 29, C: 9 / 29, G: 7 / 29, T: 6 / 29 });
+});
+
+test("distDNA removes the incomplete sites from all the pairs by default", () => {
+  const aln = readDNA(fasta);
+  // 9 sites are compared.
+  const raw = distDNA(aln, "raw");
+  assert.deepEqual(raw.labels, ["s1", "s2", "s3"]);
+  [0, 1 / 9, 1 / 9, 1 / 9, 0, 1 / 9, 1 / 9, 1 / 9, 0].forEach((d, i) => close(raw.matrix[i], d));
+  close(distDNA(aln, "JC69").matrix[1], -0.75 * Math.log(1 - 4 / 27));
+  const k80 = distDNA(aln, "k80").matrix;
+  close(k80[1], -0.5 * Math.log(1 - 2 / 9));
+  close(k80[2], -0.5 * Math.log(1 - 1 / 9) - 0.25 * Math.log(1 - 2 / 9));
+  assert.throws(() => distDNA(aln, "HKY85"), /model must be/);
+});
+
+test("distDNA can remove the incomplete sites pair by pair", () => {
+  const raw = distDNA(readDNA(fasta), "raw", { pairwiseDeletion: true }).matrix;
+  close(raw[1], 1 / 10);
+  close(raw[2], 1 / 9);
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, writeNewick, extractClade, subtrees } from "../src/index.js";
+
+// Root 6, (B,C) 7, (A,(B,C)) 8, (D,E) 9.
+const tree = parseNewick("((A:1,(B:2,C:3)x:4)y:5,(D:6,E:7)z:8)r;");
+
+test("extractClade renumbers the clade as a tree of its own", () => {
+  const clade = extractClade(tree, 8);
+  assert.equal(writeNewick(clade), "(A:1,(B:2,C:3)x:4)y;");
+  assert.deepEqual(clade.edge, [
+    [4, 1],
+    [4, 5],
+    [5, 2],
+    [5, 3]
+  ]);
+  assert.deepEqual(clade.tipLabel, ["A", "B", "C"]);
+  assert.deepEqual(clade.nodeLabel, ["y", "x"]);
+  assert.equal(clade.Nnode, 2);
+});
+
+test("extractClade takes the clade of the MRCA of a set of tips", () => {
+  assert.equal(writeNewick(extractClade(tree, ["B", "A"])), "(A:1,(B:2,C:3)x:4)y;");
+  assert.equal(writeNewick(extractClade(tree, ["E", "D"])), "(D:6,E:7)z;");
+  assert.throws(() => extractClade(tree, 2), /internal node/);
+  assert.throws(() => extractClade(tree, ["A", "F"]), /not found/);
+});
+
+test("subtrees lists the clade of each node in node order", () => {
+  assert.deepEqual(subtrees(tree).map(clade => writeNewick(clade)), [
+    "((A:1,(B:2,C:3)x:4)y:5,(D:6,E:7)z:8)r;",
+    "(B:2,C:3)x;",
+    "(A:1,(B:2,C:3)x:4)y;",
+    "(D:6,E:7)z;"
+  ]);
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, writeNewick, keepTip, nameCheck, MultiPhylo } from "../src/index.js";
+
+const newick = "((Homo_sapiens:1,Pan:1)[&s=1]:1,(Gorilla:1,Pongo:2):1);";
+
+test("keepTip drops the other tips and keeps the annotations", t => {
+  const tree = parseNewick(newick);
+  const kept = keepTip(tree, ["homo sapiens", "Pan", "Pongo"], { underscore: true, ignoreCase: true });
+  assert.equal(writeNewick(kept, { annotations: true }), "((Homo_sapiens:1,Pan:1)[&s=1]:1,Pongo:3);");
+  const warn = t.mock.method(console, "warn", () => {});
+  assert.equal(writeNewick(keepTip(tree, [1, 4, "X"])), "(Homo_sapiens:2,Pongo:3);");
+  assert.match(warn.mock.calls[0].arguments[0], /ignored \(X\)/);
+  // The input is left unchanged.
+  assert.equal(writeNewick(tree), "((Homo_sapiens:1,Pan:1):1,(Gorilla:1,Pongo:2):1);");
+});
+
+test("keepTip copies plain tree objects", () => {
+  const tree = parseNewick(newick);
+  const plain = {
+    edge: tree.edge.map(row => [...row]),
+    edgeLength: [...tree.edgeLength],
+    tipLabel: [...tree.tipLabel],
+    Nnode: tree.Nnode
+  };
+  assert.equal(writeNewick(keepTip(plain, ["Pan", "Pongo"])), "(Pan:2,Pongo:3);");
+  assert.equal(plain.edge.length, 6);
+  assert.deepEqual(plain.tipLabel, ["Homo_sapiens", "Pan", "Gorilla", "Pongo"]);
+});
+
+test("keepTip keeps the tips in every tree of a MultiPhylo", () => {
+  const trees = new MultiPhylo([parseNewick("((A,B),(C,D));"), parseNewick("((A,C),(B,D));")]);
+  assert.deepEqual([...keepTip(trees, ["A", "B", "C"])].map(tree => writeNewick(tree)), ["((A,B),C);", "((A,C),B);"]);
+});
+
+test("nameCheck lists the labels found on one side only", () => {
+  const tree = parseNewick(newick);
+  assert.deepEqual(nameCheck(tree, ["Homo sapiens", "pan", "Gorilla", "Hylobates"], { underscore: true }), {
+    treeNotData: ["Pan", "Pongo"],
+    dataNotTree: ["pan", "Hylobates"]
+  });
+  assert.deepEqual(nameCheck(tree, ["homo sapiens", "pan", "gorilla", "pongo"], { underscore: true, ignoreCase: true }), {
+    treeNotData: [],
+    dataNotTree: []
+  });
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, layoutTree } from "../src/index.js";
+
+const close = (actual, expected, tol = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} is not close to ${expected}`);
+
+// Tips A, B, C; root 4, (A,B) 5.
+const tree = parseNewick("((A:1,B:2):1,C:3);");
+
+test("layoutTree places a phylogram like ape's plot", () => {
+  const layout = layoutTree(tree);
+  assert.deepEqual(Array.from(layout.x), [2, 3, 3, 0, 1]);
+  // Tips at 1..n, nodes halfway between their extreme children.
+  assert.deepEqual(Array.from(layout.y), [1, 2, 3, 2.25, 1.5]);
+  assert.equal(layout.segments.length, 6);
+  assert.deepEqual(layout.segments[5], { x0: 1, y0: 1, x1: 1, y1: 2, edge: null, node: 5 });
+  assert.deepEqual(Array.from(layoutTree(tree, { useEdgeLength: false }).x), [2, 2, 2, 0, 1]);
+});
+
+test("layoutTree swaps the axes for upward trees and draws cladograms with diagonals", () => {
+  const up = layoutTree(tree, { direction: "upwards" });
+  assert.deepEqual(Array.from(up.x), [1, 2, 3, 2.25, 1.5]);
+  assert.deepEqual(Array.from(up.y), [2, 3, 3, 0, 1]);
+  const clado = layoutTree(tree, { type: "cladogram" });
+  assert.equal(clado.segments.length, 4);
+  assert.deepEqual(clado.segments[0], { x0: 0, y0: 2.25, x1: 1, y1: 1.5, edge: 0, node: 4 });
+  assert.throws(() => layoutTree(tree, { type: "tree" }), /type/);
+});
+
+test("layoutTree spreads the tips of a fan over the circle", () => {
+  const fan = layoutTree(tree, { type: "fan" });
+  const angles = [(2 * Math.PI) / 3, (4 * Math.PI) / 3, 2 * Math.PI];
+  const radii = [2, 3, 3];
+  angles.forEach((a, i) => {
+    close(fan.x[i], radii[i] * Math.cos(a));
+    close(fan.y[i], radii[i] * Math.sin(a));
+    close(fan.angle[i], a);
+  });
+  assert.equal(fan.arcs.length, 2);
+});
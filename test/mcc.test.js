@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseMultiNewick, writeNewick, cladeCredibility, maxCladeCredibility } from "../src/index.js";
+
+const close = (actual, expected, tol = 1e-12) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} is not close to ${expected}`);
+
+// The clade AB is in three trees out of four, with heights 1, 2 and 3; the root heights
+// are 2, 3, 2 and 4.
+const trees = parseMultiNewick("((A:1,B:1):1,C:2);((A:2,B:2):1,C:3);((A:1,C:1):1,B:2);((B:3,A:3):1,C:4);");
+
+test("cladeCredibility sums the log frequencies of the clades of each tree", () => {
+  const scores = cladeCredibility(trees);
+  [Math.log(0.75), Math.log(0.75), Math.log(0.25), Math.log(0.75)].forEach((v, i) => close(scores[i], v));
+  const kept = cladeCredibility(trees, { burnin: 1 });
+  assert.equal(kept.length, 3);
+  close(kept[1], Math.log(1 / 3));
+});
+
+test("maxCladeCredibility annotates the posterior and heights of the clades", () => {
+  const mcc = maxCladeCredibility(trees);
+  assert.equal(
+    writeNewick(mcc, { annotations: true }),
+    "((A:1,B:1)[&posterior=0.75,height_mean=2,height_median=2,height_95%_HPD={1,3}]:1,C:2)" +
+      "[&posterior=1,height_mean=2.75,height_median=2.5,height_95%_HPD={2,4}];"
+  );
+  assert.equal(writeNewick(trees.get(0), { annotations: true }), "((A:1,B:1):1,C:2);");
+});
+
+test("maxCladeCredibility can set the node heights to their mean or median", () => {
+  assert.equal(writeNewick(maxCladeCredibility(trees, { heights: "mean" })), "((A:2,B:2):0.75,C:2.75);");
+  assert.equal(writeNewick(maxCladeCredibility(trees, { heights: "median" })), "((A:2,B:2):0.5,C:2.5);");
+  assert.throws(() => maxCladeCredibility(trees, { heights: "meadian" }), /heights must be/);
+});
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, writeNewick, rootPhylo, midpoint, rootAtMinimumVariance } from "../src/index.js";
+
+// An unrooted tree: root 5 with three children, (C,D) 6.
+const unrooted = parseNewick("(A:1,B:2,(C:3,D:4)x:5)r;");
+// The longest path, D to A or B, is 8 long.
+const rooted = parseNewick("((A:1,B:1):1,(C:1,D:5):1);");
+
+test("rootPhylo places the root at a position along an edge", () => {
+  assert.equal(writeNewick(rootPhylo(unrooted, "C", null, false, false, 1)), "(C:1,(D:4,(A:1,B:2)r:5)x:2);");
+  assert.equal(writeNewick(rootPhylo(unrooted, null, 6, false, false, 2)), "((C:3,D:4)x:2,(A:1,B:2)r:3);");
+  assert.throws(() => rootPhylo(unrooted, "C", null, false, false, 4), /larger than the branch length/);
+  assert.throws(() => rootPhylo(unrooted, null, 5, false, false, 1), /other than the root/);
+});
+
+test("midpoint roots in the middle of the longest path", () => {
+  // B to D is 11 long: the root is 5.5 from B, on the edge from r to x.
+  assert.equal(writeNewick(midpoint(unrooted)), "((C:3,D:4)x:1.5,(A:1,B:2)r:3.5);");
+  assert.equal(writeNewick(midpoint(rooted)), "(D:4,(C:1,(A:1,B:1):2):1);");
+  assert.throws(() => midpoint(parseNewick("(A,B,C);")), /no branch lengths/);
+});
+
+test("rootAtMinimumVariance minimizes the variance of the root-to-tip distances", () => {
+  // At s from x, the distances are 3 + s, 4 + s, 6 - s and 7 - s: s = 1.5.
+  assert.equal(writeNewick(rootAtMinimumVariance(unrooted)), "((C:3,D:4)x:1.5,(A:1,B:2)r:3.5);");
+  // At s from D, the distances are s, 6 - s, 8 - s and 8 - s: s = 11/3.
+  const tree = rootAtMinimumVariance(rooted);
+  assert.equal(tree.edgeLength.length, 6);
+  const d = tree.edge.findIndex(([, c]) => tree.tipLabel[c - 1] === "D");
+  assert.ok(Math.abs(tree.edgeLength[d] - 11 / 3) < 1e-9);
+});
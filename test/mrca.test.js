@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MultiPhylo, parseNewick, getMRCA, ancestors, descendants, siblings, nodepath, dropTip } from "../src/index.js";
+
+// Tips 1-5 (A-E), root 6, (B,C) = 7, (A,(B,C)) = 8, (D,E) = 9.
+const newick = "((A:1,(B:1,C:1):2):1,(D:2,E:1):1);";
+
+test("navigation queries follow the edges of the tree", () => {
+  const tree = parseNewick(newick);
+  assert.equal(getMRCA(tree, ["B", "C"]), 7);
+  assert.equal(getMRCA(tree, ["A", "C"]), 8);
+  assert.equal(getMRCA(tree, [2, "D"]), 6);
+  assert.deepEqual(ancestors(tree, "C"), [7, 8, 6]);
+  assert.deepEqual(descendants(tree, 8).sort(), [1, 2, 3]);
+  assert.deepEqual(siblings(tree, "A"), [7]);
+  assert.deepEqual(nodepath(tree, 1, 5), [1, 8, 6, 9, 5]);
+  assert.throws(() => getMRCA(tree, ["A", "Z"]), /node not found/);
+});
+
+test("the cached node index follows changes to the tree", () => {
+  const tree = parseNewick(newick);
+  assert.equal(getMRCA(tree, ["D", "E"]), 9);
+  // Swap A and D by setting a new edge matrix.
+  tree.edge = tree.edge.map(([p, c]) => [p, c === 1 ? 4 : c === 4 ? 1 : c]);
+  assert.equal(getMRCA(tree, ["A", "E"]), 9);
+  assert.equal(getMRCA(tree, ["D", "B"]), 8);
+  const pruned = dropTip(tree, "B");
+  assert.deepEqual(pruned.tipLabel, ["A", "C", "D", "E"]);
+  assert.equal(getMRCA(pruned, ["D", "C"]), 6);
+});
+
+test("compressTipLabel renumbers the tips of a tree that was queried", () => {
+  const a = parseNewick("((A,B),(C,D));");
+  const b = parseNewick("((D,C),(B,A));");
+  assert.equal(getMRCA(b, ["B", "A"]), 7);
+  const trees = new MultiPhylo([a, b]);
+  trees.compressTipLabel();
+  assert.deepEqual(trees.get(1).tipLabel, ["A", "B", "C", "D"]);
+  assert.equal(getMRCA(trees.get(1), ["A", "B"]), 7);
+  assert.equal(getMRCA(trees.get(1), ["C", "D"]), 6);
+  trees.push(parseNewick("((A,C),(B,D));"));
+  assert.equal(getMRCA(trees.get(2), ["A", "C"]), 6);
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MultiPhylo, parseNewick, parseMultiNewick, writeNewick } from "../src/index.js";
+
+test("compressTipLabel numbers the tips of every tree in the same order", () => {
+  const trees = parseMultiNewick("((A:1,B:1):1,C:2);\n((C:1,B:1):1,A:2);", { compress: true });
+  assert.equal(trees.length, 2);
+  assert.deepEqual(trees.tipLabel, ["A", "B", "C"]);
+  assert.equal(trees.get(1).tipLabel, trees.tipLabel);
+  assert.deepEqual(trees.get(1).edge, [
+    [4, 5],
+    [5, 3],
+    [5, 2],
+    [4, 1],
+  ]);
+  assert.equal(writeNewick(trees.get(1)), "((C:1,B:1):1,A:2);");
+});
+
+test("uncompressTipLabel gives every tree its own labels", () => {
+  const trees = parseMultiNewick("((A,B),C);((C,B),A);", { compress: true });
+  const copy = trees.clone().uncompressTipLabel();
+  assert.equal(copy.tipLabel, null);
+  assert.notEqual(copy.get(0).tipLabel, copy.get(1).tipLabel);
+  assert.deepEqual(copy.get(1).tipLabel, ["A", "B", "C"]);
+  assert.deepEqual(trees.tipLabel, ["A", "B", "C"]);
+});
+
+test("compressTipLabel requires the same tips in all trees", () => {
+  const differ = new MultiPhylo([parseNewick("(A,B);"), parseNewick("(A,C);")]);
+  assert.throws(() => differ.compressTipLabel(), /different tip labels/);
+  const sizes = new MultiPhylo([parseNewick("(A,B);"), parseNewick("(A,B,C);")]);
+  assert.throws(() => sizes.compressTipLabel(), /different number of tips/);
+});
+
+test("push keeps the names and renumbers the tips of a compressed collection", () => {
+  const trees = new MultiPhylo([parseNewick("(A,B);")], ["x"]).compressTipLabel();
+  trees.push(parseNewick("(B,A);"), "y");
+  assert.deepEqual(trees.names, ["x", "y"]);
+  assert.deepEqual(trees.get(1).edge, [
+    [3, 2],
+    [3, 1],
+  ]);
+  assert.equal(parseMultiNewick("('a;b',c);(d,e);").length, 2);
+});
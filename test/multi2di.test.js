@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, writeNewick, multi2di, di2multi, isBinary } from "../src/index.js";
+
+const star = parseNewick("(A:1,B:2,C:3,D:4)r;");
+
+test("multi2di resolves a polytomy as a comb of zero-length edges", () => {
+  const tree = multi2di(star, { random: false });
+  assert.equal(writeNewick(tree), "(((A:1,B:2):0,C:3):0,D:4)r;");
+  assert.equal(tree.Nnode, 3);
+  assert.equal(isBinary(tree), true);
+  assert.equal(isBinary(star), false);
+});
+
+test("multi2di gives the same random resolution for the same seed", () => {
+  const tree = multi2di(star, { seed: 1 });
+  assert.equal(isBinary(tree), true);
+  assert.equal(writeNewick(multi2di(star, { seed: 1 })), writeNewick(tree));
+});
+
+test("di2multi collapses the short internal edges", () => {
+  assert.equal(writeNewick(di2multi(multi2di(star, { random: false }))), "(A:1,B:2,C:3,D:4)r;");
+  assert.equal(writeNewick(di2multi(parseNewick("((A:1,B:1):0.05,C:1);"), 0.1)), "(A:1,B:1,C:1);");
+  assert.throws(() => di2multi(parseNewick("((A,B),C);")), /no branch lengths/);
+});
+
+test("isBinary accepts an unrooted binary tree", () => {
+  assert.equal(isBinary(parseNewick("(A,B,C);")), true);
+  assert.equal(isBinary(parseNewick("((A,B,C),D);")), false);
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, writeNewick, readNexus, writeNexus } from "../src/index.js";
+
+const nexus = `#NEXUS
+begin taxa; dimensions ntax=3; taxlabels A 'B b' C; end;
+begin trees;
+  translate 1 A, 2 'B b', 3 C;
+  tree one = [&R] ((1:1,2:2):0.5,3:1);
+  tree two = ((1:1,3:1):1,2:2);
+end;`;
+
+test("readNexus translates the tip labels of every tree", () => {
+  const trees = readNexus(nexus);
+  assert.equal(trees.length, 2);
+  assert.deepEqual(
+    [...trees].map(tree => tree.name),
+    ["one", "two"]
+  );
+  assert.deepEqual(
+    [...trees].map(tree => writeNewick(tree)),
+    ["((A:1,B b:2):0.5,C:1);", "((A:1,C:1):1,B b:2);"]
+  );
+});
+
+test("readNexus returns a single tree as a phylo object", () => {
+  const tree = readNexus("#NEXUS\nBEGIN TREES;\n TREE t = ((x,y),z);\nEND;");
+  assert.equal(tree.name, "t");
+  assert.equal(writeNewick(tree), "((x,y),z);");
+  assert.throws(() => readNexus("#NEXUS\nbegin taxa; end;"), /no TREES block/);
+});
+
+test("writeNexus writes a TRANSLATE table that readNexus reads back", () => {
+  const text = writeNexus([...readNexus(nexus)]);
+  assert.match(text, /TRANSLATE\n\t\t1\tA,\n\t\t2\t'B b',\n\t\t3\tC\n\t;/);
+  assert.match(text, /TREE two = \[&R\] \(\(1:1,3:1\):1,2:2\);/);
+  const back = readNexus(text);
+  assert.deepEqual(
+    [...back].map(tree => writeNewick(tree)),
+    ["((A:1,B b:2):0.5,C:1);", "((A:1,C:1):1,B b:2);"]
+  );
+});
+
+test("writeNexus writes the labels in the trees without translate", () => {
+  const text = writeNexus(parseNewick("(A,'B b');"), { translate: false });
+  assert.doesNotMatch(text, /TRANSLATE/);
+  assert.match(text, /TREE \* UNTITLED = \[&R\] \(A,'B b'\);/);
+});
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { writeNewick, nj, bionj, upgma, wpgma } from "../src/index.js";
+
+const labels = ["A", "B", "C", "D"];
+
+test("nj and bionj recover the tree of additive distances", () => {
+  // The distances on the unrooted tree (A:1,B:2,(C:3,D:4):2).
+  const d = [
+    [0, 3, 6, 7],
+    [3, 0, 7, 8],
+    [6, 7, 0, 7],
+    [7, 8, 7, 0]
+  ];
+  assert.equal(writeNewick(nj(d, labels)), "((A:1,B:2):2,C:3,D:4);");
+  assert.equal(writeNewick(bionj(d, labels)), "((A:1,B:2):2,C:3,D:4);");
+  // The same matrix in the format returned by cophenetic, with default labels.
+  assert.equal(writeNewick(nj({ labels, matrix: d.flat() })), "((A:1,B:2):2,C:3,D:4);");
+  assert.equal(writeNewick(nj(d)), "((1:1,2:2):2,3:3,4:4);");
+  assert.throws(() => nj([[0, 1], [1, 0]], ["A", "B"]), /less than 3 observations/);
+});
+
+test("upgma and wpgma average the distances of the clusters", () => {
+  // A and B join at 2, then C at 5; the distance of D to (A,B,C) is 9 with
+  // upgma (8, 8 and 11 averaged) and 9.5 with wpgma (8 and 11 averaged).
+  const d = [
+    [0, 2, 4, 8],
+    [2, 0, 6, 8],
+    [4, 6, 0, 11],
+    [8, 8, 11, 0]
+  ];
+  assert.equal(writeNewick(upgma(d, labels)), "(((A:1,B:1):1.5,C:2.5):2,D:4.5);");
+  assert.equal(writeNewick(wpgma(d, labels)), "(((A:1,B:1):1.5,C:2.5):2.25,D:4.75);");
+  assert.throws(() => upgma([[0, 1], [1, 0, 3]]), /must be square/);
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, rcoal, rTraitCont, vcv, phylosig } from "../src/index.js";
+import { solve, logDeterminant } from "../src/matrix.js";
+
+// The log-likelihood of Brownian motion on the tree with its covariances multiplied by
+// lambda, at the maximum likelihood root value and rate.
+function profile(phy, x, lambda) {
+  const { matrix } = vcv(phy);
+  const n = phy.tipLabel.length;
+  const C = matrix.map((c, k) => (k % (n + 1) === 0 ? c : c * lambda));
+  const values = Float64Array.from(phy.tipLabel, label => x[label]);
+  const invCx = solve(C, n, values);
+  const invC1 = solve(C, n, new Float64Array(n).fill(1));
+  const a = invCx.reduce((s, v) => s + v, 0) / invC1.reduce((s, v) => s + v, 0);
+  let q = 0;
+  for (let i = 0; i < n; i++) q += (values[i] - a) * (invCx[i] - a * invC1[i]);
+  return -0.5 * (n * Math.log((2 * Math.PI * q) / n) + logDeterminant(C, n) + n);
+}
+
+test("phylosig K is 1 on a star tree", () => {
+  // Without covariances, the two mean squared errors are equal.
+  const star = parseNewick("(A:1,B:1,C:1,D:1);");
+  const { K } = phylosig(star, { A: 1, B: 3, C: 2, D: 7 });
+  assert.ok(Math.abs(K - 1) < 1e-12);
+});
+
+test("phylosig lambda stays below the value that makes C singular", () => {
+  // Here C becomes singular at lambda = 3 / 2.
+  const tree = parseNewick("(((A:1,B:1):1,C:2):1,(D:1.5,E:1.5):1.5);");
+  const x = { A: 1, B: 1.2, C: 3, D: 5, E: 4.5 };
+  const r = phylosig(tree, x, { method: "lambda", test: true });
+  assert.ok(r.lambda >= 0 && r.lambda < 1.5);
+  assert.ok(Math.abs(r.logL - profile(tree, x, r.lambda)) < 1e-9);
+  assert.ok(Math.abs(r.logL0 - profile(tree, x, 0)) < 1e-9);
+});
+
+test("phylosig lambda finds the maximum on coalescent trees", () => {
+  for (let seed = 1; seed <= 20; seed++) {
+    const tree = rcoal(20, { seed });
+    const { tips } = rTraitCont(tree, { seed });
+    const r = phylosig(tree, tips, { method: "lambda" });
+    assert.ok(Number.isFinite(r.logL));
+    for (let lambda = 0; lambda <= 1; lambda += 0.05) {
+      assert.ok(r.logL >= profile(tree, tips, lambda) - 1e-6, `seed ${seed}, lambda ${lambda}`);
+    }
+  }
+});
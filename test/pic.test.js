@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, pic } from "../src/index.js";
+
+const close = (actual, expected, tol = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} is not close to ${expected}`);
+
+const tree = parseNewick("((A:1,B:1):1,C:2);");
+
+test("pic computes the contrasts and their variances", () => {
+  // Root: (1.5 - 4) with variance 2 + 1 + 1/2; (A,B): (1 - 2) with variance 2.
+  const raw = pic({ A: 1, B: 2, C: 4 }, tree, { scaled: false });
+  assert.deepEqual(Array.from(raw.contrasts), [-2.5, -1]);
+  assert.deepEqual(Array.from(raw.variance), [3.5, 2]);
+  const scaled = pic([1, 2, 4], tree);
+  close(scaled.contrasts[0], -2.5 / Math.sqrt(3.5));
+  close(scaled.contrasts[1], -1 / Math.sqrt(2));
+});
+
+test("pic checks the values", t => {
+  assert.throws(() => pic({ A: 1, B: 2 }, tree), /do not match/);
+  assert.throws(() => pic({ A: 1, B: "2", C: 4 }, tree), /must be numbers/);
+  assert.throws(() => pic([1, 2, 4], parseNewick("(A:1,B:1,C:1);")), /dichotomous/);
+  // Values of other labels are ignored with a warning.
+  const warn = t.mock.method(console, "warn", () => {});
+  assert.deepEqual(Array.from(pic({ A: 1, B: 2, C: 4, D: 0 }, tree, { scaled: false }).contrasts), [-2.5, -1]);
+  assert.match(warn.mock.calls[0].arguments[0], /ignored \(D\)/);
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, plotPhyloSVG } from "../src/index.js";
+
+const tree = parseNewick("((A:1,B:2):1,C&D:3);");
+
+test("plotPhyloSVG draws each edge and connector of a phylogram", () => {
+  const svg = plotPhyloSVG(tree, { width: 200 });
+  assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="200" height="100"/);
+  // Four edges and two vertical connectors, plus the scale bar.
+  assert.equal(svg.match(/<line /g).length, 7);
+  // The tree is 3 units deep; 27.6 pixels are left for the labels and 10 for the margin.
+  assert.match(svg, /<line x1="10" y1="10" x2="162.4" y2="10" stroke="black"\/>/);
+  assert.match(svg, /<text x="166.4" y="10" [^>]*>C&amp;D<\/text>/);
+  assert.match(svg, />0.2<\/text>/);
+  assert.doesNotMatch(plotPhyloSVG(tree, { scaleBar: false }), />0.2</);
+});
+
+test("plotPhyloSVG colours clades and highlights tips", () => {
+  const svg = plotPhyloSVG(tree, {
+    width: 200,
+    cladeColors: [{ tips: ["A", "B"], color: "blue" }],
+    highlightTips: ["A"]
+  });
+  // The two edges of the clade and their connector.
+  assert.equal(svg.match(/stroke="blue"/g).length, 3);
+  assert.match(svg, /fill="red" font-weight="bold">A<\/text>/);
+  assert.throws(() => plotPhyloSVG(tree, { cladeColors: [{ tips: ["A", "X"], color: "blue" }] }));
+});
+
+test("plotPhyloSVG draws fans with arcs and rotated labels", () => {
+  const svg = plotPhyloSVG(tree, { type: "fan", width: 200, scaleBar: false });
+  assert.match(svg, /height="200"/);
+  // The arc of the root has a null radius and is not drawn.
+  assert.equal(svg.match(/<path /g).length, 1);
+  assert.match(svg, /text-anchor="end" [^>]*transform="rotate\(60 [^>]*>A</);
+});
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, parseMultiNewick, writeNewick, propPart, propClades } from "../src/index.js";
+
+// Nodes of the reference tree: root 6, (A,B) 7, ((A,B),C) 8, (D,E) 9.
+const reference = "(((A,B),C),(D,E));";
+
+test("propClades counts the bipartitions of the reference tree in the trees", () => {
+  const trees = parseMultiNewick("(((A,B),C),(D,E));(((A,C),B),(D,E));((A,(B,C)),(E,D));(((B,A),D),(C,E));");
+  assert.deepEqual(propClades(parseNewick(reference), trees), [4, 2, 3, 3]);
+  const tree = parseNewick(reference);
+  const support = propClades(tree, trees, { proportion: true, setNodeLabel: true });
+  assert.deepEqual(support, [1, 0.5, 0.75, 0.75]);
+  assert.equal(writeNewick(tree), "(((A,B)0.5,C)0.75,(D,E)0.75)1;");
+});
+
+test("propClades compares clades with rooted", () => {
+  // ABC|DE is a split of both trees, but a clade of the second one only.
+  const trees = [parseNewick("((A,B),(C,(D,E)));"), parseNewick("((E,D),(C,(B,A)));")];
+  assert.deepEqual(propClades(parseNewick(reference), trees), [2, 2, 2, 2]);
+  assert.deepEqual(propClades(parseNewick(reference), trees, { rooted: true }), [2, 2, 1, 2]);
+});
+
+test("propPart matches the trees on their tip labels with checkLabels", () => {
+  const trees = [parseNewick("((A,B),(C,(D,E)));"), parseNewick("((E,D),(C,(B,A)));")];
+  const matched = propPart(trees, true);
+  assert.deepEqual(matched.labels, ["A", "B", "C", "D", "E"]);
+  assert.deepEqual(matched.partitions, [[1, 2, 3, 4, 5], [1, 2], [4, 5], [3, 4, 5], [1, 2, 3]]);
+  assert.deepEqual(matched.number, [2, 2, 2, 1, 1]);
+  // By default, the tips are assumed to be numbered alike.
+  assert.deepEqual(propPart(trees).number, [2, 2, 2, 2]);
+});
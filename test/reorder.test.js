@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, writeNewick, reorder } from "../src/index.js";
+
+// Edges: 0 = 4->5, 1 = 5->1 (A), 2 = 5->2 (B), 3 = 4->3 (C).
+const newick = "((A:1,B:2):1,C:3);";
+
+test("reorder with indexOnly returns 0-based edge indices for both orders", () => {
+  const tree = parseNewick(newick);
+  assert.deepEqual(Array.from(reorder(tree, "cladewise", true)), [0, 1, 2, 3]);
+  assert.deepEqual(Array.from(reorder(tree, "postorder", true)), [1, 2, 0, 3]);
+});
+
+test("reorder keeps every edge with its branch length", () => {
+  const post = reorder(parseNewick(newick), "postorder");
+  assert.deepEqual(post.edge, [
+    [5, 1],
+    [5, 2],
+    [4, 5],
+    [4, 3],
+  ]);
+  assert.deepEqual(Array.from(post.edgeLength), [1, 2, 1, 3]);
+});
+
+test("reorder keeps the edge annotations with their edges", () => {
+  const annotated = "((A:1,B:2[&rate=2]):1[&rate=3],C:3);";
+  const post = reorder(parseNewick(annotated), "postorder");
+  assert.deepEqual(post.edgeAnnotation, [null, { rate: 2 }, { rate: 3 }, null]);
+  assert.equal(writeNewick(post, { annotations: true }), annotated);
+});
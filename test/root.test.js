@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, writeNewick, rootPhylo, isRooted } from "../src/index.js";
+
+// An unrooted tree: root 5 with three children, (C,D) 6.
+const newick = "(A:1,B:2,(C:3,D:4)x:5)r;";
+
+test("rootPhylo roots at the node of the outgroup without changing the input", () => {
+  const tree = parseNewick(newick);
+  const rooted = rootPhylo(tree, "C");
+  assert.equal(writeNewick(rooted), "(C:3,D:4,(A:1,B:2)r:5)x;");
+  // The tips keep their numbers; the root is nTips + 1.
+  assert.deepEqual(rooted.edge, [
+    [5, 3],
+    [5, 4],
+    [5, 6],
+    [6, 1],
+    [6, 2]
+  ]);
+  assert.deepEqual(rooted.nodeLabel, ["x", "r"]);
+  assert.equal(writeNewick(tree), newick);
+  assert.equal(writeNewick(rootPhylo(tree, null, 6)), "(C:3,D:4,(A:1,B:2)r:5)x;");
+});
+
+test("rootPhylo resolves the root on the edge of the outgroup", () => {
+  const rooted = rootPhylo(parseNewick(newick), ["C", "D"], null, true);
+  assert.equal(writeNewick(rooted), "((C:3,D:4)x:5,(A:1,B:2)r:0);");
+  assert.equal(isRooted(rooted), true);
+  assert.throws(() => rootPhylo(parseNewick(newick), ["A", "C"]), /not monophyletic/);
+  assert.throws(() => rootPhylo(parseNewick(newick), "Z"), /not in labels/);
+});
+
+test("rootPhylo moves node labels with their nodes or with their edges", () => {
+  const tree = parseNewick("((A:1,B:2)90:1,(C:3,D:4)80:5);");
+  assert.equal(writeNewick(rootPhylo(tree, "A", null, true)), "(A:1,(B:2,(C:3,D:4)80:6)90:0);");
+  // As edge labels, 90 and 80 label the same split; the new edge above (B,C,D) has none.
+  assert.equal(writeNewick(rootPhylo(tree, "A", null, true, true)), "(A:1,(B:2,(C:3,D:4)80:6):0);");
+});
+
+test("rootPhylo keeps the annotations of the nodes and of the split edge", () => {
+  const tree = parseNewick("((A:1[&a=1],B:2)[&n=1]:1,(C:3,D:4):5);");
+  assert.equal(
+    writeNewick(rootPhylo(tree, "A", null, true), { annotations: true }),
+    "(A:1[&a=1],(B:2,(C:3,D:4):6)[&n=1]:0[&a=1]);"
+  );
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, writeNewick, ladderize, rotate, rotateConstr } from "../src/index.js";
+
+// Root 8, (B,C) 9, (A,(B,C)) 10.
+const newick = "((A,(B,C)),(D,(E,(F,G))));";
+
+test("ladderize sorts the children of each node by clade size", () => {
+  const tree = parseNewick(newick);
+  assert.equal(writeNewick(ladderize(tree)), "((((F,G),E),D),((B,C),A));");
+  assert.equal(writeNewick(ladderize(tree, false)), newick);
+  // The input is left unchanged.
+  assert.equal(writeNewick(tree), newick);
+});
+
+test("rotate swaps two children of a node", () => {
+  const tree = parseNewick(newick);
+  assert.equal(writeNewick(rotate(tree, 8)), "((D,(E,(F,G))),(A,(B,C)));");
+  assert.equal(writeNewick(rotate(tree, 9)), "((A,(C,B)),(D,(E,(F,G))));");
+  assert.equal(writeNewick(rotate(parseNewick("(A,B,C,D);"), 5, [1, 3])), "(C,B,A,D);");
+  assert.throws(() => rotate(tree, 3), /internal node/);
+  assert.throws(() => rotate(tree, 8, [1, 3]), /polytom/);
+});
+
+test("rotateConstr follows the order of a list of tips", () => {
+  const tree = parseNewick(newick);
+  assert.equal(writeNewick(rotateConstr(tree, ["G", "F", "E", "D", "C", "B", "A"])), "((((G,F),E),D),((C,B),A));");
+  assert.throws(() => rotateConstr(tree, ["A", "B"]), /not found in constraint: C/);
+});
+
+test("ladderize, rotate and rotateConstr copy plain tree objects", () => {
+  const tree = parseNewick(newick);
+  const plain = { edge: tree.edge.map(row => [...row]), tipLabel: [...tree.tipLabel], Nnode: tree.Nnode };
+  const edge = JSON.stringify(plain.edge);
+  assert.equal(writeNewick(ladderize(plain)), "((((F,G),E),D),((B,C),A));");
+  assert.equal(writeNewick(rotate(plain, 8)), "((D,(E,(F,G))),(A,(B,C)));");
+  assert.equal(writeNewick(rotateConstr(plain, ["B", "C", "A", "D", "E", "F", "G"])), "(((B,C),A),(D,(E,(F,G))));");
+  assert.equal(JSON.stringify(plain.edge), edge);
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, rTraitCont, rTraitDisc } from "../src/index.js";
+
+const close = (actual, expected, tol = 1e-12) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} is not close to ${expected}`);
+
+// Root 4, (A,B) 5.
+const tree = parseNewick("((A:1,B:2):1,C:3);");
+
+test("rTraitCont follows the expected values when sigma is zero", () => {
+  const bm = rTraitCont(tree, { sigma: 0, rootValue: 2, ancestor: true });
+  assert.deepEqual(bm, { tips: { A: 2, B: 2, C: 2 }, nodes: { 4: 2, 5: 2 } });
+  // Under OU, the value moves towards theta as 1 - exp(-alpha * t) from 0.
+  const ou = rTraitCont(tree, { model: "OU", sigma: 0, theta: 1, ancestor: true });
+  close(ou.nodes[5], 1 - Math.exp(-1));
+  close(ou.tips.A, 1 - Math.exp(-2));
+  close(ou.tips.B, 1 - Math.exp(-3));
+  close(ou.tips.C, 1 - Math.exp(-3));
+  assert.throws(() => rTraitCont(tree, { model: "EB" }), /model must be/);
+  assert.throws(() => rTraitCont(parseNewick("((A,B),C);")), /no branch lengths/);
+});
+
+test("rTraitCont gives the same values for the same seed", () => {
+  const x = rTraitCont(tree, { seed: 1 });
+  assert.deepEqual(rTraitCont(tree, { seed: 1 }), x);
+  assert.equal(x.nodes, null);
+  assert.notDeepEqual(rTraitCont(tree, { seed: 2 }), x);
+});
+
+test("rTraitDisc jumps along the rates of the matrix", () => {
+  assert.deepEqual(rTraitDisc(tree, { rate: 0, rootState: "B", seed: 1 }).tips, { A: "B", B: "B", C: "B" });
+  // From the root state a, the trait jumps to b almost surely and stays there.
+  const x = rTraitDisc(tree, { rateMatrix: [[0, 100], [0, 0]], states: ["a", "b"], ancestor: true, seed: 1 });
+  assert.deepEqual(x, { tips: { A: "b", B: "b", C: "b" }, nodes: { 4: "a", 5: "b" } });
+  assert.throws(() => rTraitDisc(tree, { rateMatrix: [[0, 1], [1]] }), /must be square/);
+  assert.throws(() => rTraitDisc(tree, { states: ["a"] }), /number of states/);
+  assert.throws(() => rTraitDisc(tree, { rootState: "C" }), /rootState/);
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  rtree,
+  rcoal,
+  rbdtree,
+  simBdTaxa,
+  createRng,
+  isBinary,
+  isRooted,
+  isUltrametric,
+  writeNewick
+} from "../src/index.js";
+
+test("createRng gives the mulberry32 sequence of an integer seed", () => {
+  const rng = createRng(1);
+  assert.equal(rng(), 0.6270739405881613);
+  assert.equal(rng(), 0.002735721180215478);
+  assert.equal(createRng(), Math.random);
+  assert.throws(() => createRng(1.5), /seed must be an integer/);
+});
+
+test("rtree draws binary trees, rooted or not", () => {
+  const tree = rtree(5, { seed: 42 });
+  assert.deepEqual(tree.tipLabel, ["t1", "t2", "t3", "t4", "t5"]);
+  assert.equal(tree.Nnode, 4);
+  assert.equal(isBinary(tree) && isRooted(tree), true);
+  assert.equal(writeNewick(rtree(5, { seed: 42 })), writeNewick(tree));
+  const unrooted = rtree(5, { rooted: false, seed: 42 });
+  assert.equal(unrooted.Nnode, 3);
+  assert.equal(isRooted(unrooted), false);
+  assert.equal(writeNewick(rtree(3, { brlen: false, tipLabel: ["a", "b", "c"], seed: 1 })), "((a,b),c);");
+  assert.throws(() => rtree(1), /at least 2/);
+  assert.throws(() => rtree(2, { rooted: false }), /at least 3/);
+  assert.throws(() => rtree(3, { tipLabel: ["a"] }), /equal to n/);
+});
+
+test("rcoal and the birth-death simulators draw ultrametric trees", () => {
+  const coal = rcoal(5, { seed: 3 });
+  assert.equal(coal.tipLabel.length, 5);
+  assert.equal(isUltrametric(coal), true);
+  const taxa = simBdTaxa(6, { lambda: 2, mu: 0.5, seed: 7 });
+  assert.equal(taxa.tipLabel.length, 6);
+  assert.equal(isUltrametric(taxa) && isBinary(taxa), true);
+  // Without extinction, all the lineages survive to the end.
+  assert.equal(isUltrametric(rbdtree(1, 0, 2, { seed: 5 })), true);
+  assert.throws(() => simBdTaxa(6, { frac: 0 }), /frac must be/);
+  assert.throws(() => rbdtree(-1, 0), /must be positive/);
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseNewick,
+  writeNewick,
+  nodeDepthEdgeLength,
+  rootDistances,
+  branchingTimes,
+  isUltrametric,
+  forceUltrametric,
+} from "../src/index.js";
+
+const close = (actual, expected, tol = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} is not close to ${expected}`);
+
+// Root 5, (A,B) 6, (C,D) 7.
+const ultrametric = "((A:1,B:1):2,(C:2,D:2):1);";
+// Root-to-tip distances 3, 3.2, 3.1, 2.8 and 2.5.
+const clock = "((A:1,B:1.2):2,(C:2.1,D:1.8):1,E:2.5);";
+
+test("rootDistances and branchingTimes measure the tree from the root and the tips", () => {
+  const tree = parseNewick(ultrametric);
+  assert.deepEqual(Array.from(rootDistances(tree)), [3, 3, 3, 3, 0, 2, 1]);
+  assert.deepEqual(branchingTimes(tree), [3, 1, 2]);
+  assert.throws(() => rootDistances(parseNewick("((A,B),C);")), /no branch lengths/);
+});
+
+test("nodeDepthEdgeLength accumulates the edges backward", () => {
+  const depth = [0, 0, 0, 0, 0];
+  nodeDepthEdgeLength([4, 4, 5, 5], [5, 3, 1, 2], [1, 2, 1, 1], depth);
+  assert.deepEqual(depth, [1, 1, 2, 0, 1]);
+});
+
+test("isUltrametric compares the root-to-tip distances", () => {
+  assert.equal(isUltrametric(parseNewick(ultrametric)), true);
+  assert.equal(isUltrametric(parseNewick(clock)), false);
+  // The relative range is 0.7 / 3.2.
+  assert.equal(isUltrametric(parseNewick(clock), { tol: 0.5 }), true);
+});
+
+test("forceUltrametric extends the tip edges or fits the node heights", () => {
+  const tree = parseNewick(clock);
+  const extended = forceUltrametric(tree, "extend");
+  assert.equal(isUltrametric(extended), true);
+  // The tips are moved down to 3.2 from the root; the internal nodes stay in place.
+  rootDistances(extended).slice(0, 5).forEach(v => close(v, 3.2));
+  branchingTimes(extended).forEach((v, i) => close(v, [3.2, 1.2, 2.2][i]));
+  const fitted = forceUltrametric(tree);
+  assert.equal(isUltrametric(fitted), true);
+  // Each cherry is placed at half the distance between its tips.
+  const times = branchingTimes(fitted);
+  close(times[1], 1.1);
+  close(times[2], 1.95);
+  assert.equal(writeNewick(tree), clock);
+  assert.throws(() => forceUltrametric(tree, "x"), /method must be/);
+});
+
+test("forceUltrametric copies plain tree objects", () => {
+  const tree = parseNewick(clock);
+  const plain = { edge: tree.edge, edgeLength: [...tree.edgeLength], tipLabel: tree.tipLabel, Nnode: tree.Nnode };
+  assert.equal(isUltrametric(forceUltrametric(plain, "extend")), true);
+  assert.deepEqual(plain.edgeLength, [...tree.edgeLength]);
+});
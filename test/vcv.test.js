@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNewick, vcv } from "../src/index.js";
+
+const close = (actual, expected, tol = 1e-12) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} is not close to ${expected}`);
+
+const tree = parseNewick("((A:1,B:2):1,C:3);");
+
+test("vcv gives the shared path lengths of the tips", () => {
+  const v = vcv(tree);
+  assert.deepEqual(v.labels, ["A", "B", "C"]);
+  assert.deepEqual(Array.from(v.matrix), [2, 1, 0, 1, 3, 0, 0, 0, 3]);
+});
+
+test("vcv can give the correlation matrix", () => {
+  const r = vcv(tree, { corr: true }).matrix;
+  [1, 1 / Math.sqrt(6), 0, 1 / Math.sqrt(6), 1, 0, 0, 0, 1].forEach((x, i) => close(r[i], x));
+  assert.throws(() => vcv(tree, { model: "OU" }), /model must be/);
+});